@@ -0,0 +1,284 @@
+/**
+ * Backtesting Engine
+ * Replays archived daily recommendations against later prices to measure realised returns
+ *
+ * Each archived report (docs/{game}/archive/YYYY-MM-DD.json) records the price of every
+ * recommended item on the day it was picked. This looks up the price of the same item
+ * 7, 14 and 30 days later in the local history stores and summarises the returns per category.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TRADE_HUBS } from './eveHubs.js';
+import { createItemHistoryStore } from './historyStore.js';
+
+// Get directory name for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Holding periods to measure, in days
+const HORIZONS = [7, 14, 30];
+
+// EVE history record format (see eve.js)
+const EVE_HISTORY_VERSION = 1;
+
+// How many days past a horizon we'll look for a recorded price (history can have gaps)
+const MAX_PRICE_GAP_DAYS = 3;
+
+// Where each game's later prices are recorded (categories come from its adapter)
+const PRICE_LOOKUPS = {
+  osrs: createOSRSPriceLookup,
+  eve: createEVEPriceLookup
+};
+
+// ===== PRICE HISTORY FUNCTIONS =====
+
+/**
+ * Loads OSRS daily prices from the history file
+ * @param {string} file - History file (defaults to data/osrs-history.json)
+ * @returns {Map<number, Array>} Sorted [timestamp, price] pairs by item ID
+ */
+function loadOSRSPriceSeries(file = path.join(ROOT_DIR, 'data', 'osrs-history.json')) {
+  const series = new Map();
+  if (!fs.existsSync(file)) return series;
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  // Version 2 nests items and stores [price, volume]; version 1 stored bare prices
+  const items = data.version ? data.items : data;
+
+  for (const [itemId, item] of Object.entries(items)) {
+    const points = Object.entries(item.daily || {})
+      .map(([ts, point]) => [parseInt(ts), Array.isArray(point) ? point[0] : point])
+      .sort((a, b) => a[0] - b[0]);
+    series.set(parseInt(itemId), points);
+  }
+  return series;
+}
+
+/**
+ * Creates a lookup from an OSRS pick to its recorded prices
+ * @param {Object} options - Backtest options (historyFile is the history the analysis keeps)
+ * @returns {Function} (pick) => sorted [timestamp, price] pairs
+ */
+function createOSRSPriceLookup(options) {
+  const series = loadOSRSPriceSeries(options.historyFile);
+  return (pick) => series.get(pick.id) || [];
+}
+
+/**
+ * Creates a lookup from an EVE pick to its recorded prices in the hub it was picked in
+ * (picks from before multi-hub support were all Jita). Only the picked types' histories are read.
+ * @param {Object} options - Backtest options (historyDir is where the analysis keeps its history)
+ * @returns {Function} (pick) => sorted [timestamp, price] pairs
+ */
+function createEVEPriceLookup(options) {
+  const { historyDir = path.join(ROOT_DIR, 'data') } = options;
+  return (pick) => {
+    const { regionId } = TRADE_HUBS[pick.hub] || TRADE_HUBS.jita;
+    const store = createItemHistoryStore({ dir: path.join(historyDir, `eve-history-${regionId}`), version: EVE_HISTORY_VERSION });
+    const record = store.get(pick.id);
+    return record ? record.rows.map(([date, average]) => [Date.parse(`${date}T00:00:00Z`), average]) : [];
+  };
+}
+
+/**
+ * Finds the first recorded price on or shortly after a given day
+ * @param {Array} points - Sorted [timestamp, price] pairs
+ * @param {number} timestamp - Target day (midnight UTC)
+ * @returns {number|null} Price, or null if nothing was recorded close enough
+ */
+function findPriceOnOrAfter(points, timestamp) {
+  const latest = timestamp + MAX_PRICE_GAP_DAYS * DAY_MS;
+  const point = points.find(([ts]) => ts >= timestamp);
+  return point && point[0] <= latest ? point[1] : null;
+}
+
+// ===== ARCHIVE FUNCTIONS =====
+
+/**
+ * Loads every successful archived report for a game
+ * @param {string} archiveDir - Directory of archived reports (YYYY-MM-DD.json)
+ * @returns {Array} Reports as { date, timestamp, results }, oldest first
+ */
+function loadArchivedReports(archiveDir) {
+  if (!fs.existsSync(archiveDir)) return [];
+
+  return fs.readdirSync(archiveDir)
+    .filter(file => /^\d{4}-\d{2}-\d{2}\.json$/.test(file))
+    .sort()
+    .map(file => {
+      const date = file.slice(0, 10);
+      const results = JSON.parse(fs.readFileSync(path.join(archiveDir, file), 'utf8'));
+      return { date, timestamp: Date.parse(`${date}T00:00:00Z`), results };
+    })
+    .filter(report => !report.results.error);
+}
+
+// ===== STATISTICS FUNCTIONS =====
+
+/**
+ * Summarises a list of percentage returns
+ * @param {Array<number>} returns - Realised returns (%)
+ * @returns {Object} Count, average, median, win rate, best and worst
+ */
+function summariseReturns(returns) {
+  if (returns.length === 0) {
+    return { count: 0, averageReturn: null, medianReturn: null, winRate: null, best: null, worst: null };
+  }
+
+  const sorted = [...returns].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+
+  return {
+    count: returns.length,
+    averageReturn: (returns.reduce((a, b) => a + b, 0) / returns.length).toFixed(2),
+    medianReturn: median.toFixed(2),
+    winRate: (returns.filter(r => r > 0).length / returns.length * 100).toFixed(1),
+    best: sorted[sorted.length - 1].toFixed(2),
+    worst: sorted[0].toFixed(2)
+  };
+}
+
+// ===== MAIN APPLICATION =====
+
+/**
+ * Replays archived recommendations and measures their realised returns
+ * @param {import('./core/gameAdapter.js').GameAdapter} adapter - Game adapter (its categories are measured)
+ * @param {Object} options - Backtest options
+ * @param {Array<number>} options.horizons - Holding periods in days (default 7, 14, 30)
+ * @param {string} options.historyFile - OSRS history file (defaults to data/osrs-history.json)
+ * @param {string} options.historyDir - Directory of EVE history files (defaults to data/)
+ * @param {string} options.archiveDir - Archived reports to replay (defaults to docs/{game}/archive)
+ * @returns {Object} Backtest summary
+ */
+export function runBacktest(adapter, options = {}) {
+  const game = adapter.id;
+  const createPriceLookup = PRICE_LOOKUPS[game];
+  if (!createPriceLookup) {
+    throw new Error(`No price history to backtest "${game}" against. Expected one of: ${Object.keys(PRICE_LOOKUPS).join(', ')}`);
+  }
+
+  const { horizons = HORIZONS, archiveDir = path.join(ROOT_DIR, 'docs', game, 'archive') } = options;
+  const reports = loadArchivedReports(archiveDir);
+  const lookupPrices = createPriceLookup(options);
+
+  // Returns by category and horizon, plus the same across all categories
+  const returns = {};
+  const overallReturns = Object.fromEntries(horizons.map(h => [h, []]));
+  let picks = 0;
+  let pending = 0;
+
+  for (const report of reports) {
+    for (const category of Object.keys(adapter.categories)) {
+      returns[category] = returns[category] || Object.fromEntries(horizons.map(h => [h, []]));
+
+      for (const pick of report.results[category] || []) {
+        picks++;
+        const points = lookupPrices(pick);
+
+        for (const horizon of horizons) {
+          const exitPrice = findPriceOnOrAfter(points, report.timestamp + horizon * DAY_MS);
+          if (exitPrice === null || !pick.currentPrice) {
+            pending++;
+            continue;
+          }
+
+          const realisedReturn = ((exitPrice - pick.currentPrice) / pick.currentPrice) * 100;
+          returns[category][horizon].push(realisedReturn);
+          overallReturns[horizon].push(realisedReturn);
+        }
+      }
+    }
+  }
+
+  const summariseHorizons = (byHorizon) =>
+    Object.fromEntries(horizons.map(h => [h, summariseReturns(byHorizon[h])]));
+
+  return {
+    game,
+    generatedAt: new Date().toISOString(),
+    horizons,
+    reportsReplayed: reports.length,
+    firstReport: reports[0]?.date || null,
+    lastReport: reports[reports.length - 1]?.date || null,
+    picks,
+    pendingMeasurements: pending,
+    categories: Object.fromEntries(
+      Object.entries(returns).map(([category, byHorizon]) => [category, summariseHorizons(byHorizon)])
+    ),
+    overall: summariseHorizons(overallReturns)
+  };
+}
+
+// ===== REPORT GENERATION =====
+
+/**
+ * Generates the HTML track-record section for a report
+ * @param {Object} summary - Backtest summary from runBacktest
+ * @param {Object<string, string>} labels - The game's category labels (adapter.categories)
+ * @returns {string} HTML section (empty if there is nothing to show yet)
+ */
+export function generateTrackRecordHtml(summary, labels = {}) {
+  if (!summary || summary.reportsReplayed === 0) {
+    return '';
+  }
+
+  const formatCell = (stats) => {
+    if (!stats || stats.count === 0) {
+      return '<td style="text-align: center;">—</td>';
+    }
+    const sign = parseFloat(stats.averageReturn) > 0 ? '+' : '';
+    return `<td style="text-align: center;">${sign}${stats.averageReturn}%<br><small>${stats.winRate}% won, n=${stats.count}</small></td>`;
+  };
+
+  const rows = Object.entries(summary.categories).map(([category, byHorizon]) => `
+              <tr>
+                <td>${labels[category] || category}</td>
+                ${summary.horizons.map(h => formatCell(byHorizon[h])).join('\n                ')}
+              </tr>`).join('');
+
+  return `
+      <h2 style="text-align: center;">Track Record</h2>
+      <table class="grid-container">
+        <tr>
+          <td class="grid-section">
+            <h3>Average return of past picks (${summary.firstReport} to ${summary.lastReport})</h3>
+            <table style="width: 100%;">
+              <tr>
+                <th style="text-align: left;">Category</th>
+                ${summary.horizons.map(h => `<th>${h} days</th>`).join('\n                ')}
+              </tr>${rows}
+              <tr>
+                <td><strong>All picks</strong></td>
+                ${summary.horizons.map(h => formatCell(summary.overall[h])).join('\n                ')}
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    `;
+}
+
+// ===== COMMAND LINE RUNNER =====
+
+/**
+ * Main entry point when run directly (e.g., node src/backtest.js osrs); the same as mogul backtest
+ */
+async function main() {
+  console.log('📈 Mythic Market Mogul Backtest');
+  console.log('===============================');
+
+  // Loaded here rather than at the top: the game adapters import the runner, which imports this module
+  const { main: runCli } = await import('./cli.js');
+  process.exitCode = await runCli(['backtest', ...process.argv.slice(2)]);
+}
+
+// Run main function if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,546 @@
+#!/usr/bin/env node
+
+/**
+ * Mythic Market Mogul Command Line Interface
+ *
+ *   mogul analyze <game> [--budget 50m] [--members-only] [--strategy name] [--portfolio file] [--output file]
+ *   mogul report <game> [--from results.json] [--output file]
+ *   mogul backtest <game> [--output file]
+ *   mogul backfill osrs [--limit n] [--delay ms]
+ *   mogul refresh eve --sde <archive> [--output file]
+ *   mogul buy|sell <game> --item <id> --quantity <n> --price <each> [--fee amount] [--date YYYY-MM-DD]
+ *   mogul send [game] [--dry-run]
+ *
+ * Every command accepts --json to print a machine-readable result on stdout (progress
+ * output moves to stderr). Exit codes: 0 success, 1 the command failed, 2 bad usage.
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { osrsAdapter, parseBudget } from './osrs.js';
+import { eveAdapter } from './eve.js';
+import { parseHubs } from './eveHubs.js';
+import { runAnalysis, writePortfolioReport, writeReport } from './core/runner.js';
+import { buildNewsletter, loadSubscribers, sendNewsletter } from './core/newsletter.js';
+import { runBacktest } from './backtest.js';
+import { runOSRSBackfill } from './osrsBackfill.js';
+import { refreshSDE } from './eveSdeRefresh.js';
+import { normaliseTrade, recordTrade } from './portfolio.js';
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const GAMES = {
+  osrs: osrsAdapter,
+  eve: eveAdapter
+};
+
+// Flags shared by every command, then the game-specific analysis flags
+const OPTIONS = {
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  output: { type: 'string', short: 'o' },
+  from: { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  limit: { type: 'string' },
+  delay: { type: 'string' },
+  sde: { type: 'string' },
+  portfolio: { type: 'string' },
+  item: { type: 'string' },
+  name: { type: 'string' },
+  quantity: { type: 'string' },
+  price: { type: 'string' },
+  fee: { type: 'string' },
+  date: { type: 'string' },
+  strategy: { type: 'string' },
+  'min-history-days': { type: 'string' },
+  budget: { type: 'string' },
+  'members-only': { type: 'boolean', default: false },
+  'holding-hours': { type: 'string' },
+  'skip-realtime': { type: 'boolean', default: false },
+  flip: { type: 'boolean', default: false },
+  concurrency: { type: 'string' },
+  offline: { type: 'boolean', default: false },
+  hubs: { type: 'string' },
+  'skip-order-book': { type: 'boolean', default: false },
+  'include-groups': { type: 'string' },
+  'exclude-groups': { type: 'string' },
+  arbitrage: { type: 'boolean', default: false },
+  accounting: { type: 'string' },
+  'broker-relations': { type: 'string' }
+};
+
+// Which games each game-specific flag applies to
+const GAME_FLAGS = {
+  budget: ['osrs'],
+  'members-only': ['osrs'],
+  'holding-hours': ['osrs'],
+  'skip-realtime': ['osrs'],
+  flip: ['osrs'],
+  concurrency: ['eve'],
+  offline: ['eve'],
+  hubs: ['eve'],
+  'skip-order-book': ['eve'],
+  'include-groups': ['eve'],
+  'exclude-groups': ['eve'],
+  arbitrage: ['eve'],
+  accounting: ['eve'],
+  'broker-relations': ['eve']
+};
+
+const USAGE = `Usage: mogul <command> [game] [options]
+
+Commands:
+  analyze <game>     Analyze a market and write its results JSON
+  report <game>      Render results JSON into the game's HTML report
+  backtest <game>    Measure how archived recommendations performed
+  backfill osrs      Fill missing OSRS price history from the Grand Exchange graph
+  refresh eve        Rebuild the EVE item catalogue from a downloaded SDE and show what changed
+  buy <game>         Log a purchase in your portfolio
+  sell <game>        Log a sale from your portfolio
+  send [game]        Email the current report to subscribers (all games by default)
+
+Games: ${Object.keys(GAMES).join(', ')}
+
+Options:
+  --json                    Print the result as JSON on stdout
+  -o, --output <file>       Where to write the results, report or backtest
+  --strategy <name>         Scoring strategy (analyze; see config/strategies.json)
+  --min-history-days <n>    Days of history an item needs to be recommended (analyze; default 14)
+  --budget <gp>             Size positions for a budget such as 50m (analyze osrs)
+  --members-only            Skip free-to-play items (analyze osrs)
+  --holding-hours <n>       Hours to build a position over (analyze osrs)
+  --skip-realtime           Don't fetch OSRS Wiki real-time prices (analyze osrs)
+  --flip                    Rank short-term flips after GE tax (analyze osrs)
+  --concurrency <n>         ESI requests in flight (analyze eve)
+  --offline                 Use only cached market history (analyze eve)
+  --hubs <list>             Trade hubs, e.g. jita,amarr,dodixie,rens,hek (analyze eve)
+  --skip-order-book         Don't check picks against live order books (analyze eve)
+  --include-groups <list>   Only items in these market groups, e.g. "Ships,Ship Equipment" (analyze eve)
+  --exclude-groups <list>   Skip items in these market groups, e.g. "Blueprints & Reactions" (analyze eve)
+  --arbitrage               Find routes between hubs, all hubs unless --hubs (analyze eve)
+  --accounting <0-5>        Accounting skill for arbitrage sales tax (analyze eve)
+  --broker-relations <0-5>  Broker Relations skill for arbitrage broker fees (analyze eve)
+  --from <file>             Results JSON to render (report; defaults to the game's results file)
+  --dry-run                 Show who would be emailed without sending (send)
+  --limit <n>               Most items to backfill this run (backfill)
+  --delay <ms>              Pause between graph requests, default 1000 (backfill)
+  --sde <file>              SDE zip or extracted folder (refresh; output defaults to data/types.json)
+  --item <id>               Item or type ID traded (buy, sell)
+  --quantity <n>            Units traded (buy, sell)
+  --price <amount>          Price per unit, e.g. 1500 or 2.5m (buy, sell)
+  --fee <amount>            GE tax or broker fees and sales tax paid, total (buy, sell)
+  --date <YYYY-MM-DD>       When the trade was made, default today (buy, sell)
+  --name <name>             Item name shown until a run prices it (buy, sell)
+  --portfolio <file>        Portfolio file (buy, sell; default data/portfolio.json), or value it
+                            on a private page, {game}-portfolio.html (analyze)
+  -h, --help                Show this help`;
+
+/**
+ * Creates an error for invalid command-line usage (exit code 2)
+ * @param {string} message - What was wrong
+ * @returns {Error} Error flagged as a usage error
+ */
+function usageError(message) {
+  return Object.assign(new Error(message), { usage: true });
+}
+
+/**
+ * Looks up a game adapter by ID
+ * @param {string} game - Game ID from the command line
+ * @returns {import('./core/gameAdapter.js').GameAdapter} Game adapter
+ */
+function getAdapter(game) {
+  if (!game) {
+    throw usageError('Missing game');
+  }
+  if (!GAMES[game]) {
+    throw usageError(`Unknown game "${game}". Expected one of: ${Object.keys(GAMES).join(', ')}`);
+  }
+  return GAMES[game];
+}
+
+/**
+ * Parses a positive whole number flag
+ * @param {string} value - Flag value
+ * @param {string} flag - Flag name for error messages
+ * @returns {number|undefined} Parsed number (undefined if the flag wasn't given)
+ */
+function parsePositiveInteger(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw usageError(`--${flag} must be a positive whole number`);
+  }
+  return number;
+}
+
+/**
+ * Parses a skill level flag
+ * @param {string} value - Flag value
+ * @param {string} flag - Flag name for error messages
+ * @returns {number|undefined} Skill level (undefined if the flag wasn't given)
+ */
+function parseSkillLevel(value, flag) {
+  if (value === undefined) return undefined;
+  const level = Number(value);
+  if (!Number.isInteger(level) || level < 0 || level > 5) {
+    throw usageError(`--${flag} must be a skill level from 0 to 5`);
+  }
+  return level;
+}
+
+/**
+ * Builds the arbitrage option from the arbitrage flags
+ * @param {Object} flags - Parsed flags
+ * @returns {boolean|Object} false, true, or config overrides with the given skill levels
+ */
+function parseArbitrage(flags) {
+  const skills = {
+    accounting: parseSkillLevel(flags.accounting, 'accounting'),
+    brokerRelations: parseSkillLevel(flags['broker-relations'], 'broker-relations')
+  };
+  const given = Object.fromEntries(Object.entries(skills).filter(([, level]) => level !== undefined));
+  
+  if (!flags.arbitrage) {
+    if (Object.keys(given).length > 0) {
+      throw usageError('--accounting and --broker-relations need --arbitrage');
+    }
+    return false;
+  }
+  return Object.keys(given).length > 0 ? { skills: given } : true;
+}
+
+// ===== COMMANDS =====
+
+/**
+ * Analyzes a game's market and writes its results file
+ * @param {string} game - Game ID
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<Object>} { result, summary } for --json and human output
+ */
+async function analyzeCommand(game, flags) {
+  const adapter = getAdapter(game);
+
+  for (const [flag, games] of Object.entries(GAME_FLAGS)) {
+    if (flags[flag] !== undefined && flags[flag] !== false && !games.includes(game)) {
+      throw usageError(`--${flag} only applies to ${games.join(', ')}`);
+    }
+  }
+
+  if (flags.flip && flags['skip-realtime']) {
+    throw usageError('--flip needs real-time prices, so it cannot be combined with --skip-realtime');
+  }
+
+  if (flags.budget !== undefined) {
+    try {
+      parseBudget(flags.budget);
+    } catch (error) {
+      throw usageError(error.message);
+    }
+  }
+
+  if (flags.hubs) {
+    try {
+      parseHubs(flags.hubs);
+    } catch (error) {
+      throw usageError(error.message);
+    }
+  }
+
+  const results = await runAnalysis(adapter, {
+    isGitHubActions: process.env.GITHUB_ACTIONS === 'true',
+    logFile: adapter.logFile,
+    strategy: flags.strategy,
+    minHistoryDays: parsePositiveInteger(flags['min-history-days'], 'min-history-days'),
+    budget: flags.budget,
+    membersOnly: flags['members-only'],
+    holdingWindowHours: parsePositiveInteger(flags['holding-hours'], 'holding-hours'),
+    realtimePrices: !flags['skip-realtime'],
+    flipping: flags.flip,
+    concurrency: parsePositiveInteger(flags.concurrency, 'concurrency'),
+    offline: flags.offline,
+    hubs: flags.hubs,
+    orderBook: !flags['skip-order-book'],
+    includeGroups: flags['include-groups'],
+    excludeGroups: flags['exclude-groups'],
+    arbitrage: parseArbitrage(flags),
+    portfolioFile: flags.portfolio
+  });
+
+  // The portfolio stays out of the results file, which the report and newsletter are built from
+  const { portfolio, ...published } = results;
+  const outputFile = flags.output || adapter.resultsFile;
+  fs.writeFileSync(outputFile, JSON.stringify(published, null, 2));
+  const portfolioFile = portfolio ? writePortfolioReport(adapter, portfolio) : null;
+
+  const counts = Object.entries(adapter.categories)
+    .map(([category, label]) => `${label}: ${results[category]?.length || 0} items`);
+  return {
+    result: results,
+    summary: [
+      `Results saved to ${outputFile}`,
+      ...counts,
+      ...(portfolioFile ? [`Portfolio saved to ${portfolioFile}`] : [])
+    ]
+  };
+}
+
+/**
+ * Renders a results file into a game's HTML report
+ * @param {string} game - Game ID
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<Object>} { result, summary }
+ */
+async function reportCommand(game, flags) {
+  const adapter = getAdapter(game);
+  const inputFile = flags.from || adapter.resultsFile;
+  const outputFile = flags.output || adapter.reportTemplate;
+
+  if (!fs.existsSync(inputFile)) {
+    throw new Error(`Results file not found: ${inputFile}. Run "mogul analyze ${game}" first.`);
+  }
+
+  const results = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+  writeReport(adapter, results, outputFile);
+
+  return {
+    result: { game, from: inputFile, output: outputFile, failedRun: Boolean(results.error) },
+    summary: [`Rendered ${inputFile} into ${outputFile}`]
+  };
+}
+
+/**
+ * Backtests a game's archived recommendations
+ * @param {string} game - Game ID
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<Object>} { result, summary }
+ */
+async function backtestCommand(game, flags) {
+  const summary = runBacktest(getAdapter(game));
+  const outputFile = flags.output || `${game}-backtest.json`;
+  fs.writeFileSync(outputFile, JSON.stringify(summary, null, 2));
+
+  return {
+    result: summary,
+    summary: [
+      `Replayed ${summary.reportsReplayed} reports (${summary.picks} picks)`,
+      ...summary.horizons.map(horizon => {
+        const stats = summary.overall[horizon];
+        return `  ${horizon} days: ${stats.count > 0 ? `${stats.averageReturn}% average, ${stats.winRate}% won (n=${stats.count})` : 'not enough history yet'}`;
+      }),
+      `Results saved to ${outputFile}`
+    ]
+  };
+}
+
+/**
+ * Backfills a game's price history
+ * @param {string} game - Game ID (only OSRS keeps a local history that needs backfilling)
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<Object>} { result, summary, failed }
+ */
+async function backfillCommand(game, flags) {
+  getAdapter(game);
+  if (game !== 'osrs') {
+    throw usageError('backfill only applies to osrs (EVE history comes from ESI in full)');
+  }
+
+  const limit = parsePositiveInteger(flags.limit, 'limit');
+  const delayMs = flags.delay === undefined ? undefined : Number(flags.delay);
+  if (delayMs !== undefined && !(Number.isInteger(delayMs) && delayMs >= 0)) {
+    throw usageError('--delay must be a whole number of milliseconds');
+  }
+
+  const summary = await runOSRSBackfill({ limit, delayMs });
+
+  return {
+    result: summary,
+    summary: [
+      `Backfilled ${summary.itemsBackfilled} items (${summary.daysAdded} days added)`,
+      ...(summary.failed.length > 0 ? [`No graph for ${summary.failed.length} items: ${summary.failed.join(', ')}`] : [])
+    ],
+    // Items missing from the graph API are expected; only a run that fetched nothing failed
+    failed: summary.failed.length > 0 && summary.itemsBackfilled === 0
+  };
+}
+
+/**
+ * Rebuilds a game's item catalogue from a downloaded data export
+ * @param {string} game - Game ID (only EVE has a local catalogue)
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<Object>} { result, summary }
+ */
+async function refreshCommand(game, flags) {
+  getAdapter(game);
+  if (game !== 'eve') {
+    throw usageError('refresh only applies to eve (OSRS items come from Weirdgloop on every run)');
+  }
+  if (!flags.sde) {
+    throw usageError('refresh needs --sde <archive>');
+  }
+
+  const result = await refreshSDE({ archive: flags.sde, outputFile: flags.output });
+  const build = (sde) => sde ? `build ${sde.buildNumber} (${sde.releaseDate})` : 'unknown build';
+
+  return {
+    result,
+    summary: [
+      `Catalogue rebuilt from ${build(result.sde)}, previously ${build(result.previousSde)}: ${result.keptEntries} tradeable types`,
+      `${result.added.length} added, ${result.removed.length} removed, ${result.renamed.length} renamed`,
+      ...result.added.map(item => `  + ${item.name} (${item.id})`),
+      ...result.removed.map(item => `  - ${item.name} (${item.id})`),
+      ...result.renamed.map(item => `  ~ ${item.from} → ${item.to} (${item.id})`),
+      `Catalogue saved to ${result.outputFile}`
+    ]
+  };
+}
+
+/**
+ * Logs a trade in the portfolio
+ * @param {string} side - 'buy' or 'sell'
+ * @param {string} game - Game ID
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<Object>} { result, summary }
+ */
+async function tradeCommand(side, game, flags) {
+  const adapter = getAdapter(game);
+  for (const flag of ['item', 'quantity', 'price']) {
+    if (flags[flag] === undefined) {
+      throw usageError(`${side} needs --${flag}`);
+    }
+  }
+
+  const trade = { side, id: flags.item, name: flags.name, quantity: flags.quantity, price: flags.price, fee: flags.fee, date: flags.date };
+  try {
+    normaliseTrade(trade);
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const { trade: recorded, position } = recordTrade(game, trade, flags.portfolio);
+  const formatPrice = adapter.formatPrice || ((amount) => amount.toLocaleString());
+
+  return {
+    result: { game, trade: recorded, position },
+    summary: [
+      `${side === 'buy' ? 'Bought' : 'Sold'} ${recorded.quantity.toLocaleString()} × ${position.name} at ${formatPrice(recorded.price)} on ${recorded.date}`,
+      position.quantity > 0
+        ? `Now holding ${position.quantity.toLocaleString()} at an average cost of ${formatPrice(position.averageCost)}`
+        : 'Position closed',
+      ...(position.realised !== 0 ? [`Realised so far: ${position.realised > 0 ? '+' : ''}${formatPrice(position.realised)}`] : [])
+    ]
+  };
+}
+
+/**
+ * Emails the current reports to subscribers
+ * @param {string|undefined} game - Game ID (all games when omitted)
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<Object>} { result, summary, failed }
+ */
+async function sendCommand(game, flags) {
+  const adapters = game ? [getAdapter(game)] : Object.values(GAMES);
+  const sends = [];
+
+  for (const adapter of adapters) {
+    const subscribers = await loadSubscribers(adapter);
+
+    if (flags['dry-run']) {
+      const { subject } = buildNewsletter(adapter, subscribers);
+      sends.push({ game: adapter.id, dryRun: true, subject, recipients: subscribers });
+    } else {
+      sends.push({ game: adapter.id, ...await sendNewsletter(adapter, subscribers) });
+    }
+  }
+
+  return {
+    result: sends,
+    summary: sends.map(send => send.dryRun
+      ? `${send.game}: would send "${send.subject}" to ${send.recipients.length} subscriber(s)${send.recipients.length ? `: ${send.recipients.join(', ')}` : ''}`
+      : `${send.game}: ${send.sent ? `sent to ${send.recipients} subscriber(s)` : `not sent (${send.reason})`}`),
+    // Nobody to send to isn't a failure; a missing key or a Brevo error is
+    failed: sends.some(send => !send.dryRun && !send.sent && send.reason !== 'no-subscribers')
+  };
+}
+
+const COMMANDS = {
+  analyze: analyzeCommand,
+  report: reportCommand,
+  backtest: backtestCommand,
+  backfill: backfillCommand,
+  refresh: refreshCommand,
+  buy: (game, flags) => tradeCommand('buy', game, flags),
+  sell: (game, flags) => tradeCommand('sell', game, flags),
+  send: sendCommand
+};
+
+// ===== MAIN APPLICATION =====
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}\nRun "mogul --help" for usage.`);
+    return EXIT_USAGE;
+  }
+
+  const { values: flags, positionals: [command, game, ...extra] } = parsed;
+
+  if (flags.help || !command) {
+    console.log(USAGE);
+    return flags.help ? EXIT_SUCCESS : EXIT_USAGE;
+  }
+
+  // Keep stdout for the JSON document; progress logging goes to stderr
+  const stdout = console.log;
+  if (flags.json) {
+    console.log = console.error;
+  }
+
+  try {
+    if (!COMMANDS[command]) {
+      throw usageError(`Unknown command "${command}"`);
+    }
+    if (extra.length > 0) {
+      throw usageError(`Unexpected argument "${extra[0]}"`);
+    }
+
+    const { result, summary, failed = false } = await COMMANDS[command](game, flags);
+
+    if (flags.json) {
+      stdout(JSON.stringify(result, null, 2));
+    } else {
+      console.log('');
+      summary.forEach(line => console.log(line));
+    }
+    return failed ? EXIT_FAILURE : EXIT_SUCCESS;
+  } catch (error) {
+    if (error.usage) {
+      console.error(`❌ ${error.message}\nRun "mogul --help" for usage.`);
+      return EXIT_USAGE;
+    }
+    console.error(`❌ mogul ${command} failed:`, error.message);
+    if (flags.json) {
+      stdout(JSON.stringify({ error: error.message }, null, 2));
+    }
+    return EXIT_FAILURE;
+  } finally {
+    console.log = stdout;
+  }
+}
+
+// Run main function if this file is executed directly (resolving the npm bin symlink)
+if (process.argv[1] && fileURLToPath(import.meta.url) === fs.realpathSync(process.argv[1])) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,222 @@
+/**
+ * Game-Agnostic Analysis Functions
+ * Metrics over a normalised daily series: [{ timestamp, price, volume }] sorted oldest first
+ */
+
+import { calculateIndicators } from './indicators.js';
+
+// Fewest days of history an item needs before it can be recommended
+export const DEFAULT_MIN_HISTORY_DAYS = 14;
+
+// Days of history for a good or fair grade (the 30-vs-60 momentum needs 60, the full trend 90)
+const DATA_GRADE_DAYS = { good: 90, fair: 60 };
+
+/**
+ * Calculates the percentage change in price over the period
+ * @param {Array} series - Normalised daily series
+ * @returns {number} Percentage change
+ */
+export function calculatePriceChange(series) {
+  if (series.length < 2) return 0;
+  
+  const firstPrice = series[0].price;
+  const lastPrice = series[series.length - 1].price;
+  
+  return ((lastPrice - firstPrice) / firstPrice) * 100;
+}
+
+/**
+ * Calculates price volatility (standard deviation)
+ * @param {Array} series - Normalised daily series
+ * @returns {number} Volatility as percentage of mean
+ */
+export function calculateVolatility(series) {
+  if (series.length < 2) return 0;
+  
+  const prices = series.map(p => p.price);
+  const mean = prices.reduce((a, b) => a + b, 0) / prices.length;
+  
+  const squaredDiffs = prices.map(price => Math.pow(price - mean, 2));
+  const variance = squaredDiffs.reduce((a, b) => a + b, 0) / prices.length;
+  const stdDev = Math.sqrt(variance);
+  
+  return (stdDev / mean) * 100;
+}
+
+/**
+ * Calculates recent momentum (30-day vs 60-day average)
+ * @param {Array} series - Normalised daily series
+ * @returns {number} Momentum score
+ */
+export function calculateMomentum(series) {
+  if (series.length < 60) return 0;
+  
+  const recent30 = series.slice(-30);
+  const previous30 = series.slice(-60, -30);
+  
+  const recent30Avg = recent30.reduce((sum, p) => sum + p.price, 0) / recent30.length;
+  const previous30Avg = previous30.reduce((sum, p) => sum + p.price, 0) / previous30.length;
+  
+  return ((recent30Avg - previous30Avg) / previous30Avg) * 100;
+}
+
+/**
+ * Calculates the average daily volume over recent history
+ * Days without a recorded volume are ignored
+ * @param {Array} series - Normalised daily series
+ * @param {number} days - Number of recent days to average
+ * @returns {number|null} Average daily volume (null if no volume history)
+ */
+export function calculateAverageVolume(series, days = 30) {
+  const volumes = series.slice(-days)
+    .map(p => p.volume)
+    .filter(volume => volume !== null && volume !== undefined);
+  
+  if (volumes.length === 0) return null;
+  
+  return volumes.reduce((a, b) => a + b, 0) / volumes.length;
+}
+
+/**
+ * Calculates volume trend (7-day vs previous 30-day average volume)
+ * @param {Array} series - Normalised daily series
+ * @returns {number} Volume trend percentage
+ */
+export function calculateVolumeTrend(series) {
+  const recentVolume = calculateAverageVolume(series, 7);
+  const previousVolume = calculateAverageVolume(series.slice(0, -7), 30);
+  
+  if (!recentVolume || !previousVolume) return 0;
+  
+  return ((recentVolume - previousVolume) / previousVolume) * 100;
+}
+
+/**
+ * Calculates volume spike (latest volume as a multiple of the previous 30-day average)
+ * @param {Array} series - Normalised daily series
+ * @returns {number} Volume spike ratio (1 = normal volume)
+ */
+export function calculateVolumeSpike(series) {
+  if (series.length < 2) return 1;
+  
+  const latestVolume = series[series.length - 1].volume;
+  const previousVolume = calculateAverageVolume(series.slice(0, -1), 30);
+  
+  if (latestVolume === null || latestVolume === undefined || !previousVolume) return 1;
+  
+  return latestVolume / previousVolume;
+}
+
+/**
+ * Categorizes volume into descriptive levels
+ * @param {number} volume - Trading volume
+ * @param {Array<number>} thresholds - Minimum volume for Very High, High, Medium and Low
+ * @returns {string} Volume category
+ */
+export function categorizeVolume(volume, [veryHigh, high, medium, low]) {
+  if (volume >= veryHigh) return 'Very High';
+  if (volume >= high) return 'High';
+  if (volume >= medium) return 'Medium';
+  if (volume >= low) return 'Low';
+  return 'Very Low';
+}
+
+/**
+ * Grades how far a series can be trusted
+ * @param {Array} series - Normalised daily series
+ * @param {number} minHistoryDays - Fewest days needed to be eligible
+ * @returns {Object} { grade, days, flat, eligible }: grade is good, fair, poor or insufficient;
+ *   flat means the price never changed (no variance to measure)
+ */
+export function assessDataQuality(series, minHistoryDays = DEFAULT_MIN_HISTORY_DAYS) {
+  const days = series.length;
+  const flat = series.every(p => p.price === series[0].price);
+  
+  let grade = 'poor';
+  if (days < minHistoryDays || flat) {
+    grade = 'insufficient';
+  } else if (days >= DATA_GRADE_DAYS.good) {
+    grade = 'good';
+  } else if (days >= DATA_GRADE_DAYS.fair) {
+    grade = 'fair';
+  }
+  
+  return { grade, days, flat, eligible: grade !== 'insufficient' };
+}
+
+/**
+ * Explains why an item's data rules it out of the recommendations
+ * @param {Object} dataQuality - Grade from assessDataQuality
+ * @param {number} minHistoryDays - Fewest days needed to be eligible
+ * @returns {Object|null} Exclusion reason and detail, or null if the data is good enough
+ */
+export function getDataQualityExclusion(dataQuality, minHistoryDays = DEFAULT_MIN_HISTORY_DAYS) {
+  if (dataQuality.eligible) return null;
+  
+  if (dataQuality.days < minHistoryDays) {
+    return {
+      reason: 'insufficient-history',
+      detail: `${dataQuality.days} days of history (needs ${minHistoryDays})`
+    };
+  }
+  return {
+    reason: 'flat-price',
+    detail: `Price unchanged over ${dataQuality.days} days`
+  };
+}
+
+/**
+ * Calculates every shared metric for a series and scores it with a strategy
+ * @param {Array} series - Normalised daily series (at least one point)
+ * @param {Object} strategy - Scoring strategy from getStrategy
+ * @param {Object} options - Analysis options
+ * @param {number} options.minHistoryDays - Fewest days needed to be eligible
+ * @returns {Object} Metrics, technical indicators, investment score, risk level and data
+ *   quality (numbers, unformatted)
+ */
+export function analyzeSeries(series, strategy, { minHistoryDays = DEFAULT_MIN_HISTORY_DAYS } = {}) {
+  const priceChange = calculatePriceChange(series);
+  const volatility = calculateVolatility(series);
+  const momentum = calculateMomentum(series);
+  const averageVolume = calculateAverageVolume(series);
+  const volumeTrend = calculateVolumeTrend(series);
+  const volumeSpike = calculateVolumeSpike(series);
+  const indicators = calculateIndicators(series);
+  
+  const investmentScore = strategy.score({ priceChange, volatility, momentum, volumeTrend, volumeSpike, indicators });
+  
+  // Determine risk level based on volatility
+  // High risk: volatility >= 15%
+  // Low risk: volatility < 15%
+  const riskLevel = volatility >= 15 ? 'high' : 'low';
+  
+  return {
+    currentPrice: series[series.length - 1].price,
+    startPrice: series[0].price,
+    currentVolume: series[series.length - 1].volume,
+    priceChange,
+    volatility,
+    momentum,
+    averageVolume,
+    volumeTrend,
+    volumeSpike,
+    indicators,
+    investmentScore,
+    riskLevel,
+    dataPoints: series.length,
+    dataQuality: assessDataQuality(series, minHistoryDays)
+  };
+}
+
+/**
+ * Picks the top-scoring results that match a filter
+ * @param {Array} results - Analysis results
+ * @param {Function} filter - Predicate selecting the category's results
+ * @param {number} count - Number of results to keep
+ * @returns {Array} Top results by investment score
+ */
+export function topByScore(results, filter, count) {
+  return results.filter(filter)
+    .sort((a, b) => parseFloat(b.investmentScore) - parseFloat(a.investmentScore))
+    .slice(0, count);
+}
@@ -0,0 +1,57 @@
+/**
+ * Game Adapter Interface
+ * Everything the core pipeline needs to know about one game's market
+ *
+ * The pipeline runs fetch → normalise → history → analyse → categorise → render → notify,
+ * calling into the adapter for the game-specific parts. Adding a market means writing one
+ * adapter object; see src/osrs.js and src/eve.js for the two existing ones.
+ */
+
+/**
+ * @typedef {Object} GameAdapter
+ * @property {string} id - Short game ID, also used for file names ('osrs', 'eve')
+ * @property {string} title - Display name for logs and email subjects
+ * @property {string} reportTemplate - HTML report updated in place (e.g. 'docs/osrs/index.html')
+ * @property {string} resultsFile - JSON results file written by the runner
+ * @property {string} logFile - Analysis log written by the runner
+ * @property {Object<string, string>} categories - Result categories and their report labels
+ * @property {Object} newsletter - Brevo settings: { listId, fallbackSubscribers } (fallbackSubscribers are emailed if the list can't be loaded)
+ * @property {number} progressInterval - Log progress every N items
+ *
+ * Pipeline stages (context holds options, log, strategy, http, excluded, and whatever prepare returns):
+ * @property {Function} [prepare] - (context) => Object; validates options and sets up clients
+ * @property {Function} fetchItems - async (context) => Array; fetches and normalises the item list
+ * @property {Function} openHistory - (context) => Object; loads the history store
+ * @property {Function} loadSeries - async (item, context) => Array|null; normalised daily series (or per-market
+ *   series); null or empty skips the item
+ * @property {Function} analyzeItem - (series, item, context) => Object; per-item result, with the
+ *   dataQuality from analyzeSeries that decides whether it has enough history to recommend
+ * @property {Function} [markPrice] - (series, result, context) => number|null; latest price a held
+ *   item is valued at, whether or not it has enough history to recommend (default result.currentPrice)
+ * @property {Function} [excludeItem] - (result, context) => Object|null; { reason, detail } to drop an item
+ * @property {Function} [mapItems] - async (items, worker, context); runs the worker over items (default sequential)
+ * @property {Function} [enrichResults] - async (results, context); extra fetching for shortlisted results before categorising
+ * @property {Function} closeHistory - (context) => void; writes the history store
+ * @property {Function} categorise - (results, context) => Object; top picks per category
+ * @property {Function} [summarise] - (context) => Object; extra top-level result fields
+ * @property {Function} renderContent - (results) => string; HTML for the report's content area
+ * @property {Function} [formatPrice] - (amount) => string; formats prices in the game's currency
+ */
+
+const REQUIRED_PROPERTIES = [
+  'id', 'title', 'reportTemplate', 'resultsFile', 'logFile', 'categories', 'newsletter',
+  'fetchItems', 'openHistory', 'loadSeries', 'analyzeItem', 'closeHistory', 'categorise', 'renderContent'
+];
+
+/**
+ * Checks that an adapter implements the interface
+ * @param {GameAdapter} adapter - Adapter to check
+ * @returns {GameAdapter} The same adapter
+ */
+export function defineGameAdapter(adapter) {
+  const missing = REQUIRED_PROPERTIES.filter(property => adapter[property] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Game adapter "${adapter.id || 'unknown'}" is missing: ${missing.join(', ')}`);
+  }
+  return { progressInterval: 100, ...adapter };
+}
@@ -0,0 +1,64 @@
+/**
+ * Core HTTP Layer
+ * Every network call the analyzers make goes through one of these, so it can be swapped out
+ *
+ * Live runs use the global fetch and the Brevo SDK. Tests and offline tools pass their own
+ * layer (see test/helpers/fixtureHttp.js) through the `http` option to replay recorded
+ * responses instead of touching the network.
+ */
+
+import * as brevo from '@getbrevo/brevo';
+
+/**
+ * Creates Brevo API clients backed by the official SDK
+ * @param {string} apiKey - Brevo API key
+ * @returns {Object} { getContactsFromList(listId, { limit, offset }), sendTransacEmail(email) },
+ *   both resolving to the response body
+ */
+export function createBrevoClient(apiKey) {
+  const contactsApi = new brevo.ContactsApi();
+  contactsApi.setApiKey(brevo.ContactsApiApiKeys.apiKey, apiKey);
+
+  const emailsApi = new brevo.TransactionalEmailsApi();
+  emailsApi.setApiKey(brevo.TransactionalEmailsApiApiKeys.apiKey, apiKey);
+
+  return {
+    /**
+     * Gets one page of contacts from a list
+     * @param {number} listId - Brevo contact list ID
+     * @param {Object} page - { limit, offset }
+     * @returns {Promise<Object>} { contacts, count }
+     */
+    async getContactsFromList(listId, { limit, offset }) {
+      const { body } = await contactsApi.getContactsFromList(listId, undefined, limit, offset);
+      return body;
+    },
+
+    /**
+     * Sends a transactional email
+     * @param {Object} email - { subject, htmlContent, sender, to, replyTo }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async sendTransacEmail(email) {
+      const sendSmtpEmail = Object.assign(new brevo.SendSmtpEmail(), email);
+      const { body } = await emailsApi.sendTransacEmail(sendSmtpEmail);
+      return body;
+    }
+  };
+}
+
+/**
+ * Creates an HTTP layer
+ * @param {Object} overrides - Replacements for the live implementations
+ * @param {Function} overrides.fetch - fetch-compatible function (url, init) => Promise<Response>
+ * @param {Function} overrides.brevo - Brevo client factory (apiKey) => client (see createBrevoClient)
+ * @returns {Object} { fetch, brevo }
+ */
+export function createHttpLayer(overrides = {}) {
+  return {
+    // Resolved on each call so a fetch installed after import is still picked up
+    fetch: (url, init) => globalThis.fetch(url, init),
+    brevo: createBrevoClient,
+    ...overrides
+  };
+}
@@ -0,0 +1,251 @@
+/**
+ * Technical Indicators
+ * Indicators over a normalised daily series: [{ timestamp, price, volume, high?, low? }] sorted oldest first
+ *
+ * Each indicator returns null when the series is too short for its period, so callers
+ * (and strategies) can tell "no signal" from a neutral reading. Only EVE series carry a
+ * daily high and low, so the ATR-style range is null for OSRS.
+ */
+
+export const DEFAULT_INDICATOR_PERIODS = {
+  emaFast: 12,
+  emaSlow: 26,
+  smaFast: 20,
+  smaSlow: 50,
+  rsi: 14,
+  bollinger: 20,
+  bollingerDeviations: 2,
+  atr: 14
+};
+
+// ===== MOVING AVERAGES =====
+
+/**
+ * Calculates a simple moving average at every point
+ * @param {Array<number>} values - Values, oldest first
+ * @param {number} period - Number of values averaged
+ * @returns {Array<number|null>} Average ending at each point (null until a full period is in)
+ */
+export function smaSeries(values, period) {
+  let sum = 0;
+  return values.map((value, i) => {
+    sum += value;
+    if (i >= period) sum -= values[i - period];
+    return i >= period - 1 ? sum / period : null;
+  });
+}
+
+/**
+ * Calculates an exponential moving average at every point (seeded with the first period's SMA)
+ * @param {Array<number>} values - Values, oldest first
+ * @param {number} period - EMA period
+ * @returns {Array<number|null>} Average ending at each point (null until a full period is in)
+ */
+export function emaSeries(values, period) {
+  const k = 2 / (period + 1);
+  const result = [];
+  let ema = null;
+
+  values.forEach((value, i) => {
+    if (i === period - 1) {
+      ema = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    } else if (ema !== null) {
+      ema = value * k + ema * (1 - k);
+    }
+    result.push(ema);
+  });
+  return result;
+}
+
+/**
+ * Compares a fast and a slow moving average
+ * @param {Array<number|null>} fast - Fast average at every point
+ * @param {Array<number|null>} slow - Slow average at every point
+ * @returns {Object|null} { fast, slow, gap, trend, crossedDaysAgo }: gap is the fast average's
+ *   distance above the slow one (%), trend is "bullish" when fast is above slow, and
+ *   crossedDaysAgo counts days since the last cross (null if they haven't crossed)
+ */
+export function compareAverages(fast, slow) {
+  const last = fast.length - 1;
+  if (last < 0 || fast[last] === null || slow[last] === null) return null;
+
+  const above = (i) => fast[i] > slow[i];
+  let crossedDaysAgo = null;
+  for (let i = last; i > 0 && slow[i - 1] !== null && fast[i - 1] !== null; i--) {
+    if (above(i) !== above(i - 1)) {
+      crossedDaysAgo = last - i;
+      break;
+    }
+  }
+
+  return {
+    fast: fast[last],
+    slow: slow[last],
+    gap: slow[last] !== 0 ? (fast[last] - slow[last]) / slow[last] * 100 : 0,
+    trend: above(last) ? 'bullish' : 'bearish',
+    crossedDaysAgo
+  };
+}
+
+// ===== OSCILLATORS AND BANDS =====
+
+/**
+ * Calculates the Relative Strength Index with Wilder's smoothing
+ * @param {Array} series - Normalised daily series
+ * @param {number} period - RSI period
+ * @returns {number|null} RSI (0-100; above 70 overbought, below 30 oversold)
+ */
+export function calculateRSI(series, period = DEFAULT_INDICATOR_PERIODS.rsi) {
+  if (series.length <= period) return null;
+
+  let averageGain = 0;
+  let averageLoss = 0;
+  for (let i = 1; i < series.length; i++) {
+    const change = series[i].price - series[i - 1].price;
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+
+    if (i <= period) {
+      averageGain += gain / period;
+      averageLoss += loss / period;
+    } else {
+      averageGain = (averageGain * (period - 1) + gain) / period;
+      averageLoss = (averageLoss * (period - 1) + loss) / period;
+    }
+  }
+
+  if (averageLoss === 0) return averageGain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + averageGain / averageLoss);
+}
+
+/**
+ * Calculates Bollinger bands over the most recent period
+ * @param {Array} series - Normalised daily series
+ * @param {number} period - Number of days in the band
+ * @param {number} deviations - Band half-width in standard deviations
+ * @returns {Object|null} { middle, upper, lower, width, position }: width is the band's width
+ *   as % of the middle, position where the latest price sits (0 = lower band, 1 = upper band)
+ */
+export function calculateBollingerBands(series, period = DEFAULT_INDICATOR_PERIODS.bollinger, deviations = DEFAULT_INDICATOR_PERIODS.bollingerDeviations) {
+  if (series.length < period) return null;
+
+  const prices = series.slice(-period).map(p => p.price);
+  const middle = prices.reduce((a, b) => a + b, 0) / period;
+  const stdDev = Math.sqrt(prices.reduce((sum, price) => sum + Math.pow(price - middle, 2), 0) / period);
+  const upper = middle + deviations * stdDev;
+  const lower = middle - deviations * stdDev;
+  const price = prices[prices.length - 1];
+
+  return {
+    middle,
+    upper,
+    lower,
+    width: middle !== 0 ? (upper - lower) / middle * 100 : 0,
+    position: upper > lower ? (price - lower) / (upper - lower) : 0.5
+  };
+}
+
+/**
+ * Calculates the Average True Range from each day's high and low
+ * @param {Array} series - Normalised daily series with high and low
+ * @param {number} period - ATR period (Wilder's smoothing)
+ * @returns {Object|null} { atr, atrPercent } (atrPercent is the ATR as % of the latest price),
+ *   or null without enough high/low history
+ */
+export function calculateATR(series, period = DEFAULT_INDICATOR_PERIODS.atr) {
+  const ranged = series.filter(p => p.high != null && p.low != null);
+  if (ranged.length <= period) return null;
+
+  let atr = 0;
+  for (let i = 1; i < ranged.length; i++) {
+    const { high, low } = ranged[i];
+    const previousClose = ranged[i - 1].price;
+    const trueRange = Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+    atr = i <= period ? atr + trueRange / period : (atr * (period - 1) + trueRange) / period;
+  }
+
+  const price = ranged[ranged.length - 1].price;
+  return { atr, atrPercent: price ? atr / price * 100 : 0 };
+}
+
+// ===== RISK =====
+
+/**
+ * Calculates the largest peak-to-trough fall in price
+ * @param {Array} series - Normalised daily series
+ * @returns {number} Maximum drawdown (% below the running peak, 0 if the price never fell)
+ */
+export function calculateMaxDrawdown(series) {
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+
+  for (const { price } of series) {
+    peak = Math.max(peak, price);
+    if (peak > 0) {
+      maxDrawdown = Math.max(maxDrawdown, (peak - price) / peak * 100);
+    }
+  }
+  return maxDrawdown;
+}
+
+/**
+ * Calculates the volatility of daily log returns
+ * Unlike calculateVolatility (spread of prices around their mean), this measures how much the
+ * price moves from one day to the next, so a steady trend doesn't read as volatile
+ * @param {Array} series - Normalised daily series
+ * @returns {number|null} Sample standard deviation of daily log returns (%), null under 3 days
+ */
+export function calculateLogReturnVolatility(series) {
+  const returns = [];
+  for (let i = 1; i < series.length; i++) {
+    if (series[i].price > 0 && series[i - 1].price > 0) {
+      returns.push(Math.log(series[i].price / series[i - 1].price));
+    }
+  }
+  if (returns.length < 2) return null;
+
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+  return Math.sqrt(variance) * 100;
+}
+
+// ===== ALL INDICATORS =====
+
+/**
+ * Calculates every indicator for a series
+ * @param {Array} series - Normalised daily series
+ * @param {Object} periods - Indicator periods (defaults to DEFAULT_INDICATOR_PERIODS)
+ * @returns {Object} { emaCrossover, smaCrossover, rsi, bollinger, atr, maxDrawdown, logReturnVolatility }
+ *   (numbers unformatted; null where the series is too short)
+ */
+export function calculateIndicators(series, periods = DEFAULT_INDICATOR_PERIODS) {
+  const prices = series.map(p => p.price);
+  const atr = calculateATR(series, periods.atr);
+
+  return {
+    emaCrossover: compareAverages(emaSeries(prices, periods.emaFast), emaSeries(prices, periods.emaSlow)),
+    smaCrossover: compareAverages(smaSeries(prices, periods.smaFast), smaSeries(prices, periods.smaSlow)),
+    rsi: calculateRSI(series, periods.rsi),
+    bollinger: calculateBollingerBands(series, periods.bollinger, periods.bollingerDeviations),
+    atr: atr ? atr.atr : null,
+    atrPercent: atr ? atr.atrPercent : null,
+    maxDrawdown: calculateMaxDrawdown(series),
+    logReturnVolatility: calculateLogReturnVolatility(series)
+  };
+}
+
+/**
+ * Rounds every number in a set of indicators for results and reports
+ * @param {Object} indicators - Indicators from calculateIndicators
+ * @returns {Object} Same shape, numbers rounded to 2 decimal places
+ */
+export function roundIndicators(indicators) {
+  const round = (value) => {
+    if (typeof value === 'number') return Math.round(value * 100) / 100;
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, round(v)]));
+    }
+    return value;
+  };
+  return round(indicators);
+}
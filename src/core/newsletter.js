@@ -0,0 +1,116 @@
+/**
+ * Core Newsletter Functions
+ * Loads subscribers from a Brevo contact list and emails them a game's report
+ */
+
+import fs from 'fs';
+import { formatReportDate } from './report.js';
+import { createHttpLayer } from './http.js';
+
+const SENDER = {
+  name: 'Mythic Market Mogul',
+  email: 'reports@vineyardtechnologies.org'
+};
+
+/**
+ * Loads a game's subscriber list from its Brevo contact list
+ * @param {import('./gameAdapter.js').GameAdapter} adapter - Game adapter
+ * @param {Object} http - HTTP layer from createHttpLayer (defaults to the live one)
+ * @returns {Promise<Array>} Array of subscriber email addresses
+ */
+export async function loadSubscribers(adapter, http = createHttpLayer()) {
+  const apiKey = process.env.BREVO_API_KEY;
+  const { listId, fallbackSubscribers = [] } = adapter.newsletter;
+  
+  if (!apiKey) {
+    console.log('⚠️ BREVO_API_KEY not set.');
+    return [];
+  }
+  
+  try {
+    const client = http.brevo(apiKey);
+    
+    // Get contacts from the list
+    const opts = {
+      limit: 500, // Max subscribers per request
+      offset: 0
+    };
+    
+    const response = await client.getContactsFromList(parseInt(listId), opts);
+    const emails = response.contacts.map(contact => contact.email);
+    
+    console.log(`📋 Loaded ${emails.length} ${adapter.title} subscribers from Brevo list ${listId}`);
+    return emails;
+  } catch (error) {
+    console.error('❌ Failed to load subscribers from Brevo:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.body);
+      console.error('Status code:', error.response.statusCode);
+    }
+    if (fallbackSubscribers.length > 0) {
+      console.log(`\n💡 TIP: List ID ${listId} may not exist. Falling back to test mode.`);
+    }
+    return fallbackSubscribers;
+  }
+}
+
+/**
+ * Builds a game's newsletter email from its current HTML report
+ * @param {import('./gameAdapter.js').GameAdapter} adapter - Game adapter
+ * @param {Array} subscribers - Array of subscriber emails
+ * @returns {Object} Email as { subject, htmlContent, sender, to, replyTo }
+ */
+export function buildNewsletter(adapter, subscribers) {
+  return {
+    subject: `${adapter.title} Market Analysis - ${formatReportDate()}`,
+    htmlContent: fs.readFileSync(adapter.reportTemplate, 'utf8'),
+    sender: SENDER,
+    to: subscribers.map(email => ({ email })),
+    replyTo: SENDER
+  };
+}
+
+/**
+ * Sends a game's report newsletter via Brevo
+ * @param {import('./gameAdapter.js').GameAdapter} adapter - Game adapter
+ * @param {Array} subscribers - Array of subscriber emails
+ * @param {Object} http - HTTP layer from createHttpLayer (defaults to the live one)
+ * @returns {Promise<Object>} { sent, recipients, messageId } or { sent: false, reason, error }
+ *   where reason is 'no-api-key', 'no-subscribers' or 'error'
+ */
+export async function sendNewsletter(adapter, subscribers, http = createHttpLayer()) {
+  const apiKey = process.env.BREVO_API_KEY;
+  
+  if (!apiKey) {
+    console.log('⚠️ BREVO_API_KEY not set. Skipping newsletter.');
+    return { sent: false, reason: 'no-api-key' };
+  }
+  
+  if (subscribers.length === 0) {
+    console.log(`📭 No ${adapter.title} subscribers found. Skipping newsletter.`);
+    return { sent: false, reason: 'no-subscribers' };
+  }
+  
+  try {
+    // Configure Brevo API
+    const client = http.brevo(apiKey);
+    
+    // Prepare email from the HTML report
+    const email = buildNewsletter(adapter, subscribers);
+    
+    console.log(`\n📧 Sending ${adapter.title} newsletter to ${subscribers.length} subscriber(s)...`);
+    console.log(`Subject: ${email.subject}`);
+    
+    const response = await client.sendTransacEmail(email);
+    console.log(`✅ Newsletter sent successfully! Message ID: ${response.messageId}`);
+    return { sent: true, recipients: subscribers.length, messageId: response.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send newsletter:`, error.message);
+    if (error.response) {
+      console.error('Error response body:', error.response.body);
+      console.error('Error status code:', error.response.statusCode);
+    }
+    // Don't throw - newsletter failure shouldn't break the analysis
+    return { sent: false, reason: 'error', error: error.message };
+  }
+}
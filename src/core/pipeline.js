@@ -0,0 +1,164 @@
+/**
+ * Core Analysis Pipeline
+ * Runs fetch → normalise → history → analyse → categorise for any game adapter
+ */
+
+import fs from 'fs';
+import { getStrategy } from '../strategies/index.js';
+import { createHttpLayer } from './http.js';
+import { DEFAULT_MIN_HISTORY_DAYS, getDataQualityExclusion } from './analysis.js';
+import { loadPortfolio, summarisePortfolio } from '../portfolio.js';
+
+/**
+ * Creates a logger that prints to the console and optionally appends to a log file
+ * @param {string|null} logFile - Log file path
+ * @returns {Function} Logger (message) => void
+ */
+export function createLogger(logFile = null) {
+  return (message) => {
+    console.log(message);
+    if (logFile) {
+      const timestamp = new Date().toISOString();
+      fs.appendFileSync(logFile, `${timestamp}: ${message}\n`);
+    }
+  };
+}
+
+/**
+ * Runs an item worker one item at a time
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called with each item
+ */
+async function mapSequential(items, worker) {
+  for (const item of items) {
+    await worker(item);
+  }
+}
+
+/**
+ * Runs the analysis pipeline for a game
+ * @param {import('./gameAdapter.js').GameAdapter} adapter - Game adapter
+ * @param {Object} options - Configuration options (adapter-specific options are passed through)
+ * @param {boolean} options.isGitHubActions - Running in GitHub Actions
+ * @param {string} options.logFile - Log file path
+ * @param {string} options.strategy - Scoring strategy name (see config/strategies.json)
+ * @param {number} options.minHistoryDays - Fewest days of history an item needs to be recommended
+ * @param {Object} options.http - HTTP layer from createHttpLayer (defaults to the live one)
+ * @param {string} options.portfolioFile - Portfolio to mark to market (opt-in: no portfolio is read without it)
+ * @returns {Promise<Object>} Analysis results
+ */
+export async function runPipeline(adapter, options = {}) {
+  const { isGitHubActions = false, logFile = null } = options;
+  const log = createLogger(logFile);
+  const strategy = getStrategy(options.strategy);
+  
+  const http = options.http || createHttpLayer();
+  
+  const minHistoryDays = options.minHistoryDays ?? DEFAULT_MIN_HISTORY_DAYS;
+  
+  const context = { options, log, strategy, http, minHistoryDays, excluded: [] };
+
+  // Logged trades are valued at the prices this run fetches
+  const trades = options.portfolioFile
+    ? loadPortfolio(options.portfolioFile).trades[adapter.id] || []
+    : [];
+  const heldIds = new Set(trades.map(trade => trade.id));
+  const latestPrices = new Map();
+
+  log(`🚀 ${adapter.title} Investment Analyzer (Automated)`);
+  log('='.repeat(adapter.title.length + 35));
+  log(`Strategy: ${strategy.name}`);
+  log(`Mode: ${isGitHubActions ? 'GitHub Actions' : 'Local'}`);
+  Object.assign(context, adapter.prepare ? await adapter.prepare(context) : {});
+  log('');
+
+  // Fetch and normalise the item list
+  const items = await adapter.fetchItems(context);
+  log(`Found ${items.length} suitable items`);
+
+  // Analyze ALL suitable items (no limit)
+  const itemsToAnalyze = [...items].sort(() => Math.random() - 0.5);
+  log(`Analyzing ALL ${itemsToAnalyze.length} items...`);
+  log('');
+
+  // Load history once for the whole run
+  context.history = adapter.openHistory(context);
+
+  const results = [];
+  let itemsChecked = 0;
+  let successfulAnalyses = 0;
+  
+  // How much history the analysed items had, to tell a new history store from thin markets
+  const grades = { good: 0, fair: 0, poor: 0, insufficient: 0 };
+  let longestHistory = 0;
+
+  const analyze = async (item) => {
+    const series = await adapter.loadSeries(item, context);
+    
+    if (series && series.length > 0) {
+      const result = adapter.analyzeItem(series, item, context);
+      if (heldIds.has(item.id)) {
+        const price = adapter.markPrice ? adapter.markPrice(series, result, context) : result.currentPrice;
+        if (price > 0) {
+          latestPrices.set(item.id, { price, name: item.name });
+        }
+      }
+      grades[result.dataQuality.grade]++;
+      longestHistory = Math.max(longestHistory, result.dataQuality.days);
+      
+      // Skip items with too little history to judge, then any the adapter's trading rules rule out
+      const exclusion = getDataQualityExclusion(result.dataQuality, minHistoryDays)
+        || (adapter.excludeItem ? adapter.excludeItem(result, context) : null);
+      if (exclusion) {
+        context.excluded.push({ id: item.id, name: item.name, ...exclusion });
+      } else {
+        results.push(result);
+        successfulAnalyses++;
+      }
+    }
+    
+    itemsChecked++;
+    if (itemsChecked % adapter.progressInterval === 0 || itemsChecked === itemsToAnalyze.length) {
+      log(`Progress: ${itemsChecked}/${itemsToAnalyze.length} (${successfulAnalyses} analyzed)`);
+    }
+  };
+
+  if (adapter.mapItems) {
+    await adapter.mapItems(itemsToAnalyze, analyze, context);
+  } else {
+    await mapSequential(itemsToAnalyze, analyze);
+  }
+
+  // Extra fetching for the results worth a closer look
+  if (adapter.enrichResults) {
+    await adapter.enrichResults(results, context);
+  }
+
+  // Write the updated history in one atomic step
+  adapter.closeHistory(context);
+
+  log('');
+  log(`✅ ${adapter.title} Analysis Complete! Analyzed ${successfulAnalyses} items`);
+  
+  // Nothing can be recommended until the history store holds enough days
+  const warmingUp = longestHistory < minHistoryDays;
+  if (warmingUp) {
+    log(`⏳ Warming up: ${longestHistory} of ${minHistoryDays} days of history collected`);
+  }
+
+  const portfolio = trades.length > 0 ? summarisePortfolio(trades, latestPrices) : null;
+  if (portfolio) {
+    log(`💼 Portfolio: ${portfolio.totals.openPositions} open positions, ${portfolio.totals.unpriced} without a price today`);
+  }
+
+  return {
+    ...adapter.categorise(results, context),
+    ...(adapter.summarise ? adapter.summarise(context) : {}),
+    ...(portfolio ? { portfolio } : {}),
+    strategy: { name: strategy.name, weights: strategy.weights, thresholds: strategy.thresholds },
+    dataQuality: { minHistoryDays, longestHistory, grades, warmingUp },
+    excluded: context.excluded,
+    totalAnalyzed: successfulAnalyses,
+    totalChecked: itemsChecked
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Core Report Rendering
+ * Fills a game's HTML report template with the latest results
+ */
+
+import fs from 'fs';
+import { generateTrackRecordHtml } from '../backtest.js';
+import { generatePortfolioHtml } from '../portfolio.js';
+
+/**
+ * Formats today's date for reports and email subjects
+ * @returns {string} Date such as "Monday, October 19, 2026"
+ */
+export function formatReportDate() {
+  return new Date().toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+/**
+ * Renders a list of items, or a placeholder when there are none
+ * @param {Array} items - Items to render
+ * @param {Function} renderItem - (item) => HTML for one item
+ * @returns {string} HTML
+ */
+export function renderItemList(items, renderItem) {
+  if (items.length === 0) {
+    return '<p class="no-items">No items found</p>';
+  }
+  return items.map(renderItem).join('\n');
+}
+
+/**
+ * Renders the notice shown while the history store is too new to recommend anything
+ * @param {Object} dataQuality - Data quality summary from the pipeline
+ * @returns {string} HTML (empty once enough history has been collected)
+ */
+function renderWarmingUp(dataQuality) {
+  if (!dataQuality?.warmingUp) {
+    return '';
+  }
+  return `
+      <div style="background: #fff3cd; color: #856404; padding: 10px; border-radius: 5px; border: 1px solid #ffeeba;">
+        <p><strong>⏳ Warming up:</strong> ${dataQuality.longestHistory} of the ${dataQuality.minHistoryDays} days of price history needed have been collected. Recommendations will appear once there is enough history to judge them.</p>
+      </div>
+    `;
+}
+
+/**
+ * Generates the private portfolio page, kept apart from the published and emailed report
+ * @param {import('./gameAdapter.js').GameAdapter} adapter - Game adapter
+ * @param {Object} portfolio - Portfolio summary from the pipeline (results.portfolio)
+ * @returns {string} Standalone HTML page
+ */
+export function generatePortfolioReport(adapter, portfolio) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${adapter.title} Portfolio</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 960px; margin: 0 auto; padding: 20px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { padding: 6px; border-bottom: 1px solid #ddd; }
+  </style>
+</head>
+<body>
+  <h1>${adapter.title} Portfolio</h1>
+  <p>${formatReportDate()}</p>
+${generatePortfolioHtml(portfolio, adapter.formatPrice) || '<p class="no-items">No trades logged</p>'}
+</body>
+</html>
+`;
+}
+
+/**
+ * Generates the HTML report from analysis results
+ * @param {import('./gameAdapter.js').GameAdapter} adapter - Game adapter
+ * @param {Object} results - Analysis results (or { error } if the run failed)
+ * @returns {string} HTML report
+ */
+export function generateReport(adapter, results) {
+  let contentHtml = '';
+  
+  if (results.error) {
+    contentHtml = `
+      <div class="error">
+        <p><strong>❌ Analysis Failed:</strong> ${results.error}</p>
+      </div>
+    `;
+  } else {
+    contentHtml = `${renderWarmingUp(results.dataQuality)}${adapter.renderContent(results)}
+${generateTrackRecordHtml(results.trackRecord, adapter.categories)}
+    `;
+  }
+
+  // Read existing index.html and update only the dynamic content
+  let template = fs.readFileSync(adapter.reportTemplate, 'utf8');
+  
+  // Update the date
+  template = template.replace(
+    /<span id="report-date">.*?<\/span>/,
+    `<span id="report-date">${formatReportDate()}</span>`
+  );
+  
+  // Update the content section (main grid area only, preserve opinion column and footer)
+  template = template.replace(
+    /(<div class="content">)[\s\S]*?(<\/div>\s*<\/td>\s*<\/tr>\s*<\/table>\s*<\/div>\s*<div class="footer">)/,
+    (match, open, close) => `${open}\n${contentHtml}\n    ${close}`
+  );
+  
+  return template;
+}
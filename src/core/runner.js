@@ -0,0 +1,145 @@
+/**
+ * Core Runner
+ * Runs a game's full daily job: analyse → save results → render report → notify
+ */
+
+import fs from 'fs';
+import { runPipeline } from './pipeline.js';
+import { generatePortfolioReport, generateReport } from './report.js';
+import { loadSubscribers, sendNewsletter } from './newsletter.js';
+import { runBacktest } from '../backtest.js';
+
+/**
+ * Runs a game's analysis and adds run metadata and the backtested track record
+ * @param {import('./gameAdapter.js').GameAdapter} adapter - Game adapter
+ * @param {Object} options - Pipeline options
+ * @returns {Promise<Object>} Results as written to the results file
+ */
+export async function runAnalysis(adapter, options = {}) {
+  const startTime = Date.now();
+  const results = await runPipeline(adapter, options);
+  
+  const analysisTime = Math.round((Date.now() - startTime) / 1000);
+  
+  // Add metadata
+  results.metadata = {
+    itemsAnalyzed: results.totalAnalyzed || 0,
+    itemsExcluded: results.excluded?.length || 0,
+    strategy: results.strategy.name,
+    warmingUp: results.dataQuality.warmingUp,
+    ...(results.budget !== undefined ? { budget: results.budget } : {}),
+    analysisTime: `${Math.floor(analysisTime / 60)}m ${analysisTime % 60}s`,
+    timestamp: new Date().toISOString(),
+    environment: options.isGitHubActions ? 'GitHub Actions' : 'Local'
+  };
+  
+  // Measure how past recommendations have performed, against the history this run kept
+  try {
+    results.trackRecord = runBacktest(adapter, { historyFile: options.historyFile, historyDir: options.historyDir });
+  } catch (error) {
+    console.error('⚠️ Backtest failed:', error.message);
+  }
+  
+  return results;
+}
+
+/**
+ * Builds the results recorded when a run fails
+ * @param {Error} error - What went wrong
+ * @param {boolean} isGitHubActions - Running in GitHub Actions
+ * @returns {Object} Error results
+ */
+export function createErrorResults(error, isGitHubActions = false) {
+  return {
+    error: error.message,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      environment: isGitHubActions ? 'GitHub Actions' : 'Local',
+      failed: true
+    }
+  };
+}
+
+/**
+ * Renders results into the game's report template and writes it
+ * @param {import('./gameAdapter.js').GameAdapter} adapter - Game adapter
+ * @param {Object} results - Analysis results (or error results)
+ * @param {string} outputFile - Where to write the report (defaults to the template, updated in place)
+ */
+export function writeReport(adapter, results, outputFile = adapter.reportTemplate) {
+  fs.writeFileSync(outputFile, generateReport(adapter, results));
+}
+
+/**
+ * Writes the private portfolio page for a run that marked a portfolio to market
+ * @param {import('./gameAdapter.js').GameAdapter} adapter - Game adapter
+ * @param {Object} portfolio - Portfolio summary from the pipeline (results.portfolio)
+ * @param {string} outputFile - Where to write the page (defaults to {game}-portfolio.html, git-ignored)
+ * @returns {string} The file written
+ */
+export function writePortfolioReport(adapter, portfolio, outputFile = `${adapter.id}-portfolio.html`) {
+  fs.writeFileSync(outputFile, generatePortfolioReport(adapter, portfolio));
+  return outputFile;
+}
+
+/**
+ * Main entry point for a game when run directly (e.g., node src/osrs.js or GitHub Actions)
+ * @param {import('./gameAdapter.js').GameAdapter} adapter - Game adapter
+ * @param {Object} options - Pipeline options (usually read from the environment)
+ */
+export async function runGameMain(adapter, options = {}) {
+  const IS_GITHUB_ACTIONS = process.env.GITHUB_ACTIONS === 'true';
+
+  console.log(`🚀 ${adapter.title} GitHub Actions Analysis`);
+  console.log('='.repeat(adapter.title.length + 26));
+  console.log(`Environment: ${IS_GITHUB_ACTIONS ? 'GitHub Actions' : 'Local'}`);
+  console.log('');
+  
+  try {
+    const results = await runAnalysis(adapter, {
+      isGitHubActions: IS_GITHUB_ACTIONS,
+      logFile: adapter.logFile,
+      ...options
+    });
+    
+    // The results file and report are published, so the portfolio goes to its own local page
+    const { portfolio, ...published } = results;
+    fs.writeFileSync(adapter.resultsFile, JSON.stringify(published, null, 2));
+    if (portfolio) {
+      console.log(`💼 Portfolio saved to ${writePortfolioReport(adapter, portfolio)}`);
+    }
+    
+    // Generate and update the index.html file
+    writeReport(adapter, published);
+    
+    console.log(`\n✅ ${adapter.title} Analysis Complete!`);
+    console.log(`Total time: ${results.metadata.analysisTime}`);
+    console.log(`Items analyzed: ${results.metadata.itemsAnalyzed}`);
+    console.log(`Results saved to ${adapter.resultsFile}`);
+    console.log(`Updated ${adapter.reportTemplate}`);
+    
+    // Log summary for GitHub Actions
+    console.log('\n📊 RESULTS SUMMARY:');
+    for (const [category, label] of Object.entries(adapter.categories)) {
+      console.log(`${label}: ${results[category]?.length || 0} items`);
+    }
+    
+    // Send newsletter if in GitHub Actions
+    if (IS_GITHUB_ACTIONS) {
+      const subscribers = await loadSubscribers(adapter, options.http);
+      await sendNewsletter(adapter, subscribers, options.http);
+    }
+    
+  } catch (error) {
+    console.error(`❌ ${adapter.title} Analysis failed:`, error.message);
+    
+    // Save error info
+    const errorResults = createErrorResults(error, IS_GITHUB_ACTIONS);
+    fs.writeFileSync(adapter.resultsFile, JSON.stringify(errorResults, null, 2));
+    
+    // Generate error report and update index.html
+    writeReport(adapter, errorResults);
+    
+    process.exit(1);
+  }
+}
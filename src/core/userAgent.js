@@ -0,0 +1,57 @@
+/**
+ * User-Agent Configuration
+ * Builds the User-Agent sent to game APIs, resolved when a run starts rather than at import
+ *
+ * The Weirdgloop, OSRS Wiki and ESI APIs all ask for a User-Agent that identifies the
+ * application and gives a way to contact its operator. Operators set theirs through the
+ * options below or the MOGUL_USER_AGENT / MOGUL_CONTACT environment variables.
+ */
+
+import { createRequire } from 'module';
+
+// Load package.json for app name and version
+const require = createRequire(import.meta.url);
+const pkg = require('../../package.json');
+
+/**
+ * Reads contact details from the GitHub Actions environment
+ * @returns {Object} { contact, url } (either may be null outside GitHub Actions)
+ */
+function getGitHubContact() {
+  const actor = process.env.GITHUB_ACTOR;
+  const serverUrl = process.env.GITHUB_SERVER_URL;
+  const repository = process.env.GITHUB_REPOSITORY;
+  
+  return {
+    contact: actor ? `${actor}@users.noreply.github.com` : null,
+    url: serverUrl && repository ? `${serverUrl}/${repository}` : null
+  };
+}
+
+/**
+ * Builds the User-Agent header value
+ * @param {Object} options - User-Agent options
+ * @param {string} options.userAgent - Complete User-Agent to use as-is (defaults to MOGUL_USER_AGENT)
+ * @param {string} options.contact - Contact email or handle for API operators (defaults to MOGUL_CONTACT)
+ * @param {string} options.url - Project URL
+ * @returns {string} User-Agent, e.g. "mythic-market-mogul/1.0.0 (me@example.com; +https://github.com/...)"
+ */
+export function buildUserAgent({
+  userAgent = process.env.MOGUL_USER_AGENT,
+  contact = process.env.MOGUL_CONTACT,
+  url
+} = {}) {
+  if (userAgent) {
+    return userAgent;
+  }
+  
+  const github = getGitHubContact();
+  const details = [contact || github.contact, (url || github.url) && `+${url || github.url}`]
+    .filter(Boolean);
+  
+  // Fallback for local development
+  if (details.length === 0) {
+    return `${pkg.name}/${pkg.version} (local-development)`;
+  }
+  return `${pkg.name}/${pkg.version} (${details.join('; ')})`;
+}
@@ -0,0 +1,94 @@
+/**
+ * Streaming YAML Reader
+ * Reads a YAML document whose top level is one large mapping, one entry at a time
+ *
+ * yaml.load on a 100 MB mapping holds the whole text and the whole parsed tree in memory at
+ * once. In a block mapping every top-level key starts at column 0 and its value is indented
+ * beneath it, so the text can be cut at each unindented line and every entry parsed on its
+ * own: memory is bounded by the largest single entry, not the file.
+ */
+
+import yaml from 'js-yaml';
+import { StringDecoder } from 'string_decoder';
+
+/**
+ * Checks whether a line starts a new top-level entry
+ * @param {string} line - Line without its line break
+ * @returns {boolean} True for an unindented key (not a comment, sequence item or document marker)
+ */
+function isTopLevelKey(line) {
+  if (line.length === 0 || line.startsWith('---') || line.startsWith('...')) return false;
+  return !' \t#-\r'.includes(line[0]);
+}
+
+/**
+ * Parses one top-level entry's text
+ * @param {Array<string>} lines - The entry's lines
+ * @returns {Array} [key, value] pairs (none for blank or comment-only text)
+ */
+function parseEntry(lines) {
+  try {
+    const parsed = yaml.load(lines.join('\n'));
+    return parsed && typeof parsed === 'object' ? Object.entries(parsed) : [];
+  } catch (error) {
+    throw new Error(`Invalid YAML near "${lines[0].trim()}": ${error.message}`);
+  }
+}
+
+/**
+ * Reads the entries of a top-level YAML mapping from a stream
+ * @param {AsyncIterable<Buffer>} stream - UTF-8 YAML (a file or zip entry stream)
+ * @param {Object} options - Reader options
+ * @param {Function} options.onProgress - Called with the total bytes read after each chunk
+ * @returns {AsyncGenerator<Array>} [key, value] for each entry, in file order
+ */
+export async function* readYAMLEntries(stream, { onProgress } = {}) {
+  const decoder = new StringDecoder('utf8');
+  let bytesRead = 0;
+  let partial = '';
+  let entry = [];
+
+  for await (const chunk of stream) {
+    bytesRead += chunk.length;
+    const lines = (partial + decoder.write(chunk)).split('\n');
+    partial = lines.pop();
+
+    for (const line of lines) {
+      if (isTopLevelKey(line) && entry.length > 0) {
+        yield* parseEntry(entry);
+        entry = [];
+      }
+      if (line.startsWith('---') && entry.length === 0) continue;
+      entry.push(line);
+    }
+
+    if (onProgress) {
+      onProgress(bytesRead);
+    }
+  }
+
+  const last = partial + decoder.end();
+  if (last && isTopLevelKey(last) && entry.length > 0) {
+    yield* parseEntry(entry);
+    entry = [];
+  }
+  if (last) {
+    entry.push(last);
+  }
+  if (entry.length > 0) {
+    yield* parseEntry(entry);
+  }
+}
+
+/**
+ * Reads a whole top-level YAML mapping from a stream, an entry at a time
+ * @param {AsyncIterable<Buffer>} stream - UTF-8 YAML
+ * @returns {Promise<Object>} Entries keyed as in the file
+ */
+export async function readYAMLMapping(stream) {
+  const mapping = {};
+  for await (const [key, value] of readYAMLEntries(stream)) {
+    mapping[key] = value;
+  }
+  return mapping;
+}
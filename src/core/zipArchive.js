@@ -0,0 +1,195 @@
+/**
+ * Zip Archive Reader
+ * Lists a zip file's entries and streams them out one at a time, without extracting the archive
+ *
+ * Only the central directory is read up front; each entry is inflated as it streams, so
+ * memory stays flat however large the archive is. Handles stored and deflated entries and
+ * ZIP64 archives, which is everything CCP's SDE downloads use.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import zlib from 'zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_LOCATOR = 0x07064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const ZIP64_EXTRA_FIELD = 0x0001;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// The end record sits in the last 22 bytes, plus a comment of up to 64 KB
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+/**
+ * Reads part of a file
+ * @param {number} fd - File descriptor
+ * @param {number} position - Byte offset
+ * @param {number} length - Bytes to read
+ * @returns {Buffer} Bytes read
+ */
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Finds where the central directory is and how many entries it holds
+ * @param {number} fd - File descriptor
+ * @param {number} fileSize - Archive size in bytes
+ * @returns {Object} { offset, count }
+ */
+function readEndRecord(fd, fileSize) {
+  const searchLength = Math.min(fileSize, MAX_END_RECORD_SEARCH);
+  const tail = readAt(fd, fileSize - searchLength, searchLength);
+
+  let index = tail.length - 22;
+  while (index >= 0 && tail.readUInt32LE(index) !== END_OF_CENTRAL_DIRECTORY) {
+    index--;
+  }
+  if (index < 0) {
+    throw new Error('Not a zip archive (no end of central directory record)');
+  }
+
+  let count = tail.readUInt16LE(index + 10);
+  let offset = tail.readUInt32LE(index + 16);
+
+  // ZIP64 archives keep the real values in a second record, found through a locator just before this one
+  if (count === 0xffff || offset === 0xffffffff) {
+    const locatorPosition = fileSize - searchLength + index - 20;
+    const locator = readAt(fd, locatorPosition, 20);
+    if (locator.length < 20 || locator.readUInt32LE(0) !== ZIP64_END_LOCATOR) {
+      throw new Error('Corrupt ZIP64 archive (no end of central directory locator)');
+    }
+    const record = readAt(fd, Number(locator.readBigUInt64LE(8)), 56);
+    if (record.readUInt32LE(0) !== ZIP64_END_OF_CENTRAL_DIRECTORY) {
+      throw new Error('Corrupt ZIP64 archive (no end of central directory record)');
+    }
+    count = Number(record.readBigUInt64LE(32));
+    offset = Number(record.readBigUInt64LE(48));
+  }
+
+  return { offset, count };
+}
+
+/**
+ * Reads the central directory
+ * @param {number} fd - File descriptor
+ * @param {number} fileSize - Archive size in bytes
+ * @returns {Array} Entries ({ name, method, compressedSize, size, headerOffset })
+ */
+function readEntries(fd, fileSize) {
+  const { offset, count } = readEndRecord(fd, fileSize);
+  const directory = readAt(fd, offset, fileSize - offset);
+  const entries = [];
+
+  let position = 0;
+  for (let i = 0; i < count; i++) {
+    if (directory.readUInt32LE(position) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error(`Corrupt zip archive (bad central directory header for entry ${i})`);
+    }
+
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    const entry = {
+      name: directory.toString('utf8', position + 46, position + 46 + nameLength),
+      method: directory.readUInt16LE(position + 10),
+      compressedSize: directory.readUInt32LE(position + 20),
+      size: directory.readUInt32LE(position + 24),
+      headerOffset: directory.readUInt32LE(position + 42)
+    };
+
+    // Values too big for 32 bits are in the ZIP64 extra field, in this order, if maxed out above
+    let extra = position + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = directory.readUInt16LE(extra);
+      const length = directory.readUInt16LE(extra + 2);
+      if (id === ZIP64_EXTRA_FIELD) {
+        let field = extra + 4;
+        for (const key of ['size', 'compressedSize', 'headerOffset']) {
+          if (entry[key] === 0xffffffff) {
+            entry[key] = Number(directory.readBigUInt64LE(field));
+            field += 8;
+          }
+        }
+      }
+      extra += 4 + length;
+    }
+
+    entries.push(entry);
+    position = extraEnd + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Opens a zip archive
+ * @param {string} file - Archive path
+ * @returns {Object} { entries, find, createReadStream, close }
+ */
+export function openZipArchive(file) {
+  const fd = fs.openSync(file, 'r');
+  let entries;
+  try {
+    entries = readEntries(fd, fs.fstatSync(fd).size);
+  } catch (error) {
+    fs.closeSync(fd);
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+
+  return {
+    /**
+     * Every entry in the archive, in directory order
+     * ({ name, method, compressedSize, size, headerOffset }; directories end in "/")
+     */
+    entries,
+
+    /**
+     * Finds a file by name, in any folder of the archive
+     * @param {string} name - File name, e.g. "types.yaml"
+     * @returns {Object|undefined} Entry, or undefined if the archive has no such file
+     */
+    find: (name) => entries.find(entry => !entry.name.endsWith('/') && path.posix.basename(entry.name) === name),
+
+    /**
+     * Streams an entry's uncompressed contents
+     * @param {Object} entry - Entry from entries or find
+     * @returns {Readable} Stream of the entry's bytes
+     */
+    createReadStream(entry) {
+      const header = readAt(fd, entry.headerOffset, 30);
+      if (header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+        throw new Error(`Corrupt zip archive (bad local header for ${entry.name})`);
+      }
+      const start = entry.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+      if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+        throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+      }
+      if (entry.compressedSize === 0) {
+        return Readable.from([]);
+      }
+
+      const raw = fs.createReadStream(null, { fd, start, end: start + entry.compressedSize - 1, autoClose: false });
+      if (entry.method === METHOD_STORED) {
+        return raw;
+      }
+      const inflate = zlib.createInflateRaw();
+      raw.on('error', error => inflate.destroy(error));
+      return raw.pipe(inflate);
+    },
+
+    /**
+     * Closes the archive (streams must have finished first)
+     */
+    close: () => fs.closeSync(fd)
+  };
+}
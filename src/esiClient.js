@@ -0,0 +1,212 @@
+/**
+ * EVE Swagger Interface (ESI) Client
+ * Concurrent request pool that respects ESI's error limit and caching headers
+ *
+ * ESI allows a fixed number of errors per window (reported in X-ESI-Error-Limit-Remain and
+ * X-ESI-Error-Limit-Reset) and blocks clients that exceed it with 420 responses. This client
+ * pauses every worker when the remaining budget runs low, retries 420/5xx responses with
+ * exponential backoff, and uses Expires/ETag to skip or revalidate repeat requests.
+ */
+
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_BASE_DELAY = 1000; // Milliseconds before the first retry
+const DEFAULT_ERROR_LIMIT_THRESHOLD = 10; // Pause when this few errors remain
+const DEFAULT_CACHE_SIZE = 1000; // Responses kept for Expires/ETag handling
+
+/**
+ * Delays execution for a specified time
+ * @param {number} ms - Milliseconds to wait
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Checks whether a response status is worth retrying
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for error-limited and server errors
+ */
+function isRetryable(status) {
+  return status === 420 || status === 429 || status >= 500;
+}
+
+/**
+ * Creates an ESI client
+ * @param {Object} options - Client options
+ * @param {Function} options.getUserAgent - Returns the User-Agent header value
+ * @param {Function} options.fetch - fetch-compatible function (defaults to the global fetch)
+ * @param {number} options.concurrency - Maximum requests in flight
+ * @param {number} options.maxRetries - Retries per request on 420/5xx
+ * @param {number} options.baseDelay - Backoff before the first retry (ms)
+ * @param {number} options.errorLimitThreshold - Remaining errors at which all requests pause
+ * @param {number} options.cacheSize - Most recent responses kept for Expires/ETag handling
+ * @returns {Object} ESI client
+ */
+export function createEsiClient(options = {}) {
+  const {
+    getUserAgent,
+    fetch = (url, init) => globalThis.fetch(url, init),
+    concurrency = DEFAULT_CONCURRENCY,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseDelay = DEFAULT_BASE_DELAY,
+    errorLimitThreshold = DEFAULT_ERROR_LIMIT_THRESHOLD,
+    cacheSize = DEFAULT_CACHE_SIZE
+  } = options;
+
+  // Responses by URL, for Expires/ETag handling (oldest entries are evicted first)
+  const cache = new Map();
+  const remember = (url, entry) => {
+    cache.delete(url);
+    cache.set(url, entry);
+    if (cache.size > cacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+  };
+
+  // Shared pause while the error limit recovers
+  let pausedUntil = 0;
+
+  const stats = { requests: 0, cacheHits: 0, notModified: 0, retries: 0, errors: 0 };
+
+  /**
+   * Waits out any error-limit pause
+   */
+  const waitForErrorLimit = async () => {
+    while (Date.now() < pausedUntil) {
+      await delay(pausedUntil - Date.now());
+    }
+  };
+
+  /**
+   * Reads ESI's error-limit headers and pauses all requests if the budget is low
+   * @param {Response} response - Fetch response
+   */
+  const trackErrorLimit = (response) => {
+    const remain = parseInt(response.headers.get('x-esi-error-limit-remain'));
+    const reset = parseInt(response.headers.get('x-esi-error-limit-reset'));
+
+    if (!isNaN(remain) && !isNaN(reset) && remain <= errorLimitThreshold) {
+      const resumeAt = Date.now() + (reset + 1) * 1000;
+      if (resumeAt > pausedUntil) {
+        console.log(`⏸️ ESI error limit low (${remain} left), pausing for ${reset + 1}s`);
+        pausedUntil = resumeAt;
+      }
+    }
+  };
+
+  /**
+   * Fetches JSON from ESI with caching, error-limit handling and retries
+   * @param {string} url - Full ESI URL
+   * @param {Object} options - Request options
+   * @param {string} options.etag - ETag from a previous run, sent as If-None-Match
+   * @returns {Promise<Object>} { status, data, etag, expires, pages, fromCache } (data is null on 404,
+   *   and on 304 when the caller supplied the ETag and holds the data itself; pages is the
+   *   X-Pages count of a paginated endpoint, 1 otherwise)
+   */
+  const get = async (url, { etag = null } = {}) => {
+    const cached = cache.get(url);
+    const requestEtag = cached?.etag || etag;
+
+    // Still fresh per the Expires header of the last response
+    if (cached && cached.expires > Date.now()) {
+      stats.cacheHits++;
+      return { ...cached, fromCache: true };
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForErrorLimit();
+
+      const headers = {
+        'Accept': 'application/json',
+        'User-Agent': getUserAgent(),
+        'X-Compatibility-Date': '2025-09-30'
+      };
+      if (requestEtag) {
+        headers['If-None-Match'] = requestEtag;
+      }
+
+      let response;
+      try {
+        stats.requests++;
+        response = await fetch(url, { headers });
+      } catch (error) {
+        // Network failure - retry like a server error
+        if (attempt >= maxRetries) {
+          stats.errors++;
+          throw error;
+        }
+        stats.retries++;
+        await delay(baseDelay * Math.pow(2, attempt));
+        continue;
+      }
+
+      trackErrorLimit(response);
+
+      const expiresHeader = response.headers.get('expires');
+      const expires = expiresHeader ? new Date(expiresHeader).getTime() || 0 : 0;
+
+      if (response.status === 304) {
+        stats.notModified++;
+        if (!cached) {
+          return { status: 304, data: null, etag: requestEtag, expires, fromCache: true };
+        }
+        const refreshed = { ...cached, expires };
+        remember(url, refreshed);
+        return { ...refreshed, fromCache: true };
+      }
+
+      if (response.ok) {
+        const result = {
+          status: response.status,
+          data: await response.json(),
+          etag: response.headers.get('etag'),
+          expires,
+          pages: parseInt(response.headers.get('x-pages')) || 1
+        };
+        remember(url, result);
+        return { ...result, fromCache: false };
+      }
+
+      if (response.status === 404) {
+        return { status: 404, data: null, etag: null, expires, fromCache: false };
+      }
+
+      if (isRetryable(response.status) && attempt < maxRetries) {
+        stats.retries++;
+        // 420 means we're error limited: wait for the window to reset
+        const reset = parseInt(response.headers.get('x-esi-error-limit-reset'));
+        const backoff = baseDelay * Math.pow(2, attempt);
+        await delay(response.status === 420 && !isNaN(reset) ? Math.max(backoff, reset * 1000) : backoff);
+        continue;
+      }
+
+      stats.errors++;
+      throw new Error(`ESI request failed: ${response.status} ${url}`);
+    }
+  };
+
+  /**
+   * Runs a worker over every item with at most `concurrency` workers in flight
+   * @param {Array} items - Items to process
+   * @param {Function} worker - Async function called with (item, index)
+   * @returns {Promise<Array>} Worker results in item order
+   */
+  const map = async (items, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runWorker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, runWorker);
+    await Promise.all(workers);
+    return results;
+  };
+
+  return { get, map, stats };
+}
@@ -1,25 +1,35 @@
 /**
  * EVE Online Investment Analyzer
- * Analyzes EVE Online market data in Jita to find profitable investment opportunities
+ * Game adapter for the empire trade hub markets, run through the core pipeline
  */
 
 import fs from 'fs';
-import { createRequire } from 'module';
 import yaml from 'js-yaml';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import * as brevo from '@getbrevo/brevo';
+import { catalogueItems, matchesMarketGroups, parseMarketGroups, readCatalogue } from './eveCatalogue.js';
+import { createEsiClient } from './esiClient.js';
+import { createItemHistoryStore } from './historyStore.js';
+import { TRADE_HUBS, parseHubs } from './eveHubs.js';
+import { calculateBrokerFee, calculateSalesTax, findBestRoute, loadArbitrageConfig, sizeRoute } from './eveArbitrage.js';
+import { DEFAULT_ORDER_BOOK_SETTINGS, calculateStationMargin, checkPositionDepth, summariseOrderBook } from './eveOrderBook.js';
+import { defineGameAdapter } from './core/gameAdapter.js';
+import { analyzeSeries, categorizeVolume, topByScore } from './core/analysis.js';
+import { roundIndicators } from './core/indicators.js';
+import { runPipeline } from './core/pipeline.js';
+import { renderItemList } from './core/report.js';
+import { runGameMain } from './core/runner.js';
+import { buildUserAgent } from './core/userAgent.js';
 
 // Get directory name for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load package.json for app name and version
-const require = createRequire(import.meta.url);
-const pkg = require('../package.json');
-
-// EVE Online constants
-const JITA_REGION_ID = 10000002; // The Forge (Jita)
+// Local market history cache (a directory per region, one file per type, so a run never holds
+// every type's 400 days at once)
+// Format: eve-history-{regionId}/{typeId}.json = { version: 1, record: { etag, expires, rows: [[date, average, highest, lowest, volume, order_count]] } }
+const EVE_HISTORY_VERSION = 1;
+const EVE_HISTORY_RETENTION_DAYS = 400;
 
 // Currently 50,535 items in EVE. ~18,838 are tradeable.
 // We can get a full list of all items from https://esi.evetech.net/universe/types,
@@ -27,22 +37,30 @@ const JITA_REGION_ID = 10000002; // The Forge (Jita)
 // We'd have to call https://esi.evetech.net/universe/types/{type_id} on all 50,000+
 // items. It's better to use the static download: https://developers.eveonline.com/static-data
 
-// sde:
-//   buildNumber: 3077380
-//   releaseDate: '2025-10-28T11:14:15Z'
+// The SDE build the catalogue came from is recorded in data/types.json ("sde"); rebuild it
+// from a new download with "mogul refresh eve --sde <archive>".
 
 /**
  * Loads tradeable items from EVE Online Static Data Export (SDE)
- * @returns {Array} Array of tradeable items with id and name
+ * Reads the catalogue eveDataCleaner.js builds (data/types.json), or the older names-only
+ * types.yaml when no catalogue has been built yet
+ * @param {string} typesFilePath - Catalogue or cleaned types.yaml (defaults to data/types.json, then data/types.yaml)
+ * @returns {Array} Array of tradeable items with id and name, plus group, category, market
+ *   groups, volumes, base price and portion size when loaded from a catalogue
  */
-function loadTradeableItemsFromSDE() {
-  const typesFilePath = path.join(__dirname, '..', 'data', 'types.yaml');
-  
+export function loadTradeableItemsFromSDE(typesFilePath = defaultTypesFile()) {
   if (!fs.existsSync(typesFilePath)) {
-    throw new Error(`types.yaml not found at ${typesFilePath}. Please run eveDataCleaner.js first.`);
+    throw new Error(`${path.basename(typesFilePath)} not found at ${typesFilePath}. Please run eveDataCleaner.js first.`);
   }
   
   console.log('📊 Loading tradeable items from EVE SDE...');
+  
+  if (typesFilePath.endsWith('.json')) {
+    const tradeableItems = catalogueItems(readCatalogue(typesFilePath));
+    console.log(`✅ Loaded ${tradeableItems.length} tradeable items from SDE`);
+    return tradeableItems;
+  }
+  
   const typesData = yaml.load(fs.readFileSync(typesFilePath, 'utf8'));
   
   const tradeableItems = [];
@@ -62,358 +80,405 @@ function loadTradeableItemsFromSDE() {
   return tradeableItems;
 }
 
-// Load all tradeable items from SDE
-const TRADEABLE_ITEMS = loadTradeableItemsFromSDE();
+/**
+ * Picks the item catalogue to load
+ * @returns {string} data/types.json if it has been built, otherwise data/types.yaml
+ */
+function defaultTypesFile() {
+  const catalogue = path.join(__dirname, '..', 'data', 'types.json');
+  return fs.existsSync(catalogue) ? catalogue : path.join(__dirname, '..', 'data', 'types.yaml');
+}
+
+// Tradeable items, loaded from the SDE on first use
+let tradeableItems = null;
 
-// Dynamically construct USER_AGENT from GitHub Actions environment
-const getGitHubEmail = () => {
-  const actor = process.env.GITHUB_ACTOR;
-  if (!actor) {
-    throw new Error('GITHUB_ACTOR environment variable not set');
-  }
-  return `${actor}@users.noreply.github.com`;
-};
-
-const getRepoUrl = () => {
-  const serverUrl = process.env.GITHUB_SERVER_URL;
-  const repository = process.env.GITHUB_REPOSITORY;
-  if (!serverUrl || !repository) {
-    throw new Error('GitHub environment variables (GITHUB_SERVER_URL, GITHUB_REPOSITORY) not set');
-  }
-  return `${serverUrl}/${repository}`;
-};
-
-// USER_AGENT will be constructed when needed
-let USER_AGENT = null;
-
-const getUserAgent = () => {
-  if (!USER_AGENT) {
-    try {
-      USER_AGENT = `${pkg.name}/${pkg.version} (${getGitHubEmail()}; +${getRepoUrl()})`;
-    } catch (error) {
-      // Fallback for local development
-      USER_AGENT = `${pkg.name}/${pkg.version} (local-development)`;
-    }
+/**
+ * Gets the tradeable item catalogue, loading it on first use
+ * @returns {Array} Array of tradeable items with id and name
+ */
+export function getTradeableItems() {
+  if (!tradeableItems) {
+    tradeableItems = loadTradeableItemsFromSDE();
   }
-  return USER_AGENT;
-};
+  return tradeableItems;
+}
 
 // ===== API FUNCTIONS =====
 
 /**
  * Fetches market history for an item in a specific region
+ * @param {Object} esiClient - ESI client from createEsiClient
  * @param {number} regionId - EVE region ID
  * @param {number} typeId - Item type ID
- * @returns {Promise<Array>} Market history data
+ * @param {string} etag - ETag of the cached history (optional)
+ * @returns {Promise<Object|null>} ESI response ({ status, data, etag, expires }), or null on error
  */
-async function fetchMarketHistory(regionId, typeId) {
+async function fetchMarketHistory(esiClient, regionId, typeId, etag = null) {
   const url = `https://esi.evetech.net/latest/markets/${regionId}/history/?datasource=tranquility&type_id=${typeId}`;
   
   try {
-    const response = await fetch(url, {
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': getUserAgent(),
-        'X-Compatibility-Date': '2025-09-30'
-      }
-    });
+    return await esiClient.get(url, { etag });
+  } catch (error) {
+    console.error(`Error fetching market data for region ${regionId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetches the packaged volume of an item type (what it takes up in a hauler's cargo hold)
+ * @param {Object} esiClient - ESI client from createEsiClient
+ * @param {number} typeId - Item type ID
+ * @returns {Promise<number|null>} Packaged volume in m³, or null if unavailable
+ */
+async function fetchPackagedVolume(esiClient, typeId) {
+  const url = `https://esi.evetech.net/latest/universe/types/${typeId}/?datasource=tranquility`;
+  
+  try {
+    const { data } = await esiClient.get(url);
+    return data ? data.packaged_volume ?? data.volume ?? null : null;
+  } catch (error) {
+    console.error(`Error fetching type ${typeId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetches every live order for an item in a region (all pages)
+ * @param {Object} esiClient - ESI client from createEsiClient
+ * @param {number} regionId - EVE region ID
+ * @param {number} typeId - Item type ID
+ * @returns {Promise<Array|null>} Buy and sell orders, or null if unavailable
+ */
+async function fetchMarketOrders(esiClient, regionId, typeId) {
+  const pageUrl = (page) => `https://esi.evetech.net/latest/markets/${regionId}/orders/?datasource=tranquility&order_type=all&page=${page}&type_id=${typeId}`;
+  
+  try {
+    const first = await esiClient.get(pageUrl(1));
+    if (!first.data) return null;
     
-    if (!response.ok) {
-      throw new Error(`Failed to fetch market data: ${response.status}`);
+    const orders = [...first.data];
+    for (let page = 2; page <= first.pages; page++) {
+      const { data } = await esiClient.get(pageUrl(page));
+      orders.push(...(data || []));
     }
-    
-    const data = await response.json();
-    return data;
+    return orders;
   } catch (error) {
-    console.error(`Error fetching market data for region ${regionId}:`, error.message);
+    console.error(`Error fetching orders for type ${typeId} in region ${regionId}:`, error.message);
     return null;
   }
 }
 
+// ===== LOCAL HISTORY FUNCTIONS =====
+
 /**
- * Delays execution for a specified time
- * @param {number} ms - Milliseconds to wait
+ * Creates the EVE market history store for a region (call load() before use and flush() when done)
+ * Each type's history is read when it's analysed and written as soon as it's fetched
+ * @param {number} regionId - EVE region ID
+ * @param {string} historyDir - Directory holding the history caches (defaults to data/)
+ * @returns {Object} History store for {historyDir}/eve-history-{regionId}/
  */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+export function createEVEHistoryStore(regionId, historyDir = path.join(__dirname, '..', 'data')) {
+  return createItemHistoryStore({
+    dir: path.join(historyDir, `eve-history-${regionId}`),
+    version: EVE_HISTORY_VERSION,
+    // Caches from before the split kept every type in one file
+    legacyFile: path.join(historyDir, `eve-history-${regionId}.json`)
+  });
 }
 
-// ===== ANALYSIS FUNCTIONS =====
+/**
+ * Converts ESI history entries to compact rows for storage
+ * @param {Array} history - ESI market history entries
+ * @returns {Array} Rows of [date, average, highest, lowest, volume, order_count]
+ */
+export function toHistoryRows(history) {
+  return history.map(day => [day.date, day.average, day.highest, day.lowest, day.volume, day.order_count]);
+}
 
 /**
- * Calculates the percentage change in price over the period
- * @param {Array} history - Array of market data points
- * @returns {number} Percentage change
+ * Converts stored rows to a normalised daily series for analysis
+ * @param {Array} rows - Rows of [date, average, highest, lowest, volume, order_count], sorted by date
+ * @returns {Array} Sorted array of {timestamp, price, high, low, volume, orderCount} objects
  */
-function calculatePriceChange(history) {
-  if (history.length < 2) return 0;
-  
-  const firstPrice = history[0].average;
-  const lastPrice = history[history.length - 1].average;
-  
-  return ((lastPrice - firstPrice) / firstPrice) * 100;
+export function fromHistoryRows(rows) {
+  return rows.map(([date, average, highest, lowest, volume, order_count]) => ({
+    timestamp: Date.parse(`${date}T00:00:00Z`),
+    price: average,
+    high: highest,
+    low: lowest,
+    volume,
+    orderCount: order_count
+  }));
 }
 
 /**
- * Calculates price volatility (standard deviation)
- * @param {Array} history - Array of market data points
- * @returns {number} Volatility as percentage of mean
+ * Merges newly fetched rows into cached rows, keeping the newest value for each day
+ * @param {Array} cachedRows - Rows already in the store
+ * @param {Array} fetchedRows - Rows from ESI
+ * @returns {Array} Merged rows sorted by date, trimmed to the retention window
  */
-function calculateVolatility(history) {
-  if (history.length < 2) return 0;
-  
-  const prices = history.map(day => day.average);
-  const mean = prices.reduce((a, b) => a + b, 0) / prices.length;
+export function mergeHistoryRows(cachedRows, fetchedRows) {
+  const byDate = new Map(cachedRows.map(row => [row[0], row]));
+  fetchedRows.forEach(row => byDate.set(row[0], row));
   
-  const squaredDiffs = prices.map(price => Math.pow(price - mean, 2));
-  const variance = squaredDiffs.reduce((a, b) => a + b, 0) / prices.length;
-  const stdDev = Math.sqrt(variance);
+  const cutoff = new Date(Date.now() - EVE_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    .toISOString().slice(0, 10);
   
-  return (stdDev / mean) * 100;
+  return [...byDate.values()]
+    .filter(row => row[0] >= cutoff)
+    .sort((a, b) => a[0].localeCompare(b[0]));
 }
 
 /**
- * Calculates recent momentum (30-day vs 60-day average)
- * @param {Array} history - Array of market data points
- * @returns {number} Momentum score
+ * Checks whether a cached history can be used without asking ESI
+ * ESI publishes each day's aggregate after downtime, so yesterday is the newest day to expect
+ * @param {Object} record - Cached history record
+ * @returns {boolean} True if the cache is still fresh or already has yesterday's data
  */
-function calculateMomentum(history) {
-  if (history.length < 60) return 0;
-  
-  const recent30 = history.slice(-30);
-  const previous30 = history.slice(-60, -30);
+export function isHistoryCurrent(record) {
+  if (!record || record.rows.length === 0) return false;
+  if (record.expires && record.expires > Date.now()) return true;
   
-  const recent30Avg = recent30.reduce((sum, day) => sum + day.average, 0) / recent30.length;
-  const previous30Avg = previous30.reduce((sum, day) => sum + day.average, 0) / previous30.length;
-  
-  return ((recent30Avg - previous30Avg) / previous30Avg) * 100;
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return record.rows[record.rows.length - 1][0] >= yesterday;
 }
 
 /**
- * Calculates an investment score based on multiple factors
- * @param {number} priceChange - Overall price change percentage
- * @param {number} volatility - Price volatility percentage
- * @param {number} momentum - Recent momentum score
- * @returns {number} Investment score (0-100)
+ * Gets market history for an item, from the local cache where possible
+ * @param {Object} esiClient - ESI client (unused when offline)
+ * @param {Object} historyStore - Loaded EVE history store for the region
+ * @param {number} regionId - EVE region ID
+ * @param {number} typeId - Item type ID
+ * @param {boolean} offline - Only use cached history
+ * @returns {Promise<Array|null>} Normalised daily series
  */
-function calculateInvestmentScore(priceChange, volatility, momentum) {
-  // Strategy: High-volatility items with positive momentum
-  let score = 50; // Base score
-  
-  // High volatility is GOOD for speculation (up to +30 points)
-  // Items with 20%+ volatility get max points
-  if (volatility >= 20) {
-    score += 30;
-  } else {
-    score += (volatility / 20) * 30;
+async function getMarketHistory(esiClient, historyStore, regionId, typeId, offline = false) {
+  const record = historyStore.get(typeId);
+  
+  if (offline || isHistoryCurrent(record)) {
+    return record ? fromHistoryRows(record.rows) : null;
   }
   
-  // Strong positive momentum is critical (up to +30 points)
-  score += Math.min(momentum * 3, 30);
+  const response = await fetchMarketHistory(esiClient, regionId, typeId, record?.etag);
   
-  // Recent strong price change indicates potential (up to +30 points)
-  // Looking for items that have moved 40%+ already
-  if (priceChange >= 40) {
-    score += 30;
-  } else if (priceChange > 0) {
-    score += (priceChange / 40) * 30;
+  // Fall back to whatever we have cached if ESI failed
+  if (!response) {
+    return record ? fromHistoryRows(record.rows) : null;
   }
   
-  // Bonus for items showing breakout potential
-  if (momentum > 10 && priceChange > 30 && volatility > 15) {
-    score += 10; // Hot item bonus
+  // 304 Not Modified - cached rows are still the latest
+  if (response.status === 304 && record) {
+    historyStore.set(typeId, { ...record, expires: response.expires });
+    return fromHistoryRows(record.rows);
   }
   
-  return Math.max(0, Math.min(100, score));
+  if (!response.data || response.data.length === 0) {
+    return null;
+  }
+  
+  const rows = mergeHistoryRows(record?.rows || [], toHistoryRows(response.data));
+  historyStore.set(typeId, { etag: response.etag, expires: response.expires, rows });
+  return fromHistoryRows(rows);
 }
 
-/**
- * Categorizes volume into descriptive levels
- * @param {number} volume - Trading volume
- * @returns {string} Volume category
- */
-function categorizeVolume(volume) {
-  if (volume >= 10000) return 'Very High';
-  if (volume >= 1000) return 'High';
-  if (volume >= 100) return 'Medium';
-  if (volume >= 10) return 'Low';
-  return 'Very Low';
-}
+// ===== ANALYSIS FUNCTIONS =====
+
+// Minimum daily volume for Very High, High, Medium and Low
+const VOLUME_THRESHOLDS = [10000, 1000, 100, 10];
+
+// Picks shown per top-level market group
+const MARKET_GROUP_PICKS = 3;
 
 /**
- * Formats ISK amount with appropriate suffix
- * @param {number} amount - ISK amount
- * @returns {string} Formatted string
+ * Analyzes market data for an item in one hub
+ * @param {Array} history - Normalised daily series
+ * @param {Object} itemInfo - Item name and ID (and market groups, if known)
+ * @param {Object} options - Analysis options
+ * @param {Object} options.strategy - Scoring strategy from getStrategy
+ * @param {number} options.minHistoryDays - Fewest days of history needed to be eligible
+ * @returns {Object} Analysis results
  */
-function formatISK(amount) {
-  if (amount >= 1000000000) {
-    return `${(amount / 1000000000).toFixed(1)}B ISK`;
-  } else if (amount >= 1000000) {
-    return `${(amount / 1000000).toFixed(1)}M ISK`;
-  } else if (amount >= 1000) {
-    return `${(amount / 1000).toFixed(1)}K ISK`;
-  }
-  return `${Math.round(amount).toLocaleString()} ISK`;
+export function analyzeItem(history, itemInfo, { strategy, minHistoryDays }) {
+  const metrics = analyzeSeries(history, strategy, { minHistoryDays });
+  
+  return {
+    id: itemInfo.id,
+    name: itemInfo.name,
+    marketGroup: itemInfo.marketGroups?.[0] ?? null, // Top-level market group, for the leaderboards
+    currentPrice: Math.round(metrics.currentPrice * 100) / 100, // ISK has two decimal places
+    priceChange: metrics.priceChange.toFixed(2),
+    volatility: metrics.volatility.toFixed(2),
+    momentum: metrics.momentum.toFixed(2),
+    volume: metrics.currentVolume,
+    averageVolume: Math.round(metrics.averageVolume ?? 0),
+    volumeCategory: categorizeVolume(metrics.currentVolume || 0, VOLUME_THRESHOLDS),
+    indicators: roundIndicators(metrics.indicators),
+    investmentScore: metrics.investmentScore.toFixed(1),
+    dataPoints: metrics.dataPoints,
+    dataQuality: metrics.dataQuality,
+    riskLevel: metrics.riskLevel
+  };
 }
 
 /**
- * Analyzes market data for an item
- * @param {Array} history - Market history data
- * @param {Object} itemInfo - Item name and ID
- * @returns {Object} Analysis results
+ * Analyzes an item in every hub it trades in
+ * @param {Array} markets - Per-hub series as [{ hub, series }]
+ * @param {Object} itemInfo - Item from the catalogue (id, name, and category and packagedVolume if known)
+ * @param {Object} options - Analysis options (see analyzeItem)
+ * @param {Object|null} options.arbitrage - Arbitrage config (finds the best route between hubs when set)
+ * @returns {Object} { id, name, category, packagedVolume, markets: { hubId: analysis }, route, dataQuality }:
+ *   category and packagedVolume come from the item catalogue (null if unknown), markets only
+ *   holds hubs with enough history, and dataQuality is the best hub's (ineligible if none has enough)
  */
-function analyzeItem(history, itemInfo) {
-  if (!history || history.length === 0) {
-    return null;
-  }
-  
-  // Sort by date
-  history.sort((a, b) => new Date(a.date) - new Date(b.date));
-  
-  const priceChange = calculatePriceChange(history);
-  const volatility = calculateVolatility(history);
-  const momentum = calculateMomentum(history);
-  
-  const currentPrice = history[history.length - 1].average;
-  const currentVolume = history[history.length - 1].volume;
-  
-  const investmentScore = calculateInvestmentScore(priceChange, volatility, momentum);
-  
-  // Determine risk level based on volatility
-  // High risk: volatility >= 15%
-  // Low risk: volatility < 15%
-  const riskLevel = parseFloat(volatility) >= 15 ? 'high' : 'low';
+export function analyzeMarkets(markets, itemInfo, options) {
+  const all = markets.map(({ hub, series }) => ({ ...analyzeItem(series, itemInfo, options), hub: hub.id }));
+  const eligible = all.filter(analysis => analysis.dataQuality.eligible);
+  const best = [...(eligible.length > 0 ? eligible : all)]
+    .sort((a, b) => b.dataQuality.days - a.dataQuality.days)[0];
+  const analyses = Object.fromEntries(eligible.map(analysis => [analysis.hub, analysis]));
   
   return {
     id: itemInfo.id,
     name: itemInfo.name,
-    currentPrice: Math.round(currentPrice),
-    priceChange: priceChange.toFixed(2),
-    volatility: volatility.toFixed(2),
-    momentum: momentum.toFixed(2),
-    volume: currentVolume,
-    volumeCategory: categorizeVolume(currentVolume || 0),
-    investmentScore: investmentScore.toFixed(1),
-    dataPoints: history.length,
-    riskLevel: riskLevel
+    category: itemInfo.category ?? null,
+    packagedVolume: itemInfo.packagedVolume ?? null,
+    dataQuality: best.dataQuality,
+    markets: analyses,
+    route: options.arbitrage ? findBestRoute(analyses, options.arbitrage) : null
   };
 }
 
-// ===== MAIN APPLICATION =====
-
 /**
- * Automated EVE analysis
- * @param {Object} options - Configuration options
- * @returns {Promise<Object>} Analysis results
+ * Compares an item's price and volume across hubs
+ * @param {Object} result - Result from analyzeMarkets
+ * @param {Array} hubs - Hubs in report order
+ * @returns {Object} Price and average daily volume per hub, the cheapest and dearest hub,
+ *   and the spread between them (%)
  */
-export async function runEVEAutomated(options = {}) {
-  const { isGitHubActions = false, logFile = null } = options;
+export function compareHubs(result, hubs) {
+  const prices = hubs
+    .filter(hub => result.markets[hub.id])
+    .map(hub => ({
+      hub: hub.id,
+      price: result.markets[hub.id].currentPrice,
+      volume: result.markets[hub.id].averageVolume
+    }));
+  
+  const cheapest = prices.reduce((min, p) => (p.price < min.price ? p : min), prices[0]);
+  const dearest = prices.reduce((max, p) => (p.price > max.price ? p : max), prices[0]);
   
-  const logMessage = (message) => {
-    console.log(message);
-    if (logFile) {
-      const timestamp = new Date().toISOString();
-      require('fs').appendFileSync(logFile, `${timestamp}: ${message}\n`);
-    }
+  return {
+    id: result.id,
+    name: result.name,
+    hubs: prices,
+    cheapestHub: cheapest.hub,
+    dearestHub: dearest.hub,
+    priceSpread: cheapest.price > 0 ? ((dearest.price - cheapest.price) / cheapest.price * 100).toFixed(2) : '0.00'
   };
+}
 
-  logMessage('🚀 EVE Online Investment Analyzer (Automated)');
-  logMessage('============================================');
+/**
+ * Checks each hub's shortlisted picks against its live order book
+ * Attaches the book summary to each checked market, flags station-trading opportunities and
+ * rejects picks whose recommended position would walk the book (unavailable books are left unchecked)
+ * @param {Array} results - Results from analyzeMarkets
+ * @param {Object} context - Pipeline context
+ * @param {Object|null} context.orderBook - Order book settings (null to skip)
+ * @param {Object|null} context.arbitrage - Arbitrage config (its skills set the fees; defaults otherwise)
+ * @returns {Promise<void>}
+ */
+async function checkOrderBooks(results, { orderBook, arbitrage, hubs, esiClient, offline, excluded, log }) {
+  if (!orderBook) return;
+  if (offline) {
+    log('⏭️  Skipping order books (offline)');
+    return;
+  }
   
-  logMessage(`Analyzing ALL available items`);
-  logMessage(`Mode: ${isGitHubActions ? 'GitHub Actions' : 'Local'}`);
-  logMessage('');
-
-  // Items are already loaded from SDE at module level
-  logMessage(`✅ Using ${TRADEABLE_ITEMS.length} tradeable items for analysis`);
-
-  // Analyze ALL items (no limit)
-  const shuffledItems = [...TRADEABLE_ITEMS].sort(() => Math.random() - 0.5);
-  const itemsToAnalyze = shuffledItems;
-
-  logMessage(`Analyzing ALL ${itemsToAnalyze.length} items...`);
-  logMessage('');
-
-  const results = [];
-  let itemsChecked = 0;
-  let successfulAnalyses = 0;
-
-  for (let i = 0; i < itemsToAnalyze.length; i++) {
-    const item = itemsToAnalyze[i];
-    itemsChecked++;
+  const fees = arbitrage || loadArbitrageConfig();
+  const salesTax = calculateSalesTax(fees);
+  const brokerFee = calculateBrokerFee(fees);
+  
+  // The top of each category, with spares to replace rejected picks
+  const checks = hubs.flatMap(hub => {
+    const markets = results.filter(r => r.markets[hub.id]).map(r => r.markets[hub.id]);
+    return [
+      ...topByScore(markets, m => m.riskLevel === 'high', orderBook.shortlistSize),
+      ...topByScore(markets, m => m.riskLevel === 'low', orderBook.shortlistSize)
+    ].map(market => ({ hub, market }));
+  });
+  
+  log(`📖 Checking ${checks.length} order books...`);
+  await esiClient.map(checks, async ({ hub, market }) => {
+    const orders = await fetchMarketOrders(esiClient, hub.regionId, market.id);
+    if (!orders) return;
     
-    // Progress update every 100 items
-    if (itemsChecked % 100 === 0 || itemsChecked === itemsToAnalyze.length) {
-      logMessage(`Progress: ${itemsChecked}/${itemsToAnalyze.length} (${successfulAnalyses} analyzed)`);
-    }
+    const book = summariseOrderBook(orders, hub.stationId, orderBook.depthRange);
+    const stationMargin = calculateStationMargin(book, salesTax, brokerFee);
+    const positionUnits = Math.floor(market.averageVolume * orderBook.positionVolumeShare);
     
-    const history = await fetchMarketHistory(JITA_REGION_ID, item.id);
+    market.orderBook = {
+      ...book,
+      positionUnits,
+      stationMargin: stationMargin !== null ? stationMargin.toFixed(2) : null,
+      stationTrading: stationMargin !== null && stationMargin >= orderBook.minimumStationMargin
+    };
     
-    if (history && history.length > 0) {
-      const analysis = analyzeItem(history, item);
-      
-      if (analysis) {
-        results.push(analysis);
-        successfulAnalyses++;
-      }
+    const rejection = checkPositionDepth(book, positionUnits, orderBook.depthRange);
+    if (rejection) {
+      market.rejected = true;
+      excluded.push({ id: market.id, name: market.name, hub: hub.id, ...rejection });
     }
-    
-    // Rate limiting
-    await delay(1000);
-  }
-
-  logMessage('');
-  logMessage(`✅ EVE Analysis Complete! Analyzed ${successfulAnalyses} items`);
+  });
+}
 
-  // Categorize results into 2 groups (no members in EVE)
-  const highRisk = results.filter(r => r.riskLevel === 'high')
-    .sort((a, b) => parseFloat(b.investmentScore) - parseFloat(a.investmentScore))
-    .slice(0, 5);
+/**
+ * Ranks the top picks within each top-level market group
+ * @param {Array} results - One hub's analyses
+ * @param {number} count - Picks per group
+ * @returns {Array} [{ name, picks }], the group with the best-scoring pick first
+ *   (empty when no result has a market group)
+ */
+export function rankByMarketGroup(results, count = MARKET_GROUP_PICKS) {
+  const groups = new Map();
+  for (const result of results) {
+    if (!result.marketGroup) continue;
+    if (!groups.has(result.marketGroup)) {
+      groups.set(result.marketGroup, []);
+    }
+    groups.get(result.marketGroup).push(result);
+  }
   
-  const lowRisk = results.filter(r => r.riskLevel === 'low')
-    .sort((a, b) => parseFloat(b.investmentScore) - parseFloat(a.investmentScore))
-    .slice(0, 5);
-
-  return {
-    highRisk,
-    lowRisk,
-    totalAnalyzed: successfulAnalyses,
-    totalChecked: itemsChecked
-  };
+  return [...groups.entries()]
+    .map(([name, members]) => ({ name, picks: topByScore(members, () => true, count) }))
+    .sort((a, b) => parseFloat(b.picks[0].investmentScore) - parseFloat(a.picks[0].investmentScore));
 }
 
-// ===== EMAIL REPORT GENERATION =====
+// ===== REPORT RENDERING =====
 
 /**
- * Generates HTML email report from EVE analysis results
- * @param {Object} eveData - EVE analysis results
- * @returns {string} HTML email report
+ * Formats ISK amount with appropriate suffix
+ * @param {number} amount - ISK amount
+ * @returns {string} Formatted string
  */
-function generateEmailReport(eveData) {
-  const currentDate = new Date().toLocaleDateString('en-US', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
+export function formatISK(amount) {
+  if (amount >= 1000000000) {
+    return `${(amount / 1000000000).toFixed(1)}B ISK`;
+  } else if (amount >= 1000000) {
+    return `${(amount / 1000000).toFixed(1)}M ISK`;
+  } else if (amount >= 1000) {
+    return `${(amount / 1000).toFixed(1)}K ISK`;
+  }
+  return `${Math.round(amount).toLocaleString()} ISK`;
+}
 
-  let contentHtml = '';
-  
-  if (eveData.error) {
-    contentHtml = `
-      <div class="error">
-        <p><strong>❌ Analysis Failed:</strong> ${eveData.error}</p>
-      </div>
-    `;
-  } else {
-    const { highRisk = [], lowRisk = [], metadata = {} } = eveData;
-    
-    // Helper function to generate items HTML
-    const generateItemsHtml = (items, category) => {
-      if (items.length === 0) {
-        return '<p class="no-items">No items found</p>';
-      }
-      return items.map((item) => `
+/**
+ * Renders one recommended item for the report grid
+ * @param {Object} item - Analysis result
+ * @param {number} regionId - Region to link the market browser to (0 for all regions)
+ * @returns {string} HTML
+ */
+function renderItem(item, regionId = 0) {
+  return `
             <div class="grid-item">
               <table>
                 <tr>
@@ -421,249 +486,491 @@ function generateEmailReport(eveData) {
                     <img src="https://images.evetech.net/types/${item.id}/icon" alt="${item.name}">
                   </td>
                   <td class="grid-item-content" style="vertical-align: top;">
-                    <h4><a href="https://evemarketbrowser.com/region/0/type/${item.id}" target="_blank">${item.name}</a></h4>
+                    <h4><a href="https://evemarketbrowser.com/region/${regionId}/type/${item.id}" target="_blank">${item.name}</a></h4>
                     <div class="item-metrics">
                       <span>Price: ${formatISK(item.currentPrice)}</span>
                       <span>Volume: ${item.volumeCategory}</span>
                       <span>Volatility: ${item.volatility}%</span>
-                      <span>Momentum: ${item.momentum > 0 ? '+' : ''}${item.momentum}%</span>
+                      <span>Momentum: ${item.momentum > 0 ? '+' : ''}${item.momentum}%</span>${item.orderBook?.spread != null ? `
+                      <span>Spread: ${item.orderBook.spread}%</span>` : ''}
                     </div>
                   </td>
                 </tr>
               </table>
-            </div>`).join('\n');
-    };
+            </div>`;
+}
 
-    contentHtml = `
-      <h2 style="text-align: center; margin-top: 0;">Recommendations</h2>
-      
-      <table class="grid-container">
+/**
+ * Renders one two-column recommendation section
+ * @param {string} title - Section heading
+ * @param {Array} items - Recommended items
+ * @param {number} regionId - Region for market browser links
+ * @returns {string} HTML table row
+ */
+function renderSection(title, items, regionId) {
+  const render = (item) => renderItem(item, regionId);
+  return `
         <tr>
           <td class="grid-section">
-            <h3>High Risk</h3>
+            <h3>${title}</h3>
             <table class="grid-items">
               <tr>
                 <td style="width: 50%; vertical-align: top;">
-${generateItemsHtml(highRisk.slice(0, 2), 'high-risk-col1')}
+${renderItemList(items.slice(0, 2), render)}
                 </td>
                 <td style="width: 50%; vertical-align: top;">
-${generateItemsHtml(highRisk.slice(2, 4), 'high-risk-col2')}
+${renderItemList(items.slice(2, 4), render)}
                 </td>
               </tr>
             </table>
           </td>
-        </tr>
+        </tr>`;
+}
+
+/**
+ * Renders the price and volume of each recommended item across hubs
+ * @param {Array} comparison - Results from compareHubs
+ * @param {Array} hubs - Hub results in report order
+ * @returns {string} HTML (empty when only one hub was analyzed)
+ */
+function renderHubComparison(comparison, hubs) {
+  if (!comparison || comparison.length === 0 || hubs.length < 2) {
+    return '';
+  }
+  
+  const rows = comparison.map(item => {
+    const cells = hubs.map(hub => {
+      const market = item.hubs.find(h => h.hub === hub.id);
+      if (!market) {
+        return '<td style="text-align: center;">—</td>';
+      }
+      const price = item.cheapestHub === hub.id ? `<strong>${formatISK(market.price)}</strong>` : formatISK(market.price);
+      return `<td style="text-align: center;">${price}<br><small>${market.volume.toLocaleString()}/day</small></td>`;
+    });
+    return `
+              <tr>
+                <td>${item.name}</td>
+                ${cells.join('\n                ')}
+                <td style="text-align: center;">${item.priceSpread}%</td>
+              </tr>`;
+  }).join('');
+  
+  return `
+      <h2 style="text-align: center;">Hub Comparison</h2>
+      <table class="grid-container">
         <tr>
           <td class="grid-section">
-            <h3>Low Risk</h3>
-            <table class="grid-items">
+            <h3>Price and average daily volume of each pick (cheapest in bold)</h3>
+            <table style="width: 100%;">
               <tr>
-                <td style="width: 50%; vertical-align: top;">
-${generateItemsHtml(lowRisk.slice(0, 2), 'low-risk-col1')}
-                </td>
-                <td style="width: 50%; vertical-align: top;">
-${generateItemsHtml(lowRisk.slice(2, 4), 'low-risk-col2')}
-                </td>
-              </tr>
+                <th style="text-align: left;">Item</th>
+                ${hubs.map(hub => `<th>${hub.name}</th>`).join('\n                ')}
+                <th>Spread</th>
+              </tr>${rows}
             </table>
           </td>
         </tr>
       </table>
     `;
-  }
+}
 
-  // Read existing index.html and update only the dynamic content
-  let template = fs.readFileSync('docs/eve/index.html', 'utf8');
-  
-  // Update the date
-  template = template.replace(
-    /<span id="report-date">.*?<\/span>/,
-    `<span id="report-date">${currentDate}</span>`
-  );
-  
-  // Update the content section (main grid area only, preserve opinion column)
-  template = template.replace(
-    /<div class="content">[\s\S]*?<\/div>\s*<aside class="opinion-column">/,
-    `<div class="content">\n${contentHtml}\n    </div>\n    \n    <aside class="opinion-column">`
-  );
+/**
+ * Renders the top arbitrage routes
+ * @param {Array} routes - Sized routes, best first
+ * @param {Object} fees - Fees the routes were priced with ({ salesTax, brokerFee, cargoCapacity })
+ * @returns {string} HTML (empty when arbitrage wasn't run)
+ */
+function renderArbitrage(routes, fees) {
+  if (!routes || !fees) {
+    return '';
+  }
   
-  return template;
+  const rows = routes.map(route => `
+              <tr>
+                <td>${route.name}</td>
+                <td>${TRADE_HUBS[route.from].name} → ${TRADE_HUBS[route.to].name}</td>
+                <td style="text-align: center;">${formatISK(route.buyPrice)}</td>
+                <td style="text-align: center;">${formatISK(route.sellPrice)}</td>
+                <td style="text-align: center;">${formatISK(route.profitPerUnit)}<br><small>${route.margin}%</small></td>
+                <td style="text-align: center;">${route.units.toLocaleString()}${route.cargoUsed !== null ? `<br><small>${route.cargoUsed.toLocaleString()} m³</small>` : ''}</td>
+                <td style="text-align: center;">${formatISK(route.profit)}</td>
+              </tr>`).join('');
+  
+  return `
+      <h2 style="text-align: center;">Arbitrage Routes</h2>
+      <table class="grid-container">
+        <tr>
+          <td class="grid-section">
+            <h3>Buy in one hub, sell in another (after ${fees.salesTax.toFixed(2)}% sales tax and ${fees.brokerFee.toFixed(2)}% broker fee, up to ${fees.cargoCapacity.toLocaleString()} m³ a day)</h3>
+            ${routes.length === 0 ? '<p class="no-items">No profitable routes found</p>' : `<table style="width: 100%;">
+              <tr>
+                <th style="text-align: left;">Item</th>
+                <th style="text-align: left;">Route</th>
+                <th>Buy</th>
+                <th>Sell</th>
+                <th>Profit / Unit</th>
+                <th>Units / Day</th>
+                <th>Daily Profit</th>
+              </tr>${rows}
+            </table>`}
+          </td>
+        </tr>
+      </table>
+    `;
 }
 
-// ===== NEWSLETTER FUNCTIONS =====
-
 /**
- * Loads EVE subscriber list from Brevo contact list
- * @returns {Promise<Array>} Array of subscriber email addresses
+ * Renders the station-trading opportunities found in the order books
+ * @param {Array} opportunities - Checked markets flagged for station trading, best first
+ * @param {Object} settings - Order book settings and fees ({ salesTax, brokerFee })
+ * @returns {string} HTML (empty when the order books weren't checked)
  */
-async function loadSubscribers() {
-  const apiKey = process.env.BREVO_API_KEY;
-  const listId = 3; // EVE Online Newsletter list
-  
-  if (!apiKey) {
-    console.log('⚠️ BREVO_API_KEY not set.');
-    return [];
+function renderStationTrading(opportunities, settings) {
+  if (!opportunities || !settings) {
+    return '';
   }
   
-  try {
-    const apiInstance = new brevo.ContactsApi();
-    apiInstance.setApiKey(brevo.ContactsApiApiKeys.apiKey, apiKey);
-    
-    // Get contacts from the list
-    const opts = {
-      limit: 500, // Max subscribers per request
-      offset: 0
-    };
-    
-    const response = await apiInstance.getContactsFromList(parseInt(listId), opts);
-    const emails = response.contacts.map(contact => contact.email);
-    
-    console.log(`📋 Loaded ${emails.length} EVE subscribers from Brevo list ${listId}`);
-    return emails;
-  } catch (error) {
-    console.error('❌ Failed to load subscribers from Brevo:', error.message);
-    return [];
-  }
+  const rows = opportunities.map(item => `
+              <tr>
+                <td>${item.name}</td>
+                <td>${TRADE_HUBS[item.hub].name}</td>
+                <td style="text-align: center;">${formatISK(item.bestBid)}<br><small>${item.bidDepth.toLocaleString()} deep</small></td>
+                <td style="text-align: center;">${formatISK(item.bestAsk)}<br><small>${item.askDepth.toLocaleString()} deep</small></td>
+                <td style="text-align: center;">${item.spread}%</td>
+                <td style="text-align: center;">${item.stationMargin}%</td>
+              </tr>`).join('');
+  
+  return `
+      <h2 style="text-align: center;">Station Trading</h2>
+      <table class="grid-container">
+        <tr>
+          <td class="grid-section">
+            <h3>Buy at the best bid, sell at the best ask (after ${settings.salesTax.toFixed(2)}% sales tax and ${settings.brokerFee.toFixed(2)}% broker fee per order)</h3>
+            ${opportunities.length === 0 ? '<p class="no-items">No spreads wide enough to trade</p>' : `<table style="width: 100%;">
+              <tr>
+                <th style="text-align: left;">Item</th>
+                <th style="text-align: left;">Hub</th>
+                <th>Best Bid</th>
+                <th>Best Ask</th>
+                <th>Spread</th>
+                <th>Net Margin</th>
+              </tr>${rows}
+            </table>`}
+          </td>
+        </tr>
+      </table>
+    `;
 }
 
 /**
- * Sends newsletter via Brevo
- * @param {Array} subscribers - Array of subscriber emails
+ * Renders the top picks in each top-level market group
+ * @param {Array} leaderboards - Groups from rankByMarketGroup
+ * @param {string|null} hubName - Hub the picks are from (null to leave it out of the heading)
+ * @returns {string} HTML (empty when there are no market groups)
  */
-async function sendNewsletter(subscribers) {
-  const apiKey = process.env.BREVO_API_KEY;
-  
-  if (!apiKey) {
-    console.log('⚠️ BREVO_API_KEY not set. Skipping newsletter.');
-    return;
+function renderMarketGroups(leaderboards, hubName) {
+  if (!leaderboards || leaderboards.length === 0) {
+    return '';
   }
   
-  if (subscribers.length === 0) {
-    console.log('📭 No EVE subscribers found. Skipping newsletter.');
-    return;
-  }
+  const rows = leaderboards.map(group => `
+              <tr>
+                <td style="vertical-align: top;"><strong>${group.name}</strong></td>
+                <td>${group.picks.map(item => `${item.name} <small>(${formatISK(item.currentPrice)}, score ${item.investmentScore})</small>`).join('<br>')}</td>
+              </tr>`).join('');
   
-  try {
-    // Configure Brevo API
-    const apiInstance = new brevo.TransactionalEmailsApi();
-    apiInstance.setApiKey(brevo.TransactionalEmailsApiApiKeys.apiKey, apiKey);
-    
-    // Read the HTML report
-    const htmlContent = fs.readFileSync('docs/eve/index.html', 'utf8');
-    
-    const currentDate = new Date().toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-    
-    const subject = `EVE Online Market Analysis - ${currentDate}`;
-    
-    // Prepare email
-    const sendSmtpEmail = new brevo.SendSmtpEmail();
-    sendSmtpEmail.subject = subject;
-    sendSmtpEmail.htmlContent = htmlContent;
-    sendSmtpEmail.sender = {
-      name: 'Mythic Market Mogul',
-      email: 'reports@vineyardtechnologies.org'
-    };
-    sendSmtpEmail.to = subscribers.map(email => ({ email }));
-    sendSmtpEmail.replyTo = {
-      email: 'reports@vineyardtechnologies.org',
-      name: 'Mythic Market Mogul'
-    };
-    
-    console.log(`\n📧 Sending EVE newsletter to ${subscribers.length} subscriber(s)...`);
-    const response = await apiInstance.sendTransacEmail(sendSmtpEmail);
-    console.log(`✅ Newsletter sent successfully! Message ID: ${response.messageId}`);
-  } catch (error) {
-    console.error(`❌ Failed to send newsletter:`, error.message);
-    // Don't throw - newsletter failure shouldn't break the analysis
-  }
+  return `
+      <h2 style="text-align: center;">Top Picks by Market Group</h2>
+      <table class="grid-container">
+        <tr>
+          <td class="grid-section">
+            <h3>Highest-scoring items in each market group${hubName ? ` in ${hubName}` : ''}</h3>
+            <table style="width: 100%;">
+              <tr>
+                <th style="text-align: left;">Market Group</th>
+                <th style="text-align: left;">Picks</th>
+              </tr>${rows}
+            </table>
+          </td>
+        </tr>
+      </table>
+    `;
 }
 
-// ===== GITHUB ACTIONS RUNNER =====
-
 /**
- * Main entry point when run directly (e.g., node eve.js or GitHub Actions)
+ * Renders the recommendation grid (one two-column section per hub and category)
+ * @param {Object} results - EVE analysis results
+ * @returns {string} HTML
  */
-async function main() {
-  const IS_GITHUB_ACTIONS = process.env.GITHUB_ACTIONS === 'true';
-
-  console.log('🚀 EVE Online GitHub Actions Analysis');
-  console.log('====================================');
-  console.log(`Analyzing ALL available items`);
-  console.log(`Environment: ${IS_GITHUB_ACTIONS ? 'GitHub Actions' : 'Local'}`);
-  console.log('');
+function renderContent(results) {
+  // Results from before multi-hub support only have the top-level categories
+  const hubs = results.hubs || [{ id: null, name: null, regionId: 0, ...results }];
+  const multiHub = hubs.length > 1;
+  
+  const sections = hubs.map(hub =>
+    Object.entries(eveAdapter.categories)
+      .map(([category, label]) => renderSection(multiHub ? `${hub.name} — ${label}` : label, hub[category] || [], hub.regionId))
+      .join('')
+  ).join('');
+
+  return `
+      <h2 style="text-align: center; margin-top: 0;">Recommendations</h2>
+      
+      <table class="grid-container">${sections}
+      </table>
+${renderMarketGroups(hubs[0].marketGroups, multiHub ? hubs[0].name : null)}
+${renderHubComparison(results.hubComparison, hubs)}
+${renderStationTrading(results.stationTrading, results.orderBookSettings)}
+${renderArbitrage(results.arbitrage, results.arbitrageFees)}
+    `;
+}
 
-  const startTime = Date.now();
-  
-  try {
-    const results = await runEVEAutomated({
-      isGitHubActions: IS_GITHUB_ACTIONS,
-      logFile: 'eve-analysis.log'
-    });
+// ===== GAME ADAPTER =====
+
+export const eveAdapter = defineGameAdapter({
+  id: 'eve',
+  title: 'EVE Online',
+  reportTemplate: 'docs/eve/index.html',
+  resultsFile: 'eve-results.json',
+  logFile: 'eve-analysis.log',
+  categories: {
+    highRisk: 'High Risk',
+    lowRisk: 'Low Risk'
+  },
+  newsletter: {
+    listId: 3 // EVE Online Newsletter list
+  },
+  progressInterval: 100,
+  formatPrice: formatISK,
+
+  prepare({ options, log, http }) {
+    const { concurrency, offline = false } = options;
+    const userAgent = buildUserAgent(options);
     
-    const endTime = Date.now();
-    const analysisTime = Math.round((endTime - startTime) / 1000);
+    // Live order books are checked unless turned off (an object overrides the default settings)
+    const orderBook = options.orderBook === false
+      ? null
+      : { ...DEFAULT_ORDER_BOOK_SETTINGS, ...(typeof options.orderBook === 'object' ? options.orderBook : {}) };
     
-    // Add metadata
-    results.metadata = {
-      itemsAnalyzed: results.totalAnalyzed || 0,
-      analysisTime: `${Math.floor(analysisTime / 60)}m ${analysisTime % 60}s`,
-      timestamp: new Date().toISOString(),
-      environment: 'GitHub Actions'
-    };
+    // Arbitrage compares every major hub unless told otherwise
+    const arbitrage = options.arbitrage
+      ? loadArbitrageConfig(options.arbitrage === true ? {} : options.arbitrage)
+      : null;
+    const hubs = parseHubs(options.hubs ?? (arbitrage ? Object.keys(TRADE_HUBS) : undefined));
+    if (arbitrage && hubs.length < 2) {
+      throw new Error('Arbitrage needs at least two trade hubs');
+    }
     
-    // Save results to JSON
-    fs.writeFileSync('eve-results.json', JSON.stringify(results, null, 2));
+    // Market group filters apply before any history is fetched
+    const marketGroupFilter = {
+      include: parseMarketGroups(options.includeGroups),
+      exclude: parseMarketGroups(options.excludeGroups)
+    };
     
-    // Generate and update the index.html file
-    const reportHtml = generateEmailReport(results);
-    fs.writeFileSync('docs/eve/index.html', reportHtml);
+    log(`Analyzing ALL available items${offline ? ' (offline, from cache)' : ''}`);
+    log(`Trade hubs: ${hubs.map(hub => hub.name).join(', ')}`);
+    if (arbitrage) {
+      log(`Arbitrage: Accounting ${arbitrage.skills.accounting}, Broker Relations ${arbitrage.skills.brokerRelations}, minimum margin ${arbitrage.minimumMargin}%`);
+    }
     
-    console.log('\n✅ Analysis Complete!');
-    console.log(`Total time: ${results.metadata.analysisTime}`);
-    console.log(`Items analyzed: ${results.metadata.itemsAnalyzed}`);
-    console.log('Results saved to eve-results.json');
-    console.log('Updated docs/eve/index.html');
+    // Requests run concurrently; the client handles ESI's error limit and retries
+    return { esiClient: createEsiClient({ getUserAgent: () => userAgent, concurrency, fetch: http.fetch }), offline, hubs, arbitrage, orderBook, marketGroupFilter };
+  },
+
+  async fetchItems({ options, log, marketGroupFilter }) {
+    let items = options.items || getTradeableItems();
     
-    // Log summary for GitHub Actions
-    console.log('\n📊 RESULTS SUMMARY:');
-    console.log(`High Risk: ${results.highRisk?.length || 0} items`);
-    console.log(`Low Risk: ${results.lowRisk?.length || 0} items`);
+    if (marketGroupFilter.include || marketGroupFilter.exclude) {
+      if (!items.some(item => item.marketGroups?.length > 0)) {
+        throw new Error('Market group filters need the item catalogue. Please run eveDataCleaner.js first.');
+      }
+      const total = items.length;
+      items = items.filter(item => matchesMarketGroups(item, marketGroupFilter));
+      log(`🗂️ Market groups: ${marketGroupFilter.include ? `only ${marketGroupFilter.include.join(', ')}` : 'all'}${marketGroupFilter.exclude ? `, skipping ${marketGroupFilter.exclude.join(', ')}` : ''} (${items.length} of ${total} items)`);
+    }
     
-    // Send newsletter if in GitHub Actions
-    if (IS_GITHUB_ACTIONS) {
-      const subscribers = await loadSubscribers();
-      await sendNewsletter(subscribers);
+    log(`✅ Using ${items.length} tradeable items for analysis`);
+    return items;
+  },
+
+  openHistory({ options, hubs }) {
+    // Cached history means only types with a new day need a full fetch
+    return Object.fromEntries(hubs.map(hub => [
+      hub.id,
+      createEVEHistoryStore(hub.regionId, options.historyDir).load()
+    ]));
+  },
+
+  async loadSeries(item, { esiClient, history, hubs, offline }) {
+    // One hub at a time, so the client's concurrency limit still holds
+    const markets = [];
+    for (const hub of hubs) {
+      const series = await getMarketHistory(esiClient, history[hub.id], hub.regionId, item.id, offline);
+      if (series && series.length > 0) {
+        markets.push({ hub, series });
+      }
     }
+    return markets;
+  },
+
+  analyzeItem(markets, item, context) {
+    return analyzeMarkets(markets, item, context);
+  },
+
+  markPrice(markets) {
+    // Held items are valued at the first hub that trades them, in report order
+    const { series } = markets[0];
+    return series[series.length - 1].price;
+  },
+
+  async mapItems(items, worker, { esiClient }) {
+    await esiClient.map(items, worker);
+  },
+
+  async enrichResults(results, context) {
+    await checkOrderBooks(results, context);
     
-  } catch (error) {
-    console.error('❌ Analysis failed:', error.message);
+    const { arbitrage, esiClient, offline, log } = context;
+    if (!arbitrage) return;
     
-    // Save error info
-    const errorResult = {
-      error: error.message,
-      metadata: {
-        timestamp: new Date().toISOString(),
-        environment: 'GitHub Actions',
-        failed: true
-      }
-    };
+    // Size the most promising routes by what fits in the hauler (a few spare, since cargo can reorder them)
+    const candidates = results
+      .filter(r => r.route)
+      .sort((a, b) => b.route.estimatedProfit - a.route.estimatedProfit)
+      .slice(0, arbitrage.routes * 3);
+    
+    log(`🔀 Sizing ${candidates.length} arbitrage routes...`);
+    await esiClient.map(candidates, async (result) => {
+      // The catalogue knows most packaged volumes; ships and containers come from ESI
+      const packagedVolume = result.packagedVolume ?? (offline ? null : await fetchPackagedVolume(esiClient, result.id));
+      result.route = sizeRoute(result.route, packagedVolume, arbitrage);
+    });
+  },
+
+  closeHistory({ history, esiClient, log }) {
+    // Each type's history was written as it was fetched
+    Object.values(history).forEach(store => store.flush());
     
-    fs.writeFileSync('eve-results.json', JSON.stringify(errorResult, null, 2));
+    const { requests, cacheHits, notModified, retries, errors } = esiClient.stats;
+    log(`ESI: ${requests} requests, ${cacheHits} cache hits, ${notModified} not modified, ${retries} retries, ${errors} errors`);
+  },
+
+  categorise(results, { hubs, arbitrage, orderBook, offline }) {
+    // Categorize each hub's results into 2 groups (no members in EVE), leaving out picks
+    // whose order book couldn't fill a position
+    const byHub = hubs.map(hub => {
+      const hubResults = results.filter(r => r.markets[hub.id]).map(r => r.markets[hub.id]);
+      const tradeable = hubResults.filter(r => !r.rejected);
+      return {
+        id: hub.id,
+        name: hub.name,
+        regionId: hub.regionId,
+        itemsAnalyzed: hubResults.length,
+        highRisk: topByScore(tradeable, r => r.riskLevel === 'high', 5),
+        lowRisk: topByScore(tradeable, r => r.riskLevel === 'low', 5),
+        marketGroups: rankByMarketGroup(tradeable)
+      };
+    });
     
-    // Generate error report and update index.html
-    const reportHtml = generateEmailReport(errorResult);
-    fs.writeFileSync('docs/eve/index.html', reportHtml);
+    // Compare every hub's picks across all hubs
+    const pickIds = new Set(byHub.flatMap(hub => [...hub.highRisk, ...hub.lowRisk].map(r => r.id)));
+    const hubComparison = hubs.length > 1
+      ? results.filter(r => pickIds.has(r.id)).map(r => compareHubs(r, hubs))
+      : [];
     
-    process.exit(1);
-  }
+    // The first hub's picks are the headline categories (and what the backtest measures)
+    return {
+      highRisk: byHub[0].highRisk,
+      lowRisk: byHub[0].lowRisk,
+      marketGroups: byHub[0].marketGroups,
+      hubs: byHub,
+      hubComparison,
+      ...(orderBook && !offline ? {
+        stationTrading: results
+          .flatMap(r => Object.values(r.markets))
+          .filter(market => market.orderBook?.stationTrading)
+          .map(market => ({ id: market.id, name: market.name, hub: market.hub, ...market.orderBook }))
+          .sort((a, b) => parseFloat(b.stationMargin) - parseFloat(a.stationMargin))
+          .slice(0, orderBook.shortlistSize)
+      } : {}),
+      ...(arbitrage ? {
+        arbitrage: results
+          .filter(r => r.route?.units !== undefined)
+          .map(r => ({ id: r.id, name: r.name, ...r.route }))
+          .sort((a, b) => b.profit - a.profit)
+          .slice(0, arbitrage.routes)
+      } : {})
+    };
+  },
+
+  summarise({ arbitrage, orderBook, offline }) {
+    const summary = {};
+    if (orderBook && !offline) {
+      const fees = arbitrage || loadArbitrageConfig();
+      summary.orderBookSettings = {
+        ...orderBook,
+        salesTax: calculateSalesTax(fees),
+        brokerFee: calculateBrokerFee(fees)
+      };
+    }
+    if (!arbitrage) return summary;
+    return {
+      ...summary,
+      arbitrageFees: {
+        salesTax: calculateSalesTax(arbitrage),
+        brokerFee: calculateBrokerFee(arbitrage),
+        buyWithOrders: arbitrage.buyWithOrders,
+        skills: arbitrage.skills,
+        standings: arbitrage.standings,
+        cargoCapacity: arbitrage.cargoCapacity
+      }
+    };
+  },
+
+  renderContent
+});
+
+// ===== MAIN APPLICATION =====
+
+/**
+ * Automated EVE analysis
+ * @param {Object} options - Configuration options
+ * @param {number} options.concurrency - Maximum ESI requests in flight
+ * @param {boolean} options.offline - Analyze from the local history cache without calling ESI
+ * @param {Array|string} options.hubs - Trade hubs to analyze, first one headlining the report
+ *   (names or region IDs, e.g. "jita,amarr"; defaults to Jita, or every hub for arbitrage)
+ * @param {boolean|Object} options.arbitrage - Find inter-hub arbitrage routes (an object overrides
+ *   config/arbitrage.json, e.g. { skills: { accounting: 5 } })
+ * @param {boolean|Object} options.orderBook - Check picks against live order books (on by default;
+ *   false turns it off, an object overrides DEFAULT_ORDER_BOOK_SETTINGS, e.g. { depthRange: 2 })
+ * @param {Array|string} options.includeGroups - Only analyze items in these market groups (names at
+ *   any level of the hierarchy, e.g. "Ships,Ship Equipment"; needs the item catalogue)
+ * @param {Array|string} options.excludeGroups - Skip items in these market groups (e.g. "Blueprints & Reactions,Ship SKINs")
+ * @param {string} options.strategy - Scoring strategy name (see config/strategies.json)
+ * @param {number} options.minHistoryDays - Days of history an item needs to be recommended (default 14)
+ * @param {string} options.userAgent - User-Agent for ESI (or options.contact to build one)
+ * @param {Array} options.items - Items to analyze instead of the SDE catalogue ({ id, name, marketGroups })
+ * @param {string} options.historyDir - Directory for the history cache (defaults to data/)
+ * @param {string} options.portfolioFile - Portfolio to mark to market, e.g. data/portfolio.json (none by default)
+ * @param {Object} options.http - HTTP layer from createHttpLayer (defaults to the live one)
+ * @returns {Promise<Object>} Analysis results
+ */
+export async function runEVEAutomated(options = {}) {
+  return runPipeline(eveAdapter, options);
 }
 
 // Run main function if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+  runGameMain(eveAdapter, {
+    concurrency: parseInt(process.env.EVE_CONCURRENCY) || undefined,
+    offline: process.env.EVE_OFFLINE === 'true',
+    hubs: process.env.EVE_HUBS || undefined,
+    arbitrage: process.env.EVE_ARBITRAGE === 'true',
+    orderBook: process.env.EVE_ORDER_BOOK !== 'false',
+    includeGroups: process.env.EVE_INCLUDE_GROUPS || undefined,
+    excludeGroups: process.env.EVE_EXCLUDE_GROUPS || undefined,
+    strategy: process.env.EVE_STRATEGY || undefined,
+    minHistoryDays: parseInt(process.env.EVE_MIN_HISTORY_DAYS) || undefined,
+    portfolioFile: process.env.MOGUL_PORTFOLIO || undefined
+  });
 }
@@ -0,0 +1,145 @@
+/**
+ * EVE Online Inter-Hub Arbitrage
+ * Finds items that can be bought in one trade hub and sold in another at a profit
+ *
+ * A route buys at the source hub's price and lists a sell order at the destination hub,
+ * paying the destination's broker fee and sales tax (and the source's broker fee too when
+ * buying through buy orders). Fees follow the character's Accounting and Broker Relations
+ * skills and NPC standings from config/arbitrage.json. Routes are ranked by the profit a
+ * day's hauling could make: capped by the quieter hub's daily volume and by how many
+ * packaged units fit in the hauler.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_FILE = path.join(__dirname, '..', 'config', 'arbitrage.json');
+
+let config = null;
+
+/**
+ * Loads the arbitrage config, with any overrides applied
+ * @param {Object} overrides - Settings to replace (skills, standings and fees merge key by key)
+ * @returns {Object} Arbitrage config
+ */
+export function loadArbitrageConfig(overrides = {}) {
+  if (!config) {
+    config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  }
+
+  const merged = {
+    ...config,
+    ...overrides,
+    skills: { ...config.skills, ...overrides.skills },
+    standings: { ...config.standings, ...overrides.standings },
+    fees: { ...config.fees, ...overrides.fees }
+  };
+
+  for (const [skill, level] of Object.entries(merged.skills)) {
+    if (!Number.isInteger(level) || level < 0 || level > 5) {
+      throw new Error(`Invalid ${skill} skill level ${level}. Expected a whole number from 0 to 5.`);
+    }
+  }
+  return merged;
+}
+
+// ===== FEE FUNCTIONS =====
+
+/**
+ * Calculates the sales tax paid when an item sells
+ * @param {Object} settings - Arbitrage config
+ * @returns {number} Sales tax (% of the sale price)
+ */
+export function calculateSalesTax({ skills, fees }) {
+  return fees.baseSalesTax * (1 - skills.accounting * fees.accountingReduction / 100);
+}
+
+/**
+ * Calculates the NPC station broker fee for placing an order
+ * @param {Object} settings - Arbitrage config
+ * @returns {number} Broker fee (% of the order value)
+ */
+export function calculateBrokerFee({ skills, standings, fees }) {
+  const fee = fees.baseBrokerFee
+    - skills.brokerRelations * fees.brokerRelationsReduction
+    - standings.faction * fees.factionStandingReduction
+    - standings.corporation * fees.corporationStandingReduction;
+  return Math.max(fees.minimumBrokerFee, fee);
+}
+
+// ===== ROUTE FUNCTIONS =====
+
+/**
+ * Finds an item's most profitable route between hubs
+ * @param {Object} markets - Per-hub analysis ({ hubId: { currentPrice, averageVolume } })
+ * @param {Object} settings - Arbitrage config
+ * @returns {Object|null} Best route, or null if no route clears the minimum margin
+ */
+export function findBestRoute(markets, settings) {
+  const salesTax = calculateSalesTax(settings);
+  const brokerFee = calculateBrokerFee(settings);
+  const buyFee = settings.buyWithOrders ? brokerFee : 0;
+
+  let best = null;
+
+  for (const [from, source] of Object.entries(markets)) {
+    for (const [to, destination] of Object.entries(markets)) {
+      if (from === to || !(source.currentPrice > 0)) continue;
+
+      const buyCost = source.currentPrice * (1 + buyFee / 100);
+      const sellProceeds = destination.currentPrice * (1 - (salesTax + brokerFee) / 100);
+      const profitPerUnit = sellProceeds - buyCost;
+      const margin = profitPerUnit / buyCost * 100;
+
+      // Only a share of the quieter hub's trade can be moved without moving its price
+      const lesserVolume = Math.min(source.averageVolume || 0, destination.averageVolume || 0);
+      const dailyUnits = Math.floor(lesserVolume * settings.maxVolumeShare);
+
+      if (margin < settings.minimumMargin || dailyUnits === 0) continue;
+
+      const estimatedProfit = profitPerUnit * dailyUnits;
+      if (!best || estimatedProfit > best.estimatedProfit) {
+        best = {
+          from,
+          to,
+          buyPrice: source.currentPrice,
+          sellPrice: destination.currentPrice,
+          profitPerUnit: Math.round(profitPerUnit * 100) / 100,
+          margin: margin.toFixed(2),
+          lesserVolume,
+          dailyUnits,
+          estimatedProfit: Math.round(estimatedProfit)
+        };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Sizes a route to what one day's hauling can carry
+ * @param {Object} route - Route from findBestRoute
+ * @param {number|null} packagedVolume - Packaged volume of one unit (m³), null if unknown
+ * @param {Object} settings - Arbitrage config
+ * @returns {Object} Route with units, cargo used, profit and ISK per m³
+ *   (only volume-limited when the packaged volume is unknown)
+ */
+export function sizeRoute(route, packagedVolume, settings) {
+  const cargoUnits = packagedVolume > 0 ? Math.floor(settings.cargoCapacity / packagedVolume) : Infinity;
+  const units = Math.min(route.dailyUnits, cargoUnits);
+
+  return {
+    ...route,
+    packagedVolume,
+    units,
+    cargoUsed: packagedVolume > 0 ? Math.round(units * packagedVolume * 100) / 100 : null,
+    profit: Math.round(route.profitPerUnit * units),
+    iskPerM3: packagedVolume > 0 ? Math.round(route.profitPerUnit / packagedVolume) : null
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * EVE Item Catalogue
+ * Compact JSON index of tradeable types built by eveDataCleaner from the Static Data Export
+ *
+ * Format: { version: 1, sde: { buildNumber, releaseDate }, typeFields: [...], types: { typeId: [name, groupID, ...] },
+ *   groups: { groupId: [name, categoryID] }, categories: { categoryId: name },
+ *   marketGroups: { marketGroupId: [name, parentGroupID] } }
+ *
+ * Types are stored as rows in typeFields order rather than objects, which keeps ~19,000
+ * types small and quick to parse. Only the groups, categories and market groups (with their
+ * ancestors) that some tradeable type uses are kept. The file isn't committed: it's built
+ * locally, or weekly by the EVE workflow, which keeps it in the Actions cache.
+ */
+
+import fs from 'fs';
+
+export const CATALOGUE_VERSION = 1;
+
+// Column order of each type row
+export const TYPE_FIELDS = ['name', 'groupID', 'marketGroupID', 'metaGroupID', 'volume', 'packagedVolume', 'basePrice', 'portionSize'];
+
+/**
+ * Lists a market group and its ancestors
+ * @param {Object} catalogue - Catalogue from readCatalogue
+ * @param {number|null} marketGroupId - Market group ID
+ * @returns {Array} Market group names, top-level group first
+ */
+export function getMarketGroupPath(catalogue, marketGroupId) {
+  const names = [];
+  const seen = new Set();
+
+  // The SDE's tree has no cycles, but a hand-edited catalogue could
+  for (let id = marketGroupId; id != null && catalogue.marketGroups[id] && !seen.has(id); ) {
+    seen.add(id);
+    const [name, parentId] = catalogue.marketGroups[id];
+    names.unshift(name);
+    id = parentId;
+  }
+  return names;
+}
+
+/**
+ * Expands one type row into an item
+ * @param {Object} catalogue - Catalogue from readCatalogue
+ * @param {string} typeId - Type ID
+ * @param {Array} row - Type row in TYPE_FIELDS order
+ * @returns {Object} { id, name, groupID, marketGroupID, metaGroupID, volume, packagedVolume,
+ *   basePrice, portionSize, categoryID, category, marketGroups } (marketGroups are names,
+ *   top-level group first)
+ */
+function expandType(catalogue, typeId, row) {
+  const fields = Object.fromEntries(catalogue.typeFields.map((field, i) => [field, row[i] ?? null]));
+  const [, categoryId = null] = catalogue.groups[fields.groupID] || [];
+
+  return {
+    id: parseInt(typeId),
+    ...fields,
+    name: fields.name || `Item ${typeId}`,
+    categoryID: categoryId,
+    category: catalogue.categories[categoryId] ?? null,
+    marketGroups: getMarketGroupPath(catalogue, fields.marketGroupID)
+  };
+}
+
+/**
+ * Reads a catalogue file
+ * @param {string} file - Catalogue path
+ * @returns {Object} Catalogue
+ */
+export function readCatalogue(file) {
+  const catalogue = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (catalogue.version !== CATALOGUE_VERSION) {
+    throw new Error(`Unsupported EVE catalogue version ${catalogue.version} in ${file}. Please re-run eveDataCleaner.js.`);
+  }
+  return catalogue;
+}
+
+/**
+ * Lists every type in a catalogue as an item
+ * @param {Object} catalogue - Catalogue from readCatalogue
+ * @returns {Array} Items (see expandType), in type ID order
+ */
+export function catalogueItems(catalogue) {
+  return Object.entries(catalogue.types).map(([typeId, row]) => expandType(catalogue, typeId, row));
+}
+
+// ===== MARKET GROUP FILTERS =====
+
+/**
+ * Parses a list of market group names
+ * @param {Array|string} input - Names as an array or comma-separated string
+ *   (e.g. "Blueprints & Reactions,Ship SKINs"); empty or missing means no filter
+ * @returns {Array<string>|null} Lower-cased names, or null for no filter
+ */
+export function parseMarketGroups(input) {
+  if (input == null) return null;
+  const entries = (Array.isArray(input) ? input : String(input).split(','))
+    .map(entry => String(entry).trim().toLowerCase())
+    .filter(Boolean);
+  return entries.length > 0 ? entries : null;
+}
+
+/**
+ * Checks an item against market group filters
+ * A group matches an item if it is the item's market group or any group above it
+ * @param {Object} item - Catalogue item with marketGroups
+ * @param {Object} filter - { include, exclude } from parseMarketGroups (null for no filter)
+ * @returns {boolean} True if the item is in an included group (when given) and no excluded one
+ */
+export function matchesMarketGroups(item, { include, exclude }) {
+  const groups = (item.marketGroups || []).map(name => name.toLowerCase());
+  if (include && !include.some(name => groups.includes(name))) return false;
+  if (exclude && exclude.some(name => groups.includes(name))) return false;
+  return true;
+}
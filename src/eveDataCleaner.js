@@ -2,12 +2,22 @@
 
 /**
  * EVE Online Data Cleaner
- * Cleans types.yaml to only include tradeable items with minimal data
- * 
+ * Builds the compact item catalogue (data/types.json) from the Static Data Export
+ *
  * This script:
- * 1. Filters out entries without marketGroupID or not published
- * 2. Keeps only typeID and English name for remaining entries
- * 3. Significantly reduces file size for faster loading
+ * 1. Filters out types without a marketGroupID or not published
+ * 2. Keeps each remaining type's English name, group, market group, meta group, volumes,
+ *    base price and portion size
+ * 3. Keeps the groups, categories and market group hierarchy those types belong to
+ * 4. Records the SDE's build number and release date
+ * 5. Writes them as a compact JSON index (see eveCatalogue.js) that loads quickly
+ *
+ * types.yaml is read one type at a time as it streams in, so memory stays flat however big
+ * the SDE gets, and the files can be read straight out of the downloaded zip.
+ *
+ * Usage: node src/eveDataCleaner.js [sde] [outputFile]
+ * where sde is the SDE zip, or a folder holding its types.yaml, groups.yaml, categories.yaml,
+ * marketGroups.yaml and _sde.yaml (or use "mogul refresh eve --sde <archive>")
  */
 
 // We have to do this as the original provided as provided by CCP
@@ -15,113 +25,267 @@
 // which means it can't be used in GitHub Actions.
 
 import fs from 'fs';
-import yaml from 'js-yaml';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { CATALOGUE_VERSION, TYPE_FIELDS } from './eveCatalogue.js';
+import { openZipArchive } from './core/zipArchive.js';
+import { readYAMLEntries, readYAMLMapping } from './core/yamlStream.js';
 
-const INPUT_FILE = './data/types.yaml';
-const OUTPUT_FILE = './data/types_cleaned.yaml';
+// Get directory name for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
-console.log('🧹 EVE Online Data Cleaner');
-console.log('===========================');
+const DEFAULT_SDE_DIR = path.join(__dirname, '..', 'data', 'sde');
+const DEFAULT_OUTPUT_FILE = path.join(__dirname, '..', 'data', 'types.json');
+
+// Ships and cargo containers shrink when repackaged, and the SDE only has their assembled
+// volume, so theirs is left for ESI. Everything else hauls at its SDE volume.
+const REPACKAGED_CATEGORIES = new Set([6]); // Ship
+const REPACKAGED_GROUPS = new Set([12, 340, 448, 649]); // Cargo, secure, audit log and freight containers
+
+/**
+ * Gets the English name from an SDE name field
+ * @param {Object|string} name - Multi-language name object, or a plain name
+ * @param {string} fallback - Name to use if there's none
+ * @returns {string} English name
+ */
+function englishName(name, fallback) {
+  if (name && typeof name === 'object') {
+    // Multi-language name object
+    return name.en || Object.values(name)[0] || fallback;
+  }
+  if (typeof name === 'string') {
+    return name;
+  }
+  return fallback;
+}
+
+/**
+ * Opens the SDE, from an extracted folder or straight from the downloaded zip
+ * @param {string} source - SDE folder or zip
+ * @returns {Object} { has, size, open, close }: size is a file's uncompressed size, and open
+ *   streams its contents
+ */
+function openSDE(source) {
+  if (!fs.existsSync(source)) {
+    throw new Error(`Input file not found: ${source}`);
+  }
+
+  if (fs.statSync(source).isDirectory()) {
+    const file = (name) => path.join(source, name);
+    return {
+      has: (name) => fs.existsSync(file(name)),
+      size: (name) => fs.statSync(file(name)).size,
+      open: (name) => fs.createReadStream(file(name)),
+      close: () => {}
+    };
+  }
+
+  const zip = openZipArchive(source);
+  return {
+    has: (name) => Boolean(zip.find(name)),
+    size: (name) => zip.find(name).size,
+    open: (name) => zip.createReadStream(zip.find(name)),
+    close: () => zip.close()
+  };
+}
+
+/**
+ * Loads one of the smaller SDE files whole
+ * @param {Object} sde - SDE from openSDE
+ * @param {string} name - File name, e.g. "groups.yaml"
+ * @returns {Promise<Object>} Parsed entries keyed by ID (empty if the SDE doesn't have the file)
+ */
+async function loadSDEFile(sde, name) {
+  if (!sde.has(name)) {
+    console.warn(`⚠️ ${name} not found in the SDE, continuing without it`);
+    return {};
+  }
+
+  console.log(`📖 Loading ${name}...`);
+  return readYAMLMapping(sde.open(name));
+}
+
+/**
+ * Reads the SDE's build number and release date
+ * @param {Object} info - Parsed _sde.yaml ({ sde: { buildNumber, releaseDate } })
+ * @returns {Object|null} { buildNumber, releaseDate }, or null if unknown
+ */
+function readBuildInfo(info) {
+  const { buildNumber, releaseDate } = info?.sde || {};
+  if (buildNumber == null) return null;
+  return {
+    buildNumber,
+    // js-yaml turns an unquoted timestamp into a Date
+    releaseDate: releaseDate instanceof Date ? releaseDate.toISOString() : releaseDate ?? null
+  };
+}
+
+/**
+ * Builds the catalogue from parsed SDE files
+ * @param {Object} sde - Parsed SDE files
+ * @param {AsyncIterable<Array>} sde.types - [typeId, type] pairs, as streamed by readYAMLEntries
+ * @param {Object} sde.groups - Groups keyed by ID (and categories and marketGroups likewise)
+ * @param {Object} sde.info - Parsed _sde.yaml
+ * @returns {Promise<Object>} { catalogue, totalEntries } (catalogue in the eveCatalogue.js format)
+ */
+export async function buildCatalogue({ types, groups = {}, categories = {}, marketGroups = {}, info = null }) {
+  const catalogue = { version: CATALOGUE_VERSION, sde: readBuildInfo(info), typeFields: TYPE_FIELDS, types: {}, groups: {}, categories: {}, marketGroups: {} };
+  let totalEntries = 0;
+
+  // Process each entry as it's read
+  for await (const [typeId, typeData] of types) {
+    totalEntries++;
+
+    // Filter: Only keep items with marketGroupID and published
+    if (!typeData.marketGroupID || !typeData.published) continue;
+
+    const group = groups[typeData.groupID];
+    const repackaged = REPACKAGED_GROUPS.has(typeData.groupID) || REPACKAGED_CATEGORIES.has(group?.categoryID);
+    const fields = {
+      name: englishName(typeData.name, `Item ${typeId}`),
+      groupID: typeData.groupID ?? null,
+      marketGroupID: typeData.marketGroupID,
+      metaGroupID: typeData.metaGroupID ?? null,
+      volume: typeData.volume ?? null,
+      packagedVolume: typeData.packagedVolume ?? (repackaged ? null : typeData.volume ?? null),
+      basePrice: typeData.basePrice ?? null,
+      portionSize: typeData.portionSize ?? 1
+    };
+    catalogue.types[typeId] = TYPE_FIELDS.map(field => fields[field]);
+
+    if (group && !catalogue.groups[typeData.groupID]) {
+      catalogue.groups[typeData.groupID] = [englishName(group.name, `Group ${typeData.groupID}`), group.categoryID ?? null];
+      const category = categories[group.categoryID];
+      if (category) {
+        catalogue.categories[group.categoryID] = englishName(category.name, `Category ${group.categoryID}`);
+      }
+    }
+
+    // Keep the market group and every ancestor up to its top-level group
+    for (let id = typeData.marketGroupID; id != null && marketGroups[id] && !catalogue.marketGroups[id]; ) {
+      const marketGroup = marketGroups[id];
+      catalogue.marketGroups[id] = [englishName(marketGroup.name, `Market group ${id}`), marketGroup.parentGroupID ?? null];
+      id = marketGroup.parentGroupID;
+    }
+  }
+
+  return { catalogue, totalEntries };
+}
+
+/**
+ * Builds data/types.json from the SDE
+ * @param {Object} options - Cleaner options
+ * @param {string} options.source - SDE zip, or a folder holding its YAML files (defaults to data/sde)
+ * @param {string} options.outputFile - Catalogue to write (defaults to data/types.json)
+ * @returns {Promise<Object>} { totalEntries, keptEntries, outputFile, sde } (sde is the build number
+ *   and release date, null if the SDE didn't say)
+ */
+async function cleanEVEData(options = {}) {
+  const { source = DEFAULT_SDE_DIR, outputFile = DEFAULT_OUTPUT_FILE } = options;
+  const sde = openSDE(source);
 
-async function cleanEVEData() {
   try {
     // Check if input file exists
-    if (!fs.existsSync(INPUT_FILE)) {
-      console.error(`❌ Input file not found: ${INPUT_FILE}`);
-      process.exit(1);
+    if (!sde.has('types.yaml')) {
+      throw new Error(`Input file not found: types.yaml in ${source}`);
     }
 
     // Get file size before cleaning
-    const originalSize = fs.statSync(INPUT_FILE).size;
-    console.log(`📁 Original file size: ${(originalSize / (1024 * 1024)).toFixed(2)} MB`);
-
-    console.log('📖 Loading types.yaml...');
-    const typesData = yaml.load(fs.readFileSync(INPUT_FILE, 'utf8'));
-    
-    console.log('🔍 Filtering and cleaning data...');
-    const cleanedData = {};
-    let totalEntries = 0;
-    let keptEntries = 0;
-    let progressCounter = 0;
-
-    // Process each entry
-    for (const [typeId, typeData] of Object.entries(typesData)) {
-      totalEntries++;
-      progressCounter++;
-
-      // Progress update every 1000 entries
-      if (progressCounter % 1000 === 0) {
-        process.stdout.write(`\r   Processing: ${progressCounter.toLocaleString()} entries...`);
-      }
+    const originalSize = sde.size('types.yaml');
+    console.log(`📁 Original file size: ${formatMB(originalSize)} MB`);
 
-      // Filter: Only keep items with marketGroupID and published
-      if (typeData.marketGroupID && typeData.published) {
-        // Get English name
-        let itemName;
-        if (typeData.name && typeof typeData.name === 'object') {
-          // Multi-language name object
-          itemName = typeData.name.en || Object.values(typeData.name)[0] || `Item ${typeId}`;
-        } else if (typeof typeData.name === 'string') {
-          // Simple string name
-          itemName = typeData.name;
-        } else {
-          // Fallback
-          itemName = `Item ${typeId}`;
+    // The hierarchy is needed before the first type, and is small enough to hold whole
+    const groups = await loadSDEFile(sde, 'groups.yaml');
+    const categories = await loadSDEFile(sde, 'categories.yaml');
+    const marketGroups = await loadSDEFile(sde, 'marketGroups.yaml');
+    const info = await loadSDEFile(sde, '_sde.yaml');
+
+    console.log('🔍 Filtering and cleaning types.yaml...');
+    let reported = 0;
+    const types = readYAMLEntries(sde.open('types.yaml'), {
+      onProgress: (bytesRead) => {
+        // Progress update every 1% of the file (on stderr, so "mogul --json" output stays clean)
+        if (bytesRead - reported >= originalSize / 100 || bytesRead === originalSize) {
+          reported = bytesRead;
+          process.stderr.write(`\r   Processing: ${formatMB(bytesRead)} of ${formatMB(originalSize)} MB (${(bytesRead / originalSize * 100).toFixed(0)}%)`);
         }
+      }
+    });
+    const { catalogue, totalEntries } = await buildCatalogue({ types, groups, categories, marketGroups, info });
+    process.stderr.write('\n');
 
-        // Keep only essential data
-        cleanedData[typeId] = {
-          name: itemName
-        };
+    return writeCatalogue(catalogue, totalEntries, originalSize, outputFile);
+  } finally {
+    sde.close();
+  }
+}
 
-        keptEntries++;
-      }
-    }
+/**
+ * Formats a byte count in megabytes
+ * @param {number} bytes - Byte count
+ * @returns {string} Megabytes to 2 decimal places
+ */
+function formatMB(bytes) {
+  return (bytes / (1024 * 1024)).toFixed(2);
+}
 
-    console.log(`\n✅ Processing complete!`);
-    console.log(`   Total entries processed: ${totalEntries.toLocaleString()}`);
-    console.log(`   Entries kept: ${keptEntries.toLocaleString()}`);
-    console.log(`   Entries removed: ${(totalEntries - keptEntries).toLocaleString()}`);
-    console.log(`   Reduction: ${((totalEntries - keptEntries) / totalEntries * 100).toFixed(1)}%`);
-
-    // Write cleaned data
-    console.log('💾 Writing cleaned data...');
-    const cleanedYaml = yaml.dump(cleanedData, {
-      indent: 2,
-      lineWidth: -1, // No line wrapping
-      noRefs: true,
-      sortKeys: true // Sort by typeID for consistent output
-    });
+/**
+ * Writes the catalogue and reports what the cleaning kept
+ * @param {Object} catalogue - Catalogue from buildCatalogue
+ * @param {number} totalEntries - Types read from the SDE
+ * @param {number} originalSize - Size of the SDE's types.yaml in bytes
+ * @param {string} outputFile - Catalogue to write
+ * @returns {Object} { totalEntries, keptEntries, outputFile, sde }
+ */
+function writeCatalogue(catalogue, totalEntries, originalSize, outputFile) {
+  const keptEntries = Object.keys(catalogue.types).length;
+
+  console.log(`✅ Processing complete!`);
+  console.log(`   Total entries processed: ${totalEntries.toLocaleString()}`);
+  console.log(`   Entries kept: ${keptEntries.toLocaleString()}`);
+  console.log(`   Entries removed: ${(totalEntries - keptEntries).toLocaleString()}`);
+  console.log(`   Reduction: ${totalEntries > 0 ? ((totalEntries - keptEntries) / totalEntries * 100).toFixed(1) : '0.0'}%`);
+  if (catalogue.sde) {
+    console.log(`   SDE build ${catalogue.sde.buildNumber}, released ${catalogue.sde.releaseDate}`);
+  }
+  console.log(`   Market groups: ${Object.keys(catalogue.marketGroups).length.toLocaleString()}, groups: ${Object.keys(catalogue.groups).length.toLocaleString()}`);
 
-    fs.writeFileSync(OUTPUT_FILE, cleanedYaml, 'utf8');
+  // Write atomically, so an interrupted run leaves the previous catalogue in place
+  console.log('💾 Writing catalogue...');
+  const tempFile = `${outputFile}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(catalogue), 'utf8');
+  fs.renameSync(tempFile, outputFile);
 
-    // Get file sizes for comparison
-    const cleanedSize = fs.statSync(OUTPUT_FILE).size;
-    const sizeReduction = ((originalSize - cleanedSize) / originalSize * 100);
+  // Get file sizes for comparison
+  const cleanedSize = fs.statSync(outputFile).size;
+  const sizeReduction = ((originalSize - cleanedSize) / originalSize * 100);
 
-    console.log('\n📊 File Size Comparison:');
-    console.log(`   Original: ${(originalSize / (1024 * 1024)).toFixed(2)} MB`);
-    console.log(`   Cleaned:  ${(cleanedSize / (1024 * 1024)).toFixed(2)} MB`);
-    console.log(`   Reduction: ${sizeReduction.toFixed(1)}% smaller`);
+  console.log('\n📊 File Size Comparison:');
+  console.log(`   Original: ${(originalSize / (1024 * 1024)).toFixed(2)} MB`);
+  console.log(`   Cleaned:  ${(cleanedSize / (1024 * 1024)).toFixed(2)} MB`);
+  console.log(`   Reduction: ${sizeReduction.toFixed(1)}% smaller`);
 
-    console.log('\n🔄 Replacing original file...');
-    fs.renameSync(OUTPUT_FILE, INPUT_FILE);
+  console.log('\n✅ EVE data cleaning complete!');
+  console.log(`   Catalogue saved as: ${outputFile}`);
+  console.log(`   Ready for use with ${keptEntries.toLocaleString()} tradeable items!`);
 
-    console.log('\n✅ EVE data cleaning complete!');
-    console.log(`   Cleaned file saved as: ${INPUT_FILE}`);
-    console.log(`   Ready for use with ${keptEntries.toLocaleString()} tradeable items!`);
+  return { totalEntries, keptEntries, outputFile, sde: catalogue.sde };
+}
 
-  } catch (error) {
+// Run the cleaner when executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  console.log('🧹 EVE Online Data Cleaner');
+  console.log('===========================');
+
+  const [source, outputFile] = process.argv.slice(2);
+  cleanEVEData({ source, outputFile }).catch(error => {
     console.error('\n❌ Error cleaning EVE data:', error.message);
     if (error.stack) {
       console.error('Stack trace:', error.stack);
     }
     process.exit(1);
-  }
+  });
 }
 
-// Run the cleaner
-cleanEVEData();
-
-export { cleanEVEData };
\ No newline at end of file
+export { cleanEVEData };
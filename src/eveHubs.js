@@ -0,0 +1,47 @@
+/**
+ * EVE Online Trade Hubs
+ * The major empire trade hubs and the regions whose markets they dominate
+ *
+ * ESI publishes market history per region, so a hub's history is its region's history;
+ * the station ID identifies the hub itself for order-level data.
+ */
+
+export const TRADE_HUBS = {
+  jita: { id: 'jita', name: 'Jita', regionId: 10000002, regionName: 'The Forge', stationId: 60003760 },
+  amarr: { id: 'amarr', name: 'Amarr', regionId: 10000043, regionName: 'Domain', stationId: 60008494 },
+  dodixie: { id: 'dodixie', name: 'Dodixie', regionId: 10000032, regionName: 'Sinq Laison', stationId: 60011866 },
+  rens: { id: 'rens', name: 'Rens', regionId: 10000030, regionName: 'Heimatar', stationId: 60004588 },
+  hek: { id: 'hek', name: 'Hek', regionId: 10000042, regionName: 'Metropolis', stationId: 60005686 }
+};
+
+// Jita alone unless more hubs are asked for (each hub is another history request per type)
+export const DEFAULT_HUBS = ['jita'];
+
+/**
+ * Resolves a list of hubs from names or region IDs
+ * @param {Array|string} input - Hub names or region IDs, as an array or comma-separated string
+ *   (e.g. "jita,amarr" or [10000002, "dodixie"]); defaults to DEFAULT_HUBS
+ * @returns {Array<Object>} Hubs from TRADE_HUBS, in the order given, without duplicates
+ */
+export function parseHubs(input = DEFAULT_HUBS) {
+  const entries = Array.isArray(input) ? input : String(input).split(',');
+  const hubs = [];
+
+  for (const entry of entries) {
+    const key = String(entry).trim().toLowerCase();
+    if (!key) continue;
+
+    const hub = TRADE_HUBS[key] || Object.values(TRADE_HUBS).find(h => String(h.regionId) === key);
+    if (!hub) {
+      throw new Error(`Unknown trade hub "${entry}". Expected one of: ${Object.keys(TRADE_HUBS).join(', ')} (or their region IDs)`);
+    }
+    if (!hubs.includes(hub)) {
+      hubs.push(hub);
+    }
+  }
+
+  if (hubs.length === 0) {
+    throw new Error('At least one trade hub is required');
+  }
+  return hubs;
+}
@@ -0,0 +1,82 @@
+/**
+ * EVE Online Order Book Analysis
+ * Summarises a hub's live buy and sell orders for an item
+ *
+ * Daily history only shows where an item traded yesterday. The live order book at the hub
+ * station shows what it costs right now: the best bid and ask, the spread between them,
+ * and how many units sit within a few percent of the best price. That depth decides
+ * whether a position can be filled without walking the book, and a wide spread on a
+ * liquid item is a station-trading opportunity (buy with a buy order, sell with a sell order).
+ */
+
+export const DEFAULT_ORDER_BOOK_SETTINGS = {
+  depthRange: 5, // Count depth within this % of the best price
+  positionVolumeShare: 0.1, // A recommended position is 10% of average daily volume
+  shortlistSize: 10, // Types per hub and risk level to check against the book
+  minimumStationMargin: 5 // Net % a bid/ask round trip must clear to flag station trading
+};
+
+/**
+ * Summarises the orders at one station
+ * @param {Array} orders - ESI market orders for the region
+ * @param {number} stationId - Hub station ID (orders elsewhere in the region are ignored)
+ * @param {number} depthRange - Depth window (% from the best price)
+ * @returns {Object} Best bid and ask, spread (%), and units within range on each side
+ *   (bid/ask are null when that side of the book is empty)
+ */
+export function summariseOrderBook(orders, stationId, depthRange) {
+  const atStation = orders.filter(order => order.location_id === stationId);
+  const bids = atStation.filter(order => order.is_buy_order);
+  const asks = atStation.filter(order => !order.is_buy_order);
+
+  const bestBid = bids.length > 0 ? Math.max(...bids.map(order => order.price)) : null;
+  const bestAsk = asks.length > 0 ? Math.min(...asks.map(order => order.price)) : null;
+
+  const sumVolume = (list) => list.reduce((sum, order) => sum + order.volume_remain, 0);
+
+  return {
+    bestBid,
+    bestAsk,
+    spread: bestBid && bestAsk ? ((bestAsk - bestBid) / bestAsk * 100).toFixed(2) : null,
+    bidDepth: bestBid ? sumVolume(bids.filter(order => order.price >= bestBid * (1 - depthRange / 100))) : 0,
+    askDepth: bestAsk ? sumVolume(asks.filter(order => order.price <= bestAsk * (1 + depthRange / 100))) : 0,
+    buyOrders: bids.length,
+    sellOrders: asks.length
+  };
+}
+
+/**
+ * Checks whether a position can be bought without walking the book past the depth window
+ * @param {Object} book - Summary from summariseOrderBook
+ * @param {number} units - Position size
+ * @param {number} depthRange - Depth window (% from the best price)
+ * @returns {Object|null} Exclusion reason and detail, or null if the book can fill it
+ */
+export function checkPositionDepth(book, units, depthRange) {
+  if (book.bestAsk === null) {
+    return { reason: 'order-book', detail: 'No sell orders at the hub station' };
+  }
+  if (units > book.askDepth) {
+    return {
+      reason: 'order-book',
+      detail: `${units.toLocaleString()} units exceeds the ${book.askDepth.toLocaleString()} offered within ${depthRange}% of the best ask`
+    };
+  }
+  return null;
+}
+
+/**
+ * Calculates the net margin of station trading an item: buy at the best bid with a buy order,
+ * sell at the best ask with a sell order
+ * @param {Object} book - Summary from summariseOrderBook
+ * @param {number} salesTax - Sales tax (%)
+ * @param {number} brokerFee - Broker fee per order (%)
+ * @returns {number|null} Net margin (%), or null if either side of the book is empty
+ */
+export function calculateStationMargin(book, salesTax, brokerFee) {
+  if (book.bestBid === null || book.bestAsk === null) return null;
+
+  const cost = book.bestBid * (1 + brokerFee / 100);
+  const proceeds = book.bestAsk * (1 - (salesTax + brokerFee) / 100);
+  return (proceeds - cost) / cost * 100;
+}
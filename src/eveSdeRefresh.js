@@ -0,0 +1,85 @@
+/**
+ * EVE SDE Refresh
+ * Rebuilds the item catalogue from a newly downloaded Static Data Export and reports what changed
+ *
+ * CCP publishes a new SDE with most patches. The refresh takes the downloaded zip (or an
+ * already extracted folder), rebuilds data/types.json with eveDataCleaner, and compares the
+ * tradeable types against the catalogue it replaces: types added to or removed from the
+ * market, and types whose name changed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { cleanEVEData } from './eveDataCleaner.js';
+import { catalogueItems, readCatalogue } from './eveCatalogue.js';
+import { loadTradeableItemsFromSDE } from './eve.js';
+
+// Get directory name for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_OUTPUT_FILE = path.join(__dirname, '..', 'data', 'types.json');
+
+/**
+ * Compares two item lists
+ * @param {Array} previous - Items before ({ id, name })
+ * @param {Array} next - Items after ({ id, name })
+ * @returns {Object} { added, removed, renamed }: added and removed are { id, name },
+ *   renamed is { id, from, to }, each in type ID order
+ */
+export function diffCatalogueItems(previous, next) {
+  const before = new Map(previous.map(item => [item.id, item.name]));
+  const after = new Map(next.map(item => [item.id, item.name]));
+  const byId = (a, b) => a.id - b.id;
+
+  return {
+    added: next.filter(item => !before.has(item.id)).map(({ id, name }) => ({ id, name })).sort(byId),
+    removed: previous.filter(item => !after.has(item.id)).map(({ id, name }) => ({ id, name })).sort(byId),
+    renamed: next
+      .filter(item => before.has(item.id) && before.get(item.id) !== item.name)
+      .map(item => ({ id: item.id, from: before.get(item.id), to: item.name }))
+      .sort(byId)
+  };
+}
+
+/**
+ * Loads the catalogue a refresh will replace
+ * @param {string} outputFile - Catalogue being rebuilt
+ * @returns {Object} { items, sde } (no items if there's no previous catalogue; sde is null for
+ *   the older names-only types.yaml, which didn't record its build)
+ */
+function loadPreviousCatalogue(outputFile) {
+  if (fs.existsSync(outputFile)) {
+    const catalogue = readCatalogue(outputFile);
+    return { items: catalogueItems(catalogue), sde: catalogue.sde ?? null };
+  }
+
+  const legacyFile = path.join(path.dirname(outputFile), 'types.yaml');
+  if (fs.existsSync(legacyFile)) {
+    return { items: loadTradeableItemsFromSDE(legacyFile), sde: null };
+  }
+  return { items: [], sde: null };
+}
+
+/**
+ * Rebuilds the EVE item catalogue from a downloaded SDE
+ * @param {Object} options - Refresh options
+ * @param {string} options.archive - SDE zip, or a folder it was extracted to
+ * @param {string} options.outputFile - Catalogue to rebuild (defaults to data/types.json)
+ * @returns {Promise<Object>} { sde, previousSde, keptEntries, outputFile, added, removed, renamed }
+ */
+export async function refreshSDE(options = {}) {
+  const { archive, outputFile = DEFAULT_OUTPUT_FILE } = options;
+  if (!archive || !fs.existsSync(archive)) {
+    throw new Error(`SDE archive not found: ${archive}`);
+  }
+
+  const previous = loadPreviousCatalogue(outputFile);
+
+  // The cleaner reads straight from the zip
+  const { keptEntries, sde } = await cleanEVEData({ source: archive, outputFile });
+  const diff = diffCatalogueItems(previous.items, catalogueItems(readCatalogue(outputFile)));
+
+  return { sde, previousSde: previous.sde, keptEntries, outputFile, ...diff };
+}
@@ -0,0 +1,254 @@
+/**
+ * History Store
+ * Keeps a JSON history file in memory for the length of a run and writes it back atomically
+ *
+ * The file is loaded once, updated in memory, and flushed once at the end of the run
+ * (write to a temp file, then rename over the original). Every update is also appended
+ * to a journal next to the file, so if a run dies before flushing, the next load replays
+ * the journal instead of losing the day's data or leaving a half-written file behind.
+ * Records keep their prices in a `daily` map keyed by timestamp; update() journals only the
+ * days it adds, so the journal grows by a day's change rather than an item's whole history.
+ *
+ * Histories too large to hold at once use createItemHistoryStore instead, which keeps one
+ * file per item in a directory and reads and writes each as it's needed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates a history store backed by a JSON file
+ * @param {Object} options - Store options
+ * @param {string} options.file - Path to the history JSON file
+ * @param {number} options.version - Current history format version
+ * @param {Function} options.migrate - Converts data from an older version (data => data)
+ * @param {boolean} options.journal - Journal updates for crash recovery (default true)
+ * @param {number} options.retentionDays - Days of `daily` history update() keeps (default: all)
+ * @returns {Object} History store
+ */
+export function createHistoryStore({ file, version, migrate = (data) => data, journal = true, retentionDays = Infinity }) {
+  const journalFile = `${file}.journal`;
+  let data = null;
+
+  /**
+   * Applies an update to an item's record in memory, dropping days past the retention window
+   * @param {string|number} id - Item ID
+   * @param {Object} changes - Fields to overwrite, and new daily points to merge in
+   */
+  const applyUpdate = (id, changes) => {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const cutoff = today.getTime() - retentionDays * DAY_MS;
+
+    const daily = { ...data.items[id]?.daily, ...changes.daily };
+    data.items[id] = {
+      ...data.items[id],
+      ...changes,
+      daily: Object.fromEntries(Object.entries(daily).filter(([ts]) => parseInt(ts) >= cutoff))
+    };
+  };
+
+  /**
+   * Replays updates left in the journal by a run that didn't flush
+   * @returns {number} Number of updates replayed
+   */
+  const replayJournal = () => {
+    if (!fs.existsSync(journalFile)) return 0;
+
+    let replayed = 0;
+    const lines = fs.readFileSync(journalFile, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const { id, record, changes } = JSON.parse(line);
+        if (changes) {
+          applyUpdate(id, changes);
+        } else {
+          data.items[id] = record;
+        }
+        replayed++;
+      } catch (error) {
+        // A crash can leave the last line half-written; skip it
+      }
+    }
+    return replayed;
+  };
+
+  const store = {
+    /**
+     * Loads the history file (creating it if missing) and recovers any journal
+     * @returns {Object} The store
+     */
+    load() {
+      if (fs.existsSync(file)) {
+        const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (raw.version !== version) {
+          console.log(`📝 Migrating ${file} to version ${version}...`);
+        }
+        data = raw.version === version ? raw : migrate(raw);
+      } else {
+        console.log(`📝 Creating new history file ${file}...`);
+        data = { version, items: {} };
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+      }
+
+      const replayed = replayJournal();
+      if (replayed > 0) {
+        console.log(`♻️ Recovered ${replayed} unsaved updates from ${journalFile}`);
+      }
+      return store;
+    },
+
+    /**
+     * Gets the history record for an item
+     * @param {string|number} id - Item ID
+     * @returns {Object|undefined} History record
+     */
+    get(id) {
+      return data.items[id];
+    },
+
+    /**
+     * Replaces the history record for an item and journals the change
+     * @param {string|number} id - Item ID
+     * @param {Object} record - History record
+     */
+    set(id, record) {
+      data.items[id] = record;
+      if (journal) {
+        fs.appendFileSync(journalFile, JSON.stringify({ id, record }) + '\n');
+      }
+    },
+
+    /**
+     * Updates an item's record and journals just the change
+     * @param {string|number} id - Item ID
+     * @param {Object} changes - Fields to overwrite (e.g. name); `daily` holds only new or
+     *   changed days, which are merged into the record's existing ones
+     * @returns {Object} The updated record
+     */
+    update(id, changes) {
+      applyUpdate(id, changes);
+      if (journal) {
+        fs.appendFileSync(journalFile, JSON.stringify({ id, changes }) + '\n');
+      }
+      return data.items[id];
+    },
+
+    /**
+     * Gets all item IDs in the store
+     * @returns {Array<string>} Item IDs
+     */
+    ids() {
+      return Object.keys(data.items);
+    },
+
+    /**
+     * Writes the history file atomically (minified for space efficiency) and clears the journal
+     */
+    flush() {
+      writeJsonAtomically(file, data);
+
+      if (fs.existsSync(journalFile)) {
+        fs.unlinkSync(journalFile);
+      }
+    }
+  };
+
+  return store;
+}
+
+/**
+ * Writes a JSON file atomically (temp file, then rename), minified for space efficiency
+ * @param {string} file - File to write
+ * @param {Object} data - Data to write
+ */
+function writeJsonAtomically(file, data) {
+  const tempFile = `${file}.tmp`;
+  const fd = fs.openSync(tempFile, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(data));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFile, file);
+}
+
+/**
+ * Creates a history store that keeps each item's record in its own file
+ * Nothing is held in memory: get() reads the item's file and set() writes it straight away,
+ * so a run only ever holds the records it is working on, however many items the store has.
+ * Each write is atomic, so an interrupted run keeps every item it finished and needs no journal.
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Directory of item files ({id}.json)
+ * @param {number} options.version - Current record format version
+ * @param {string} options.legacyFile - Single-file store (createHistoryStore format) to split up on load
+ * @returns {Object} History store
+ */
+export function createItemHistoryStore({ dir, version, legacyFile = null }) {
+  const itemFile = (id) => path.join(dir, `${id}.json`);
+
+  const store = {
+    /**
+     * Creates the directory if missing, splitting up any legacy single-file store
+     * @returns {Object} The store
+     */
+    load() {
+      fs.mkdirSync(dir, { recursive: true });
+
+      if (legacyFile && fs.existsSync(legacyFile)) {
+        console.log(`📝 Splitting ${legacyFile} into one file per item in ${dir}...`);
+        const { items } = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+        for (const [id, record] of Object.entries(items)) {
+          store.set(id, record);
+        }
+        fs.unlinkSync(legacyFile);
+      }
+      return store;
+    },
+
+    /**
+     * Reads the history record for an item
+     * @param {string|number} id - Item ID
+     * @returns {Object|undefined} History record
+     */
+    get(id) {
+      if (!fs.existsSync(itemFile(id))) return undefined;
+
+      const data = JSON.parse(fs.readFileSync(itemFile(id), 'utf8'));
+      if (data.version !== version) {
+        throw new Error(`Unsupported history version ${data.version} in ${itemFile(id)} (expected ${version})`);
+      }
+      return data.record;
+    },
+
+    /**
+     * Replaces the history record for an item on disk
+     * @param {string|number} id - Item ID
+     * @param {Object} record - History record
+     */
+    set(id, record) {
+      writeJsonAtomically(itemFile(id), { version, record });
+    },
+
+    /**
+     * Gets all item IDs in the store
+     * @returns {Array<string>} Item IDs
+     */
+    ids() {
+      return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length));
+    },
+
+    /**
+     * Nothing to write: every set() is already on disk
+     */
+    flush() {}
+  };
+
+  return store;
+}
@@ -1,108 +1,109 @@
-import fs from 'fs';
-import { createRequire } from 'module';
+/**
+ * Old School RuneScape Investment Analyzer
+ * Game adapter for the OSRS Grand Exchange, run through the core pipeline
+ */
+
 import path from 'path';
 import { fileURLToPath } from 'url';
-import * as brevo from '@getbrevo/brevo';
+import { createHistoryStore } from './historyStore.js';
+import { defineGameAdapter } from './core/gameAdapter.js';
+import { analyzeSeries, categorizeVolume, topByScore } from './core/analysis.js';
+import { roundIndicators } from './core/indicators.js';
+import { runPipeline } from './core/pipeline.js';
+import { renderItemList } from './core/report.js';
+import { runGameMain } from './core/runner.js';
+import { buildUserAgent } from './core/userAgent.js';
+import { createWikiPricesClient, summariseRealtimePrices, summariseTimeseries } from './osrsPrices.js';
+import { calculateFlip, loadFlippingConfig } from './osrsFlipping.js';
 
 // Get directory name for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load package.json for app name and version
-const require = createRequire(import.meta.url);
-const pkg = require('../package.json');
-
-// OSRS constants
-// Dynamically construct USER_AGENT from GitHub Actions environment
-const getGitHubEmail = () => {
-  const actor = process.env.GITHUB_ACTOR;
-  if (!actor) {
-    throw new Error('GITHUB_ACTOR environment variable not set');
-  }
-  return `${actor}@users.noreply.github.com`;
-};
-
-const getRepoUrl = () => {
-  const serverUrl = process.env.GITHUB_SERVER_URL;
-  const repository = process.env.GITHUB_REPOSITORY;
-  if (!serverUrl || !repository) {
-    throw new Error('GitHub environment variables (GITHUB_SERVER_URL, GITHUB_REPOSITORY) not set');
-  }
-  return `${serverUrl}/${repository}`;
-};
-
-const USER_AGENT = `${pkg.name}/${pkg.version} (${getGitHubEmail()}; +${getRepoUrl()})`;
+// Grand Exchange trading rules
+const BUY_LIMIT_WINDOW_HOURS = 4; // GE buy limits reset every 4 hours
+const DEFAULT_MAX_VOLUME_SHARE = 0.1; // Never buy more than 10% of daily volume
 
 // Path to local history file
 const HISTORY_FILE = path.join(__dirname, '..', 'data', 'osrs-history.json');
 
+// History file format version
+// Version 1 (unversioned): { itemId: { name, daily: { timestamp: price } } }
+// Version 2: { version: 2, items: { itemId: { name, daily: { timestamp: [price, volume] }, graphCheckedAt } } }
+// (graphCheckedAt is set by the backfill when it last asked the Grand Exchange graph for the item)
+const HISTORY_VERSION = 2;
+
+// Days of history kept per item (the span the Grand Exchange graph covers)
+export const HISTORY_RETENTION_DAYS = 180;
+
 // ===== LOCAL HISTORY FUNCTIONS =====
 
 /**
- * Loads historical data from local file
- * @returns {Object} Historical data by item ID
+ * Migrates historical data from an older format to the current version
+ * @param {Object} data - Historical data as read from disk
+ * @returns {Object} Historical data in the current format
  */
-function loadHistoricalData() {
-  if (!fs.existsSync(HISTORY_FILE)) {
-    console.log('📝 Creating new history file...');
-    fs.writeFileSync(HISTORY_FILE, JSON.stringify({}));
-    return {};
+export function migrateHistoricalData(data) {
+  if (data.version === HISTORY_VERSION) {
+    return data;
+  }
+  
+  // Anything else is from a newer release or corrupt, and rewriting it would lose its history
+  if (data.version !== undefined && data.version !== 1) {
+    throw new Error(`Unsupported OSRS history version ${data.version} (expected ${HISTORY_VERSION})`);
   }
-  return JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+  
+  // Version 1 only stored prices, so volume is unknown for those days
+  const items = {};
+  for (const [itemId, item] of Object.entries(data)) {
+    const daily = {};
+    for (const [timestamp, price] of Object.entries(item.daily || {})) {
+      daily[timestamp] = [price, null];
+    }
+    items[itemId] = { name: item.name, daily };
+  }
+  
+  return { version: HISTORY_VERSION, items };
 }
 
 /**
- * Saves updated historical data (minified for space efficiency)
- * @param {Object} data - Historical data to save
+ * Creates the OSRS history store (call load() before use and flush() when done)
+ * @param {string} file - History file (defaults to data/osrs-history.json)
+ * @returns {Object} History store
  */
-function saveHistoricalData(data) {
-  fs.writeFileSync(HISTORY_FILE, JSON.stringify(data));
+export function createOSRSHistoryStore(file = HISTORY_FILE) {
+  return createHistoryStore({
+    file,
+    version: HISTORY_VERSION,
+    migrate: migrateHistoricalData,
+    retentionDays: HISTORY_RETENTION_DAYS
+  });
 }
 
 /**
  * Updates local history with today's data from Weirdgloop API
+ * @param {Object} historyStore - Loaded OSRS history store
  * @param {number} itemId - The OSRS item ID
  * @param {string} itemName - The item name
  * @param {number} currentPrice - Today's price from Weirdgloop
  * @param {number} volume - Today's volume from Weirdgloop
  * @returns {Object} Full price history for the item
  */
-function updateLocalHistory(itemId, itemName, currentPrice, volume) {
-  const historicalData = loadHistoricalData();
-  
-  // Initialize item if it doesn't exist
-  if (!historicalData[itemId]) {
-    historicalData[itemId] = {
-      name: itemName,
-      daily: {}
-    };
-  }
-  
-  // Update item name in case it changed
-  historicalData[itemId].name = itemName;
-  
+function updateLocalHistory(historyStore, itemId, itemName, currentPrice, volume) {
   // Get today's timestamp (midnight UTC)
   const today = new Date();
   today.setUTCHours(0, 0, 0, 0);
   const todayTimestamp = today.getTime();
   
-  // Update or append today's price
-  historicalData[itemId].daily[todayTimestamp] = currentPrice;
-  
-  // Keep only last 180 days to manage file size
-  const cutoffTimestamp = todayTimestamp - (180 * 24 * 60 * 60 * 1000);
-  const recentDaily = {};
-  Object.entries(historicalData[itemId].daily).forEach(([ts, price]) => {
-    if (parseInt(ts) >= cutoffTimestamp) {
-      recentDaily[ts] = price;
-    }
+  // Update or append today's price and volume, and the name in case it changed. Only today's
+  // point is journaled, and days past the retention window are dropped to manage file size
+  // (written to disk once, at the end of the run)
+  const record = historyStore.update(itemId, {
+    name: itemName,
+    daily: { [todayTimestamp]: [currentPrice, volume ?? null] }
   });
-  historicalData[itemId].daily = recentDaily;
-  
-  // Save updated history
-  saveHistoricalData(historicalData);
   
-  return { daily: historicalData[itemId].daily };
+  return { daily: record.daily };
 }
 
 // ===== API FUNCTIONS =====
@@ -110,31 +111,50 @@ function updateLocalHistory(itemId, itemName, currentPrice, volume) {
 /**
  * Gets price history for an item from local storage
  * Updates with today's data from the item database
+ * @param {Object} historyStore - Loaded OSRS history store
  * @param {number} itemId - The OSRS item ID
  * @param {string} itemName - The item name
  * @param {number} currentPrice - Today's price
  * @param {number} volume - Today's volume
- * @returns {Object} Price data with timestamps and values
+ * @returns {Array} Sorted array of {timestamp, price, volume} objects
  */
-function getPriceHistory(itemId, itemName, currentPrice, volume) {
+function getPriceHistory(historyStore, itemId, itemName, currentPrice, volume) {
   // Update local history with today's data
-  return updateLocalHistory(itemId, itemName, currentPrice, volume);
+  const { daily } = updateLocalHistory(historyStore, itemId, itemName, currentPrice, volume);
+  return convertToArray(daily);
+}
+
+/**
+ * Converts price history object to sorted array of price points
+ * @param {Object} priceData - Daily history (timestamp: [price, volume])
+ * @returns {Array} Sorted array of {timestamp, price, volume} objects
+ */
+export function convertToArray(priceData) {
+  return Object.entries(priceData)
+    .map(([timestamp, [price, volume]]) => ({
+      timestamp: parseInt(timestamp),
+      price: price,
+      volume: volume
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
 }
 
 /**
  * Fetches item data from the OSRS item database
+ * @param {Object} http - HTTP layer from createHttpLayer
+ * @param {string} userAgent - User-Agent header value
  * @returns {Promise<Object>} Item data
  */
-async function fetchItemDatabase() {
+export async function fetchItemDatabase(http, userAgent) {
   // We have to use this database because the official API does not provide volume data
   const url = 'https://chisel.weirdgloop.org/gazproj/gazbot/os_dump.json';
   console.log('Fetching item database...');
   
   try {
-    const response = await fetch(url, {
+    const response = await http.fetch(url, {
       headers: {
         'Accept': 'application/json',
-        'User-Agent': USER_AGENT
+        'User-Agent': userAgent
       }
     });
     if (!response.ok) {
@@ -145,334 +165,195 @@ async function fetchItemDatabase() {
     return data;
   } catch (error) {
     console.error('Error fetching item database:', error.message);
-    process.exit(1);
+    return null;
   }
 }
 
-// ===== ANALYSIS FUNCTIONS =====
-
 /**
- * Converts price history object to sorted array of price points
- * @param {Object} priceData - Raw price data from API (timestamp: price)
- * @returns {Array} Sorted array of {timestamp, price} objects
+ * Fetches the latest, 5-minute and 1-hour real-time prices for every item
+ * @param {Object} wikiPrices - Client from createWikiPricesClient
+ * @returns {Promise<Object|null>} { latest, fiveMinute, oneHour }, or null on error
  */
-function convertToArray(priceData) {
-  return Object.entries(priceData)
-    .map(([timestamp, price]) => ({
-      timestamp: parseInt(timestamp),
-      price: price
-    }))
-    .sort((a, b) => a.timestamp - b.timestamp);
+async function fetchRealtimePrices(wikiPrices) {
+  console.log('Fetching real-time prices...');
+  
+  try {
+    const [latest, fiveMinute, oneHour] = await Promise.all([
+      wikiPrices.latest(),
+      wikiPrices.fiveMinute(),
+      wikiPrices.oneHour()
+    ]);
+    console.log('✅ Real-time prices loaded\n');
+    return { latest, fiveMinute, oneHour };
+  } catch (error) {
+    console.error('Error fetching real-time prices:', error.message);
+    return null;
+  }
 }
 
+// ===== BUDGET FUNCTIONS =====
+
 /**
- * Calculates the percentage change in price over the period
- * @param {Array} prices - Array of price points
- * @returns {number} Percentage change
+ * Parses a shorthand GP amount such as "2.5m", "500k" or "6b"
+ * @param {string|number} input - Budget string or plain number
+ * @returns {number} Budget in GP
  */
-function calculatePriceChange(prices) {
-  if (prices.length < 2) return 0;
+export function parseBudget(input) {
+  if (typeof input === 'number') {
+    if (!Number.isFinite(input) || input <= 0) {
+      throw new Error(`Invalid budget: ${input}`);
+    }
+    return Math.floor(input);
+  }
   
-  const firstPrice = prices[0].price;
-  const lastPrice = prices[prices.length - 1].price;
+  const match = String(input).trim().toLowerCase().replace(/,/g, '').match(/^(\d+(?:\.\d+)?)\s*([kmb]?)$/);
+  if (!match) {
+    throw new Error(`Invalid budget "${input}". Use a number or shorthand like "500k", "2.5m" or "6b".`);
+  }
   
-  return ((lastPrice - firstPrice) / firstPrice) * 100;
+  const multipliers = { '': 1, k: 1000, m: 1000000, b: 1000000000 };
+  const budget = Math.floor(parseFloat(match[1]) * multipliers[match[2]]);
+  
+  if (budget <= 0) {
+    throw new Error(`Invalid budget "${input}". Budget must be greater than zero.`);
+  }
+  return budget;
 }
 
 /**
- * Calculates price volatility (standard deviation)
- * @param {Array} prices - Array of price points
- * @returns {number} Volatility as percentage of mean
+ * Calculates the most units of an item that can be bought over a holding window
+ * @param {number|null} limit - GE buy limit per 4 hours (null if unknown)
+ * @param {number} holdingWindowHours - Hours available to build the position
+ * @returns {number} Maximum units (Infinity when the item has no known limit)
  */
-function calculateVolatility(prices) {
-  if (prices.length < 2) return 0;
-  
-  const priceValues = prices.map(p => p.price);
-  const mean = priceValues.reduce((a, b) => a + b, 0) / priceValues.length;
+export function calculateBuyLimitCap(limit, holdingWindowHours) {
+  if (!limit) return Infinity;
   
-  const squaredDiffs = priceValues.map(price => Math.pow(price - mean, 2));
-  const variance = squaredDiffs.reduce((a, b) => a + b, 0) / priceValues.length;
-  const stdDev = Math.sqrt(variance);
-  
-  return (stdDev / mean) * 100;
+  const windows = Math.max(1, Math.floor(holdingWindowHours / BUY_LIMIT_WINDOW_HOURS));
+  return limit * windows;
 }
 
 /**
- * Calculates recent momentum (30-day vs 60-day average)
- * @param {Array} prices - Array of price points
- * @returns {number} Momentum score
+ * Calculates how many units of an item a budget buys and the expected profit
+ * if the item's current momentum carries on
+ * @param {number} budget - Budget in GP
+ * @param {number} currentPrice - Current item price
+ * @param {number} momentum - Recent momentum percentage
+ * @param {number} maxUnits - Buy limit cap on the number of units
+ * @returns {Object} Units, total cost and expected profit
  */
-function calculateMomentum(prices) {
-  if (prices.length < 60) return 0;
-  
-  const recent30 = prices.slice(-30);
-  const previous30 = prices.slice(-60, -30);
+export function calculatePosition(budget, currentPrice, momentum, maxUnits = Infinity) {
+  const affordableUnits = currentPrice > 0 ? Math.floor(budget / currentPrice) : 0;
+  const units = Math.min(affordableUnits, maxUnits);
+  const totalCost = units * currentPrice;
+  const expectedProfit = Math.round(totalCost * (momentum / 100));
   
-  const recent30Avg = recent30.reduce((sum, p) => sum + p.price, 0) / recent30.length;
-  const previous30Avg = previous30.reduce((sum, p) => sum + p.price, 0) / previous30.length;
-  
-  return ((recent30Avg - previous30Avg) / previous30Avg) * 100;
+  return { units, totalCost, expectedProfit };
 }
 
 /**
- * Calculates an investment score based on multiple factors
- * @param {number} priceChange - Overall price change percentage
- * @param {number} volatility - Price volatility percentage
- * @param {number} momentum - Recent momentum score
- * @returns {number} Investment score (0-100)
+ * Checks a sized position against the budget and liquidity rules
+ * @param {Object} analysis - Analysis results including position sizing
+ * @param {number} maxVolumeShare - Largest allowed share of daily volume (0-1)
+ * @returns {Object|null} Exclusion reason and detail, or null if the item is eligible
  */
-function calculateInvestmentScore(priceChange, volatility, momentum) {
-  // Strategy: High-volatility items with strong momentum for ROI potential
-  let score = 50; // Base score
-  
-  // High volatility is GOOD for this strategy (up to +30 points)
-  // Items with 20%+ volatility get max points
-  if (volatility >= 20) {
-    score += 30;
-  } else {
-    score += (volatility / 20) * 30;
-  }
-  
-  // Strong positive momentum is critical (up to +30 points)
-  score += Math.min(momentum * 3, 30);
+export function getExclusionReason(analysis, maxVolumeShare) {
+  if (analysis.units === undefined) return null;
   
-  // Recent strong price change indicates potential (up to +30 points)
-  // Looking for items that have moved 40%+ already
-  if (priceChange >= 40) {
-    score += 30;
-  } else if (priceChange > 0) {
-    score += (priceChange / 40) * 30;
+  if (analysis.units === 0) {
+    return {
+      reason: 'unaffordable',
+      detail: `Price ${formatGP(analysis.currentPrice)} exceeds budget`
+    };
   }
   
-  // Bonus for items showing breakout potential
-  if (momentum > 10 && priceChange > 30 && volatility > 15) {
-    score += 10; // Hot item bonus
+  // Judge liquidity on average daily volume so a single quiet or busy day doesn't decide it
+  const maxUnits = Math.floor(analysis.averageVolume * maxVolumeShare);
+  if (analysis.units > maxUnits) {
+    return {
+      reason: 'liquidity',
+      detail: `${analysis.units.toLocaleString()} units exceeds ${maxVolumeShare * 100}% of average daily volume (${maxUnits.toLocaleString()})`
+    };
   }
   
-  return Math.max(0, Math.min(100, score));
+  return null;
 }
 
-/**
- * Categorizes volume into descriptive levels
- * @param {number} volume - Trading volume
- * @returns {string} Volume category
- */
-function categorizeVolume(volume) {
-  if (volume >= 1000000) return 'Very High';
-  if (volume >= 100000) return 'High';
-  if (volume >= 10000) return 'Medium';
-  if (volume >= 1000) return 'Low';
-  return 'Very Low';
-}
+// ===== ANALYSIS FUNCTIONS =====
+
+// Minimum daily volume for Very High, High, Medium and Low
+const VOLUME_THRESHOLDS = [1000000, 100000, 10000, 1000];
 
 /**
  * Analyzes an item's price history
- * @param {Object} priceData - Raw price data from API
- * @param {Object} itemInfo - Item name, ID, membership status, and volume
+ * @param {Array} prices - Normalised daily series
+ * @param {Object} itemInfo - Item name, ID, membership status, volume, and buy limit
+ * @param {Object} options - Analysis options
+ * @param {Object} options.strategy - Scoring strategy from getStrategy
+ * @param {number} options.minHistoryDays - Fewest days of history needed to be eligible
+ * @param {number|null} options.budget - Budget in GP (no sizing when null)
+ * @param {number} options.holdingWindowHours - Hours available to build the position
+ * @param {Object|null} options.flipping - Flipping config (prices a flip from the real-time prices when set)
  * @returns {Object} Analysis results
  */
-function analyzeItem(priceData, itemInfo) {
-  if (!priceData || !priceData.daily) {
-    return null;
-  }
+export function analyzeItem(prices, itemInfo, options) {
+  const { strategy, minHistoryDays, budget = null, holdingWindowHours = BUY_LIMIT_WINDOW_HOURS, flipping = null } = options;
   
-  const prices = convertToArray(priceData.daily);
+  const metrics = analyzeSeries(prices, strategy, { minHistoryDays });
+  const averageVolume = metrics.averageVolume ?? (itemInfo.volume || 0);
   
-  if (prices.length === 0) {
-    return null;
-  }
-  
-  const priceChange = calculatePriceChange(prices);
-  const volatility = calculateVolatility(prices);
-  const momentum = calculateMomentum(prices);
-  
-  const currentPrice = prices[prices.length - 1].price;
-  const startPrice = prices[0].price;
+  // Size the position when a budget was given, capped by the GE buy limit
+  const buyLimitCap = calculateBuyLimitCap(itemInfo.limit, holdingWindowHours);
+  const position = budget ? calculatePosition(budget, metrics.currentPrice, metrics.momentum, buyLimitCap) : {};
   
-  const investmentScore = calculateInvestmentScore(priceChange, volatility, momentum);
-  
-  // Determine risk level based on volatility
-  // High risk: volatility >= 15%
-  // Low risk: volatility < 15%
-  const riskLevel = parseFloat(volatility) >= 15 ? 'high' : 'low';
+  const flip = flipping
+    ? calculateFlip({ id: itemInfo.id, limit: itemInfo.limit, averageVolume, realtime: itemInfo.realtime }, flipping, budget)
+    : null;
   
   return {
     id: itemInfo.id,
     name: itemInfo.name,
-    currentPrice,
-    startPrice,
-    priceChange: priceChange.toFixed(2),
+    currentPrice: metrics.currentPrice,
+    startPrice: metrics.startPrice,
+    priceChange: metrics.priceChange.toFixed(2),
     volume: itemInfo.volume || 0,
-    volumeCategory: categorizeVolume(itemInfo.volume || 0),
-    volatility: volatility.toFixed(2),
-    momentum: momentum.toFixed(2),
-    investmentScore: investmentScore.toFixed(1),
-    dataPoints: prices.length,
+    volumeCategory: categorizeVolume(itemInfo.volume || 0, VOLUME_THRESHOLDS),
+    averageVolume: Math.round(averageVolume),
+    volumeTrend: metrics.volumeTrend.toFixed(2),
+    volumeSpike: metrics.volumeSpike.toFixed(2),
+    volatility: metrics.volatility.toFixed(2),
+    momentum: metrics.momentum.toFixed(2),
+    indicators: roundIndicators(metrics.indicators),
+    investmentScore: metrics.investmentScore.toFixed(1),
+    dataPoints: metrics.dataPoints,
+    dataQuality: metrics.dataQuality,
     members: itemInfo.members,
-    riskLevel: riskLevel
-  };
-}
-
-// ===== MAIN APPLICATION =====
-
-/**
- * Automated OSRS analysis
- * @param {Object} options - Configuration options
- * @returns {Promise<Object>} Analysis results
- */
-export async function runOSRSAutomated(options = {}) {
-  const { isGitHubActions = false, logFile = null } = options;
-  
-  const logMessage = (message) => {
-    console.log(message);
-    if (logFile) {
-      const timestamp = new Date().toISOString();
-      fs.appendFileSync(logFile, `${timestamp}: ${message}\n`);
-    }
-  };
-
-  logMessage('🚀 OSRS Investment Analyzer (Automated)');
-  logMessage('======================================');
-  
-  logMessage(`Analyzing ALL items (Members + F2P)`);
-  logMessage(`Mode: ${isGitHubActions ? 'GitHub Actions' : 'Local'}`);
-  logMessage('');
-
-  // Fetch item data
-  logMessage('Fetching OSRS item database...');
-  const itemsData = await fetchItemDatabase();
-  
-  if (!itemsData) {
-    throw new Error('Failed to fetch OSRS item data');
-  }
-
-  // Filter items - include both members and F2P
-  const allItems = Object.entries(itemsData)
-    .filter(([id, item]) => {
-      // Only require basic data to be present
-      if (!item.name || item.price === undefined || item.volume === undefined) {
-        return false;
-      }
-      return true;
-    })
-    .map(([id, item]) => ({
-      id: parseInt(id),
-      name: item.name,
-      members: item.members !== false, // true if members item, false if F2P
-      volume: item.volume
-    }));
-
-  logMessage(`Found ${allItems.length} suitable items`);
-  
-  // Analyze ALL suitable items (no limit)
-  const shuffledItems = [...allItems].sort(() => Math.random() - 0.5);
-  const itemsToAnalyze = shuffledItems;
-  
-  logMessage(`Analyzing ALL ${itemsToAnalyze.length} items...`);
-  logMessage('');
-
-  const results = [];
-  let itemsChecked = 0;
-  let successfulAnalyses = 0;
-
-  for (let i = 0; i < itemsToAnalyze.length; i++) {
-    const item = itemsToAnalyze[i];
-    itemsChecked++;
-    
-    // Progress update for every item
-    logMessage(`Progress: ${itemsChecked}/${itemsToAnalyze.length} - Checking ${item.name}...`);
-    
-    // Get current price from the item database (already fetched)
-    const itemData = itemsData[item.id];
-    const currentPrice = itemData.price;
-    
-    // Get price history from local storage (no API call needed!)
-    const priceData = getPriceHistory(item.id, item.name, currentPrice, item.volume);
-    
-    if (priceData) {
-      const analysis = analyzeItem(priceData, item);
-      
-      if (analysis) {
-        results.push(analysis);
-        successfulAnalyses++;
-        logMessage(`  ✓ Analyzed (${successfulAnalyses} total)`);
-      }
-    }
-    
-    // No delay needed - we're just reading/writing local files now!
-  }
-
-  logMessage('');
-  logMessage(`✅ OSRS Analysis Complete! Analyzed ${successfulAnalyses} items`);
-
-  // Categorize results into 4 groups
-  const highRiskMembers = results.filter(r => r.members && r.riskLevel === 'high')
-    .sort((a, b) => parseFloat(b.investmentScore) - parseFloat(a.investmentScore))
-    .slice(0, 3);
-  
-  const lowRiskMembers = results.filter(r => r.members && r.riskLevel === 'low')
-    .sort((a, b) => parseFloat(b.investmentScore) - parseFloat(a.investmentScore))
-    .slice(0, 3);
-  
-  const highRiskF2P = results.filter(r => !r.members && r.riskLevel === 'high')
-    .sort((a, b) => parseFloat(b.investmentScore) - parseFloat(a.investmentScore))
-    .slice(0, 3);
-  
-  const lowRiskF2P = results.filter(r => !r.members && r.riskLevel === 'low')
-    .sort((a, b) => parseFloat(b.investmentScore) - parseFloat(a.investmentScore))
-    .slice(0, 3);
-
-  return {
-    highRiskMembers,
-    lowRiskMembers,
-    highRiskF2P,
-    lowRiskF2P,
-    totalAnalyzed: successfulAnalyses,
-    totalChecked: itemsChecked
+    limit: itemInfo.limit,
+    riskLevel: metrics.riskLevel,
+    ...(itemInfo.realtime ? { realtime: itemInfo.realtime } : {}),
+    ...(flip ? { flip } : {}),
+    ...position
   };
 }
 
-// ===== EMAIL REPORT GENERATION =====
+// ===== REPORT RENDERING =====
 
 /**
  * Formats GP amount with appropriate suffix
  * @param {number} amount - GP amount
  * @returns {string} Formatted string
  */
-function formatGP(amount) {
+export function formatGP(amount) {
   return `${amount.toLocaleString()} gold`;
 }
 
 /**
- * Generates HTML email report from OSRS analysis results
- * @param {Object} osrsData - OSRS analysis results
- * @returns {string} HTML email report
+ * Renders one recommended item for the report grid
+ * @param {Object} item - Analysis result
+ * @returns {string} HTML
  */
-function generateEmailReport(osrsData) {
-  const currentDate = new Date().toLocaleDateString('en-US', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
-
-  let contentHtml = '';
-  
-  if (osrsData.error) {
-    contentHtml = `
-      <div class="error">
-        <p><strong>❌ Analysis Failed:</strong> ${osrsData.error}</p>
-      </div>
-    `;
-  } else {
-    const { highRiskMembers = [], lowRiskMembers = [], highRiskF2P = [], lowRiskF2P = [], metadata = {} } = osrsData;
-    
-    // Helper function to generate items HTML
-    const generateItemsHtml = (items, category) => {
-      if (items.length === 0) {
-        return '<p class="no-items">No items found</p>';
-      }
-      return items.map((item) => `
+function renderItem(item) {
+  return `
             <div class="grid-item">
               <table>
                 <tr>
@@ -485,266 +366,294 @@ function generateEmailReport(osrsData) {
                       <span>Price: ${formatGP(item.currentPrice)}</span>
                       <span>Volume: ${item.volumeCategory}</span>
                       <span>Volatility: ${item.volatility}%</span>
-                      <span>Momentum: ${item.momentum > 0 ? '+' : ''}${item.momentum}%</span>
+                      <span>Momentum: ${item.momentum > 0 ? '+' : ''}${item.momentum}%</span>${item.realtime ? `
+                      <span>Margin: ${formatGP(item.realtime.margin)} (${item.realtime.marginPercent}%)</span>` : ''}${item.units !== undefined ? `
+                      <span>Buy: ${item.units.toLocaleString()} for ${formatGP(item.totalCost)}</span>
+                      <span>Expected Profit: ${item.expectedProfit > 0 ? '+' : ''}${formatGP(item.expectedProfit)}</span>` : ''}
                     </div>
                   </td>
                 </tr>
               </table>
-            </div>`).join('\n');
-    };
+            </div>`;
+}
 
-    contentHtml = `
-      <h2 style="text-align: center; margin-top: 0;">Recommendations</h2>
-      
+/**
+ * Renders the most profitable flips
+ * @param {Array} flips - Flips, most profitable first
+ * @param {Object} geTax - Tax the flips were priced with ({ rate, cap })
+ * @returns {string} HTML (empty when flipping wasn't run)
+ */
+function renderFlips(flips, geTax) {
+  if (!flips || !geTax) {
+    return '';
+  }
+  
+  const rows = flips.map(flip => `
+              <tr>
+                <td>${flip.name}</td>
+                <td style="text-align: center;">${formatGP(flip.buyPrice)}</td>
+                <td style="text-align: center;">${formatGP(flip.sellPrice)}</td>
+                <td style="text-align: center;">${flip.taxExempt ? 'Exempt' : formatGP(flip.tax)}</td>
+                <td style="text-align: center;">${formatGP(flip.profitPerUnit)}<br><small>${flip.roi}%</small></td>
+                <td style="text-align: center;">${flip.units.toLocaleString()}</td>
+                <td style="text-align: center;">${formatGP(flip.profit)}</td>
+              </tr>`).join('');
+  
+  return `
+      <h2 style="text-align: center;">Flips</h2>
       <table class="grid-container">
         <tr>
           <td class="grid-section">
-            <h3>High Risk — Members</h3>
-            <div class="grid-items">
-${generateItemsHtml(highRiskMembers, 'high-risk-members')}
-            </div>
-          </td>
-        </tr>
-        <tr>
-          <td class="grid-section">
-            <h3>Low Risk — Members</h3>
-            <div class="grid-items">
-${generateItemsHtml(lowRiskMembers, 'low-risk-members')}
-            </div>
-          </td>
-        </tr>
-        <tr>
-          <td class="grid-section">
-            <h3>High Risk — Free to Play</h3>
-            <div class="grid-items">
-${generateItemsHtml(highRiskF2P, 'high-risk-f2p')}
-            </div>
+            <h3>Buy at the instant-sell price, sell at the instant-buy price (after ${geTax.rate}% GE tax, capped at ${formatGP(geTax.cap)} per item)</h3>
+            ${flips.length === 0 ? '<p class="no-items">No profitable flips found</p>' : `<table style="width: 100%;">
+              <tr>
+                <th style="text-align: left;">Item</th>
+                <th>Buy</th>
+                <th>Sell</th>
+                <th>Tax</th>
+                <th>Profit / Item</th>
+                <th>Units</th>
+                <th>Profit</th>
+              </tr>${rows}
+            </table>`}
           </td>
         </tr>
+      </table>
+    `;
+}
+
+/**
+ * Renders the recommendation grid (one section per category)
+ * @param {Object} results - OSRS analysis results
+ * @returns {string} HTML
+ */
+function renderContent(results) {
+  const sections = Object.entries(osrsAdapter.categories).map(([category, label]) => `
         <tr>
           <td class="grid-section">
-            <h3>Low Risk — Free to Play</h3>
+            <h3>${label}</h3>
             <div class="grid-items">
-${generateItemsHtml(lowRiskF2P, 'low-risk-f2p')}
+${renderItemList(results[category] || [], renderItem)}
             </div>
           </td>
-        </tr>
+        </tr>`).join('');
+
+  return `
+      <h2 style="text-align: center; margin-top: 0;">Recommendations</h2>
+      
+      <table class="grid-container">${sections}
       </table>
+${renderFlips(results.flips, results.geTax)}
     `;
-  }
-
-  // Read existing index.html and update only the dynamic content
-  let template = fs.readFileSync('docs/osrs/index.html', 'utf8');
-  
-  // Update the date
-  template = template.replace(
-    /<span id="report-date">.*?<\/span>/,
-    `<span id="report-date">${currentDate}</span>`
-  );
-  
-  // Update the content section (main grid area only, preserve opinion column)
-  template = template.replace(
-    /<div class="content">[\s\S]*?<\/div>\s*<aside class="opinion-column">/,
-    `<div class="content">\n${contentHtml}\n    </div>\n    \n    <aside class="opinion-column">`
-  );
-  
-  return template;
 }
 
-// ===== NEWSLETTER FUNCTIONS =====
+// ===== GAME ADAPTER =====
 
-/**
- * Loads OSRS subscriber list from Brevo contact list
- * @returns {Promise<Array>} Array of subscriber email addresses
- */
-async function loadSubscribers() {
-  const apiKey = process.env.BREVO_API_KEY;
-  const listId = 4; // OSRS Newsletter list
-  
-  if (!apiKey) {
-    console.log('⚠️ BREVO_API_KEY not set.');
-    return [];
-  }
-  
-  try {
-    const apiInstance = new brevo.ContactsApi();
-    apiInstance.setApiKey(brevo.ContactsApiApiKeys.apiKey, apiKey);
+// Top picks per category
+const CATEGORY_FILTERS = {
+  highRiskMembers: r => r.members && r.riskLevel === 'high',
+  lowRiskMembers: r => r.members && r.riskLevel === 'low',
+  highRiskF2P: r => !r.members && r.riskLevel === 'high',
+  lowRiskF2P: r => !r.members && r.riskLevel === 'low'
+};
+const PICKS_PER_CATEGORY = 3;
+
+export const osrsAdapter = defineGameAdapter({
+  id: 'osrs',
+  title: 'Old School RuneScape',
+  reportTemplate: 'docs/osrs/index.html',
+  resultsFile: 'osrs-results.json',
+  logFile: 'osrs-analysis.log',
+  categories: {
+    highRiskMembers: 'High Risk — Members',
+    lowRiskMembers: 'Low Risk — Members',
+    highRiskF2P: 'High Risk — Free to Play',
+    lowRiskF2P: 'Low Risk — Free to Play'
+  },
+  newsletter: {
+    listId: 4, // OSRS Newsletter list
+    // TEMPORARY: test address used if the list can't be loaded
+    // TODO: Remove once list ID 4 is confirmed in Brevo
+    fallbackSubscribers: ['laserwolve@gmail.com']
+  },
+  progressInterval: 100,
+  formatPrice: formatGP,
+
+  prepare({ options, log, http }) {
+    const {
+      holdingWindowHours = BUY_LIMIT_WINDOW_HOURS,
+      maxVolumeShare = DEFAULT_MAX_VOLUME_SHARE
+    } = options;
+    const budget = options.budget ? parseBudget(options.budget) : null;
+    const userAgent = buildUserAgent(options);
     
-    // Get contacts from the list
-    const opts = {
-      limit: 500, // Max subscribers per request
-      offset: 0
-    };
+    log(options.membersOnly ? 'Analyzing members items only' : 'Analyzing ALL items (Members + F2P)');
+    log(`Budget: ${budget ? formatGP(budget) : 'Not set'}`);
+    log(`Holding window: ${holdingWindowHours}h (max ${maxVolumeShare * 100}% of daily volume)`);
     
-    const response = await apiInstance.getContactsFromList(parseInt(listId), opts);
-    const emails = response.contacts.map(contact => contact.email);
+    // Real-time prices add instant-buy/sell margins on top of the daily guide price
+    const wikiPrices = options.realtimePrices === false
+      ? null
+      : createWikiPricesClient({ fetch: http.fetch, userAgent });
     
-    console.log(`📋 Loaded ${emails.length} OSRS subscribers from Brevo list ${listId}`);
-    return emails;
-  } catch (error) {
-    console.error('❌ Failed to load subscribers from Brevo:', error.message);
-    if (error.response) {
-      console.error('Response data:', error.response.body);
-      console.error('Status code:', error.response.statusCode);
+    const flipping = options.flipping
+      ? loadFlippingConfig(options.flipping === true ? {} : options.flipping)
+      : null;
+    if (flipping && !wikiPrices) {
+      throw new Error('Flipping needs real-time prices');
+    }
+    if (flipping) {
+      log(`Flipping: ${flipping.geTax.rate}% GE tax (capped at ${formatGP(flipping.geTax.cap)}), max ${flipping.maxVolumeShare * 100}% of daily volume`);
     }
-    console.log('\n💡 TIP: List ID 4 may not exist. Falling back to test mode.');
-    console.log('    Add your email below or create list ID 4 in Brevo dashboard.');
     
-    // TEMPORARY: Return a test email for development
-    // Replace with your email or remove this once you fix the list ID
-    return ['laserwolve@gmail.com']; // TODO: Replace with your actual email or fix list ID
-  }
-}
+    return { budget, holdingWindowHours, maxVolumeShare, userAgent, wikiPrices, flipping, flips: [] };
+  },
 
-/**
- * Sends newsletter via Brevo
- * @param {Array} subscribers - Array of subscriber emails
- */
-async function sendNewsletter(subscribers) {
-  const apiKey = process.env.BREVO_API_KEY;
-  
-  if (!apiKey) {
-    console.log('⚠️ BREVO_API_KEY not set. Skipping newsletter.');
-    return;
-  }
-  
-  if (subscribers.length === 0) {
-    console.log('📭 No OSRS subscribers found. Skipping newsletter.');
-    return;
-  }
-  
-  try {
-    // Configure Brevo API
-    const apiInstance = new brevo.TransactionalEmailsApi();
-    apiInstance.setApiKey(brevo.TransactionalEmailsApiApiKeys.apiKey, apiKey);
+  async fetchItems({ options, log, excluded, http, userAgent, wikiPrices }) {
+    log('Fetching OSRS item database...');
+    const itemsData = await fetchItemDatabase(http, userAgent);
     
-    // Read the HTML report
-    const htmlContent = fs.readFileSync('docs/osrs/index.html', 'utf8');
+    if (!itemsData) {
+      throw new Error('Failed to fetch OSRS item data');
+    }
     
-    const currentDate = new Date().toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
+    // The analysis still runs on guide prices if the real-time API is down
+    const realtimePrices = wikiPrices ? await fetchRealtimePrices(wikiPrices) : null;
     
-    const subject = `Old School RuneScape Market Analysis - ${currentDate}`;
+    // Filter items - include both members and F2P
+    const items = Object.entries(itemsData)
+      .filter(([id, item]) => {
+        // Skip dump metadata such as %LAST_UPDATE%
+        if (typeof item !== 'object' || item === null) {
+          return false;
+        }
+        // Only require basic data to be present
+        if (!item.name || item.price === undefined || item.volume === undefined) {
+          excluded.push({ id: parseInt(id), name: item.name || null, reason: 'missing-data', detail: 'Missing name, price or volume' });
+          return false;
+        }
+        return true;
+      })
+      .map(([id, item]) => ({
+        id: parseInt(id),
+        name: item.name,
+        price: item.price,
+        members: item.members !== false, // true if members item, false if F2P
+        volume: item.volume,
+        limit: item.limit || null, // GE buy limit per 4 hours (null if unknown)
+        realtime: realtimePrices ? summariseRealtimePrices(id, realtimePrices) : null
+      }))
+      .filter(item => !options.membersOnly || item.members);
     
-    // Prepare email
-    const sendSmtpEmail = new brevo.SendSmtpEmail();
-    sendSmtpEmail.subject = subject;
-    sendSmtpEmail.htmlContent = htmlContent;
-    sendSmtpEmail.sender = {
-      name: 'Mythic Market Mogul',
-      email: 'reports@vineyardtechnologies.org'
-    };
-    sendSmtpEmail.to = subscribers.map(email => ({ email }));
-    sendSmtpEmail.replyTo = {
-      email: 'reports@vineyardtechnologies.org',
-      name: 'Mythic Market Mogul'
-    };
-    
-    console.log(`\n📧 Sending OSRS newsletter to ${subscribers.length} subscriber(s)...`);
-    console.log(`Recipients: ${subscribers.join(', ')}`);
-    console.log(`Subject: ${subject}`);
-    
-    const response = await apiInstance.sendTransacEmail(sendSmtpEmail);
-    console.log(`✅ Newsletter sent successfully!`);
-    console.log(`Message ID: ${response.messageId}`);
-    console.log(`Full response:`, JSON.stringify(response, null, 2));
-  } catch (error) {
-    console.error(`❌ Failed to send newsletter:`, error.message);
-    if (error.response) {
-      console.error('Error response body:', error.response.body);
-      console.error('Error status code:', error.response.statusCode);
+    if (realtimePrices) {
+      log(`Real-time prices for ${items.filter(item => item.realtime).length} items`);
     }
-    console.error('Full error:', error);
-    // Don't throw - newsletter failure shouldn't break the analysis
-  }
-}
-
-// ===== GITHUB ACTIONS RUNNER =====
+    return items;
+  },
 
-/**
- * Main entry point when run directly (e.g., node osrs.js or GitHub Actions)
- */
-async function main() {
-  const IS_GITHUB_ACTIONS = process.env.GITHUB_ACTIONS === 'true';
+  openHistory({ options }) {
+    return createOSRSHistoryStore(options.historyFile).load();
+  },
 
-  console.log('🚀 OSRS GitHub Actions Analysis');
-  console.log('===============================');
-  console.log(`Environment: ${IS_GITHUB_ACTIONS ? 'GitHub Actions' : 'Local'}`);
-  console.log('');
+  async loadSeries(item, { history }) {
+    // Get price history from local storage (no API call needed!)
+    return getPriceHistory(history, item.id, item.name, item.price, item.volume);
+  },
 
-  const startTime = Date.now();
-  
-  try {
-    const results = await runOSRSAutomated({
-      isGitHubActions: IS_GITHUB_ACTIONS,
-      logFile: 'osrs-analysis.log'
-    });
-    
-    const endTime = Date.now();
-    const analysisTime = Math.round((endTime - startTime) / 1000);
+  analyzeItem(series, item, context) {
+    const result = analyzeItem(series, item, context);
     
-    // Add metadata
-    results.metadata = {
-      itemsAnalyzed: results.totalAnalyzed || 0,
-      analysisTime: `${Math.floor(analysisTime / 60)}m ${analysisTime % 60}s`,
-      timestamp: new Date().toISOString(),
-      environment: 'GitHub Actions'
-    };
-    
-    // Save results to JSON
-    fs.writeFileSync('osrs-results.json', JSON.stringify(results, null, 2));
-    
-    // Generate and update the index.html file
-    const reportHtml = generateEmailReport(results);
-    fs.writeFileSync('docs/osrs/index.html', reportHtml);
-    
-    console.log('\n✅ OSRS Analysis Complete!');
-    console.log(`Total time: ${results.metadata.analysisTime}`);
-    console.log(`Items analyzed: ${results.metadata.itemsAnalyzed}`);
-    console.log('Results saved to osrs-results.json');
-    console.log('Updated docs/osrs/index.html');
-    
-    // Log summary for GitHub Actions
-    console.log('\n📊 RESULTS SUMMARY:');
-    console.log(`High Risk Members: ${results.highRiskMembers?.length || 0} items`);
-    console.log(`Low Risk Members: ${results.lowRiskMembers?.length || 0} items`);
-    console.log(`High Risk F2P: ${results.highRiskF2P?.length || 0} items`);
-    console.log(`Low Risk F2P: ${results.lowRiskF2P?.length || 0} items`);
-    
-    // Send newsletter if in GitHub Actions
-    if (IS_GITHUB_ACTIONS) {
-      const subscribers = await loadSubscribers();
-      await sendNewsletter(subscribers);
+    // Flips only need real-time prices, so they're kept before the history and liquidity checks
+    if (result.flip) {
+      context.flips.push({ id: result.id, name: result.name, members: result.members, limit: result.limit, ...result.flip });
     }
+    return result;
+  },
+
+  excludeItem(result, { maxVolumeShare }) {
+    return getExclusionReason(result, maxVolumeShare);
+  },
+
+  async enrichResults(results, { wikiPrices, log }) {
+    if (!wikiPrices) return;
     
-  } catch (error) {
-    console.error('❌ OSRS Analysis failed:', error.message);
+    // The last day of hourly trading for each pick
+    const picks = Object.values(CATEGORY_FILTERS)
+      .flatMap(filter => topByScore(results, filter, PICKS_PER_CATEGORY))
+      .filter(result => result.realtime);
     
-    // Save error info
-    const errorResult = {
-      error: error.message,
-      metadata: {
-        timestamp: new Date().toISOString(),
-        environment: 'GitHub Actions',
-        failed: true
+    log(`📈 Fetching the last day of trading for ${picks.length} picks...`);
+    for (const result of picks) {
+      try {
+        result.realtime.day = summariseTimeseries(await wikiPrices.timeseries(result.id, '1h'));
+      } catch (error) {
+        console.error(`Error fetching timeseries for ${result.name}:`, error.message);
       }
-    };
-    
-    fs.writeFileSync('osrs-results.json', JSON.stringify(errorResult, null, 2));
-    
-    // Generate error report and update index.html
-    const reportHtml = generateEmailReport(errorResult);
-    fs.writeFileSync('docs/osrs/index.html', reportHtml);
+    }
+  },
+
+  closeHistory({ history, log }) {
+    log('💾 Saving price history...');
+    history.flush();
+  },
+
+  categorise(results, { flipping, flips }) {
+    // Categorize results into 4 groups
+    const categories = Object.fromEntries(Object.entries(CATEGORY_FILTERS)
+      .map(([category, filter]) => [category, topByScore(results, filter, PICKS_PER_CATEGORY)]));
     
-    process.exit(1);
-  }
+    if (!flipping) return categories;
+    return {
+      ...categories,
+      flips: [...flips]
+        .sort((a, b) => b.profit - a.profit)
+        .slice(0, flipping.flips)
+    };
+  },
+
+  summarise({ budget, flipping }) {
+    if (!flipping) return { budget };
+    const { rate, cap, exemptBelow } = flipping.geTax;
+    return { budget, geTax: { rate, cap, exemptBelow } };
+  },
+
+  renderContent
+});
+
+// ===== MAIN APPLICATION =====
+
+/**
+ * Automated OSRS analysis
+ * @param {Object} options - Configuration options
+ * @param {string|number} options.budget - Budget for position sizing (e.g. "2.5m")
+ * @param {number} options.holdingWindowHours - Hours to build a position over (multiples of 4)
+ * @param {number} options.maxVolumeShare - Largest allowed share of daily volume (default 0.1)
+ * @param {string} options.strategy - Scoring strategy name (see config/strategies.json)
+ * @param {number} options.minHistoryDays - Days of history an item needs to be recommended (default 14)
+ * @param {boolean} options.membersOnly - Skip free-to-play items
+ * @param {boolean} options.realtimePrices - Add OSRS Wiki real-time margins (default true)
+ * @param {boolean|Object} options.flipping - Rank short-term flips after GE tax (an object
+ *   overrides config/flipping.json, e.g. { maxVolumeShare: 0.05 })
+ * @param {string} options.userAgent - User-Agent for the item database and OSRS Wiki
+ *   (or options.contact to build one)
+ * @param {string} options.historyFile - History file (defaults to data/osrs-history.json)
+ * @param {string} options.portfolioFile - Portfolio to mark to market, e.g. data/portfolio.json (none by default)
+ * @param {Object} options.http - HTTP layer from createHttpLayer (defaults to the live one)
+ * @returns {Promise<Object>} Analysis results
+ */
+export async function runOSRSAutomated(options = {}) {
+  return runPipeline(osrsAdapter, options);
 }
 
 // Run main function if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+  runGameMain(osrsAdapter, {
+    budget: process.env.OSRS_BUDGET || null,
+    holdingWindowHours: parseInt(process.env.OSRS_HOLDING_HOURS) || undefined,
+    realtimePrices: process.env.OSRS_REALTIME !== 'false',
+    flipping: process.env.OSRS_FLIPPING === 'true',
+    strategy: process.env.OSRS_STRATEGY || undefined,
+    minHistoryDays: parseInt(process.env.OSRS_MIN_HISTORY_DAYS) || undefined,
+    portfolioFile: process.env.MOGUL_PORTFOLIO || undefined
+  });
 }
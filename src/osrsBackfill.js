@@ -0,0 +1,209 @@
+/**
+ * OSRS History Backfill
+ * Fills the local price history from the official Grand Exchange graph API
+ *
+ * The daily analysis only observes one Weirdgloop price per item per day, so a new history
+ * store takes months to become useful. The graph API returns 180 days of daily prices per
+ * item, one request per item, and rate-limits hard, so the backfill runs one request at a
+ * time with a pause between them. Graph prices only fill days the store hasn't observed:
+ * observed points (which also carry volume) are never overwritten. Each item records when
+ * its graph was last asked for, so items the graph can't help (no graph, or nothing older
+ * to add) wait a while before they're tried again instead of heading every run's list.
+ */
+
+import { createHttpLayer } from './core/http.js';
+import { buildUserAgent } from './core/userAgent.js';
+import { HISTORY_RETENTION_DAYS, createOSRSHistoryStore, fetchItemDatabase } from './osrs.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_DELAY_MS = 1000; // Pause between graph requests
+const MAX_RETRIES = 3;
+
+// History reaching back to within this many days of the retention window counts as complete
+const COVERAGE_TOLERANCE_DAYS = 7;
+
+// Days before an item whose graph was already fetched (or missing) is tried again
+const GRAPH_RECHECK_DAYS = 30;
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Gets midnight UTC today
+ * @returns {number} Timestamp (ms)
+ */
+function todayTimestamp() {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return today.getTime();
+}
+
+/**
+ * Fetches an item's price graph, retrying rate limits and server errors with backoff
+ * @param {Object} http - HTTP layer from createHttpLayer
+ * @param {string} userAgent - User-Agent header value
+ * @param {number} itemId - Item ID
+ * @param {number} delayMs - Base backoff between retries
+ * @returns {Promise<Object|null>} { daily, average } keyed by timestamp (ms), or null if the API has
+ *   no graph for the item (other failures throw once the retries are used up)
+ */
+async function fetchPriceGraph(http, userAgent, itemId, delayMs) {
+  const url = `https://secure.runescape.com/m=itemdb_oldschool/api/graph/${itemId}.json`;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await http.fetch(url, {
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': userAgent
+        }
+      });
+      if (response.ok) {
+        return await response.json();
+      }
+      if (response.status === 404) {
+        return null;
+      }
+      if ((response.status === 429 || response.status >= 500) && attempt < MAX_RETRIES) {
+        await delay(delayMs * Math.pow(2, attempt + 1));
+        continue;
+      }
+      throw new Error(`Failed to fetch price graph: ${response.status}`);
+    } catch (error) {
+      // Network failure - retry like a server error
+      if (error instanceof TypeError && attempt < MAX_RETRIES) {
+        await delay(delayMs * Math.pow(2, attempt + 1));
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Checks whether an item's history is missing days the graph could fill
+ * @param {Object|undefined} record - Item history from the store
+ * @param {number} today - Midnight UTC today (ms)
+ * @returns {boolean} True if the history doesn't reach back to the start of the retention window
+ *   and the graph hasn't been asked for the item recently
+ */
+export function needsBackfill(record, today = todayTimestamp()) {
+  if (record?.graphCheckedAt > today - GRAPH_RECHECK_DAYS * DAY_MS) return false;
+
+  const timestamps = Object.keys(record?.daily || {}).map(Number);
+  if (timestamps.length === 0) return true;
+
+  const windowStart = today - HISTORY_RETENTION_DAYS * DAY_MS;
+  return Math.min(...timestamps) > windowStart + COVERAGE_TOLERANCE_DAYS * DAY_MS;
+}
+
+/**
+ * Merges a price graph into an item's daily history without overwriting observed days
+ * The graph's daily price is used for each day; its 30-day average only stands in for
+ * days the daily series lacks
+ * @param {Object} daily - Daily history (timestamp: [price, volume])
+ * @param {Object} graph - Price graph ({ daily, average } keyed by timestamp in ms)
+ * @param {number} today - Midnight UTC today (ms)
+ * @returns {Object} { daily, added } (new history, and how many days the graph filled)
+ */
+export function mergePriceGraph(daily, graph, today = todayTimestamp()) {
+  const windowStart = today - HISTORY_RETENTION_DAYS * DAY_MS;
+  const merged = { ...daily };
+  let added = 0;
+
+  const timestamps = new Set([...Object.keys(graph.daily || {}), ...Object.keys(graph.average || {})]);
+  for (const key of timestamps) {
+    // Graph points are at midnight UTC, like observed ones
+    const day = new Date(Number(key));
+    day.setUTCHours(0, 0, 0, 0);
+    const timestamp = day.getTime();
+
+    const price = graph.daily?.[key] ?? graph.average?.[key];
+    if (timestamp < windowStart || timestamp > today || merged[timestamp] || !(price > 0)) continue;
+
+    // The graph has no volume
+    merged[timestamp] = [price, null];
+    added++;
+  }
+
+  return { daily: merged, added };
+}
+
+/**
+ * Backfills OSRS history for items whose history is missing days
+ * @param {Object} options - Backfill options
+ * @param {string} options.historyFile - History file (defaults to data/osrs-history.json)
+ * @param {Array} options.items - Items to consider ({ id, name }) instead of the Weirdgloop catalogue
+ * @param {number} options.limit - Most items to backfill this run
+ * @param {number} options.delayMs - Pause between requests (default 1000)
+ * @param {string} options.userAgent - User-Agent for the graph API (or options.contact to build one)
+ * @param {Object} options.http - HTTP layer from createHttpLayer (defaults to the live one)
+ * @returns {Promise<Object>} { itemsChecked, itemsBackfilled, daysAdded, failed }
+ */
+export async function runOSRSBackfill(options = {}) {
+  const { limit = Infinity, delayMs = DEFAULT_DELAY_MS } = options;
+  const http = options.http || createHttpLayer();
+  const userAgent = buildUserAgent(options);
+
+  let items = options.items;
+  if (!items) {
+    const itemsData = await fetchItemDatabase(http, userAgent);
+    if (!itemsData) {
+      throw new Error('Failed to fetch OSRS item data');
+    }
+    items = Object.values(itemsData)
+      .filter(item => typeof item === 'object' && item !== null && item.name)
+      .map(item => ({ id: item.id, name: item.name }));
+  }
+
+  const history = createOSRSHistoryStore(options.historyFile).load();
+  const today = todayTimestamp();
+  const todo = items.filter(item => needsBackfill(history.get(item.id), today)).slice(0, limit);
+
+  console.log(`📚 Backfilling ${todo.length} of ${items.length} items from the Grand Exchange graph...`);
+
+  const summary = { itemsChecked: items.length, itemsBackfilled: 0, daysAdded: 0, failed: [] };
+
+  for (const [index, item] of todo.entries()) {
+    if (index > 0) {
+      await delay(delayMs);
+    }
+
+    let graph;
+    try {
+      graph = await fetchPriceGraph(http, userAgent, item.id, delayMs);
+    } catch (error) {
+      // Rate limits and outages are worth retrying on the next run
+      console.error(`Error fetching price graph for item ${item.id}:`, error.message);
+      summary.failed.push(item.id);
+      continue;
+    }
+
+    // Recorded even when there's no graph or nothing to add, so the item isn't asked for again straight away
+    const record = history.get(item.id);
+    const { daily, added } = graph ? mergePriceGraph(record?.daily || {}, graph, today) : { daily: {}, added: 0 };
+    const filled = Object.fromEntries(Object.entries(daily).filter(([ts]) => !record?.daily?.[ts]));
+    history.update(item.id, { name: record?.name || item.name, daily: filled, graphCheckedAt: today });
+    if (!graph) {
+      summary.failed.push(item.id);
+    } else if (added > 0) {
+      summary.itemsBackfilled++;
+      summary.daysAdded += added;
+    }
+
+    if ((index + 1) % 50 === 0 || index === todo.length - 1) {
+      console.log(`Progress: ${index + 1}/${todo.length} (${summary.daysAdded} days added)`);
+    }
+  }
+
+  console.log('💾 Saving price history...');
+  history.flush();
+  return summary;
+}
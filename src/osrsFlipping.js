@@ -0,0 +1,102 @@
+/**
+ * OSRS Grand Exchange Flipping
+ * Prices short-term flips: buy at the instant-sell price, sell at the instant-buy price
+ *
+ * A flip's profit is the margin between the OSRS Wiki's real-time low and high prices, less
+ * the Grand Exchange tax on the sale (1% of the sale price, rounded down and capped per item).
+ * Items sold below the exemption threshold, and the tools, teleport tablets and bonds Jagex
+ * exempts, pay no tax. How many units a flip can move is capped by the item's buy limit and
+ * a share of its daily volume, so the ranking favours margins that can actually be filled.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_FILE = path.join(__dirname, '..', 'config', 'flipping.json');
+
+let config = null;
+
+/**
+ * Loads the flipping config, with any overrides applied
+ * @param {Object} overrides - Settings to replace (geTax merges key by key)
+ * @returns {Object} Flipping config
+ */
+export function loadFlippingConfig(overrides = {}) {
+  if (!config) {
+    config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  }
+
+  return {
+    ...config,
+    ...overrides,
+    geTax: { ...config.geTax, ...overrides.geTax }
+  };
+}
+
+// ===== TAX FUNCTIONS =====
+
+/**
+ * Checks whether a sale is exempt from the Grand Exchange tax
+ * @param {number} itemId - Item ID
+ * @param {number} sellPrice - Sale price per item
+ * @param {Object} geTax - Tax settings ({ exemptBelow, exemptItems })
+ * @returns {boolean} True if no tax is charged
+ */
+export function isTaxExempt(itemId, sellPrice, geTax) {
+  return String(itemId) in geTax.exemptItems || sellPrice < geTax.exemptBelow;
+}
+
+/**
+ * Calculates the Grand Exchange tax on selling one item
+ * @param {number} itemId - Item ID
+ * @param {number} sellPrice - Sale price per item
+ * @param {Object} geTax - Tax settings ({ rate, cap, exemptBelow, exemptItems })
+ * @returns {number} Tax in GP (rounded down, never more than the cap)
+ */
+export function calculateGETax(itemId, sellPrice, geTax) {
+  if (isTaxExempt(itemId, sellPrice, geTax)) return 0;
+  return Math.min(geTax.cap, Math.floor(sellPrice * geTax.rate / 100));
+}
+
+// ===== FLIP FUNCTIONS =====
+
+/**
+ * Prices a flip of an item
+ * @param {Object} item - Item with id, limit, averageVolume and realtime prices
+ * @param {Object} settings - Flipping config
+ * @param {number|null} budget - Budget in GP (caps the units bought when set)
+ * @returns {Object|null} Buy and sell price, tax, profit per unit, units and total profit,
+ *   or null if the item has no real-time prices or no profitable flip
+ */
+export function calculateFlip(item, settings, budget = null) {
+  if (!item.realtime) return null;
+
+  const buyPrice = item.realtime.instaSell;
+  const sellPrice = item.realtime.instaBuy;
+  const tax = calculateGETax(item.id, sellPrice, settings.geTax);
+  const profitPerUnit = sellPrice - buyPrice - tax;
+
+  const units = Math.min(
+    item.limit ?? Infinity,
+    Math.floor(item.averageVolume * settings.maxVolumeShare),
+    budget ? Math.floor(budget / buyPrice) : Infinity
+  );
+
+  if (profitPerUnit < settings.minimumProfit || units <= 0) return null;
+
+  return {
+    buyPrice,
+    sellPrice,
+    tax,
+    taxExempt: isTaxExempt(item.id, sellPrice, settings.geTax),
+    profitPerUnit,
+    roi: (profitPerUnit / buyPrice * 100).toFixed(2),
+    units,
+    profit: profitPerUnit * units
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * OSRS Wiki Real-Time Prices
+ * Client for the RuneLite-backed prices.runescape.wiki API
+ *
+ * The Weirdgloop dump gives one guide price per item per day. The wiki's real-time API
+ * reports what trades actually filled at: the high (instant-buy) and low (instant-sell)
+ * prices, averaged over 5-minute and 1-hour windows with the volume traded on each side.
+ * The wiki blocks generic User-Agents, so every request carries the configured one.
+ */
+
+const WIKI_PRICES_URL = 'https://prices.runescape.wiki/api/v1/osrs';
+
+/**
+ * Creates a client for the real-time prices API
+ * @param {Object} options - Client options
+ * @param {Function} options.fetch - fetch implementation (from the HTTP layer)
+ * @param {string} options.userAgent - User-Agent header value
+ * @param {string} options.baseUrl - API root (defaults to the OSRS endpoints)
+ * @returns {Object} { latest, fiveMinute, oneHour, timeseries }
+ */
+export function createWikiPricesClient({ fetch, userAgent, baseUrl = WIKI_PRICES_URL }) {
+  /**
+   * Fetches one endpoint
+   * @param {string} endpoint - Endpoint name, e.g. "latest"
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Response body
+   */
+  const get = async (endpoint, params = {}) => {
+    const url = new URL(`${baseUrl}/${endpoint}`);
+    for (const [key, value] of Object.entries(params)) {
+      url.searchParams.set(key, value);
+    }
+
+    const response = await fetch(url.href, {
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': userAgent
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`OSRS Wiki prices request failed: ${response.status} ${url.href}`);
+    }
+    return response.json();
+  };
+
+  return {
+    /**
+     * Latest instant-buy and instant-sell prices for every item
+     * @returns {Promise<Object>} { itemId: { high, highTime, low, lowTime } }
+     */
+    latest: async () => (await get('latest')).data,
+
+    /**
+     * Average prices and volumes over the last 5 minutes for every item
+     * @returns {Promise<Object>} { itemId: { avgHighPrice, highPriceVolume, avgLowPrice, lowPriceVolume } }
+     */
+    fiveMinute: async () => (await get('5m')).data,
+
+    /**
+     * Average prices and volumes over the last hour for every item
+     * @returns {Promise<Object>} { itemId: { avgHighPrice, highPriceVolume, avgLowPrice, lowPriceVolume } }
+     */
+    oneHour: async () => (await get('1h')).data,
+
+    /**
+     * Recent price points for one item
+     * @param {number} id - Item ID
+     * @param {string} timestep - Bucket size: 5m, 1h, 6h or 24h
+     * @returns {Promise<Array>} Up to 365 points, oldest first
+     *   ({ timestamp, avgHighPrice, avgLowPrice, highPriceVolume, lowPriceVolume })
+     */
+    timeseries: async (id, timestep = '1h') => (await get('timeseries', { id, timestep })).data
+  };
+}
+
+/**
+ * Summarises an item's real-time prices
+ * @param {number} id - Item ID
+ * @param {Object} prices - Responses from latest, fiveMinute and oneHour ({ latest, fiveMinute, oneHour })
+ * @returns {Object|null} Instant-buy and instant-sell prices, the margin between them, and the
+ *   last hour's volume split (null if the item hasn't traded both ways)
+ */
+export function summariseRealtimePrices(id, { latest, fiveMinute, oneHour }) {
+  const last = latest[id];
+  if (!last || !last.high || !last.low) return null;
+
+  const recent = fiveMinute[id] || {};
+  const hour = oneHour[id] || {};
+  const highVolume = hour.highPriceVolume || 0;
+  const lowVolume = hour.lowPriceVolume || 0;
+  const margin = last.high - last.low;
+
+  return {
+    instaBuy: last.high,
+    instaSell: last.low,
+    highTime: last.highTime,
+    lowTime: last.lowTime,
+    avgHigh5m: recent.avgHighPrice ?? null,
+    avgLow5m: recent.avgLowPrice ?? null,
+    avgHigh1h: hour.avgHighPrice ?? null,
+    avgLow1h: hour.avgLowPrice ?? null,
+    margin,
+    marginPercent: (margin / last.low * 100).toFixed(2),
+    highVolume,
+    lowVolume,
+    // Share of the hour's trades that were instant buys (above 50% means buyers are paying up)
+    buyShare: highVolume + lowVolume > 0 ? (highVolume / (highVolume + lowVolume) * 100).toFixed(1) : null
+  };
+}
+
+/**
+ * Summarises the most recent points of a timeseries
+ * @param {Array} points - Points from timeseries, oldest first
+ * @param {number} count - Number of recent points to cover (24 one-hour points for a day)
+ * @returns {Object|null} Highest instant-buy and lowest instant-sell average, and the volume
+ *   traded on each side (null if there are no points)
+ */
+export function summariseTimeseries(points, count = 24) {
+  const recent = points.slice(-count);
+  if (recent.length === 0) return null;
+
+  const highs = recent.map(point => point.avgHighPrice).filter(price => price !== null);
+  const lows = recent.map(point => point.avgLowPrice).filter(price => price !== null);
+
+  return {
+    high: highs.length > 0 ? Math.max(...highs) : null,
+    low: lows.length > 0 ? Math.min(...lows) : null,
+    highVolume: recent.reduce((sum, point) => sum + (point.highPriceVolume || 0), 0),
+    lowVolume: recent.reduce((sum, point) => sum + (point.lowPriceVolume || 0), 0)
+  };
+}
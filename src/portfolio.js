@@ -0,0 +1,270 @@
+/**
+ * Portfolio Tracker
+ * Records the trades actually made on the recommendations and values the positions they leave
+ *
+ * Trades are logged per game in data/portfolio.json. A run given the portfolio marks the open
+ * positions to market at the prices it just fetched, for a private page that is never published
+ * or emailed with the report. Positions are held at their average cost, so a sale realises
+ * the difference between its price and that average, and what's still held carries an
+ * unrealised gain or loss against the latest price. Fees (GE tax, broker fees, sales tax) are
+ * added to a buy's cost and taken off a sale's proceeds.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Format: { version: 1, trades: { game: [{ side, id, name, quantity, price, fee, date }] } }
+const PORTFOLIO_VERSION = 1;
+const PORTFOLIO_FILE = path.join(__dirname, '..', 'data', 'portfolio.json');
+
+const TRADE_SIDES = ['buy', 'sell'];
+
+// ===== PORTFOLIO FILE =====
+
+/**
+ * Loads the portfolio file
+ * @param {string} file - Portfolio path (defaults to data/portfolio.json)
+ * @returns {Object} { version, trades: { game: [trade] } } (no trades if the file doesn't exist)
+ */
+export function loadPortfolio(file = PORTFOLIO_FILE) {
+  if (!fs.existsSync(file)) {
+    return { version: PORTFOLIO_VERSION, trades: {} };
+  }
+
+  const portfolio = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (portfolio.version !== PORTFOLIO_VERSION) {
+    throw new Error(`Unsupported portfolio version ${portfolio.version} in ${file}`);
+  }
+  return { ...portfolio, trades: portfolio.trades || {} };
+}
+
+/**
+ * Parses a shorthand amount such as "2.5m", "500k" or "5.25"
+ * @param {string|number} input - Amount string or plain number
+ * @param {string} label - What the amount is, for error messages
+ * @returns {number} Amount (to 2 decimal places)
+ */
+export function parseAmount(input, label = 'amount') {
+  const match = typeof input === 'number'
+    ? [null, String(input), '']
+    : String(input).trim().toLowerCase().replace(/,/g, '').match(/^(\d+(?:\.\d+)?)\s*([kmb]?)$/);
+  if (!match || !(parseFloat(match[1]) >= 0)) {
+    throw new Error(`Invalid ${label} "${input}". Use a number or shorthand like "500k", "2.5m" or "6b".`);
+  }
+
+  const multipliers = { '': 1, k: 1000, m: 1000000, b: 1000000000 };
+  return Math.round(parseFloat(match[1]) * multipliers[match[2]] * 100) / 100;
+}
+
+/**
+ * Validates a trade and fills in its defaults
+ * @param {Object} trade - { side, id, quantity, price, name, fee, date }
+ * @returns {Object} Normalised trade (date defaults to today, fee to 0)
+ */
+export function normaliseTrade(trade) {
+  if (!TRADE_SIDES.includes(trade.side)) {
+    throw new Error(`Trade side must be one of: ${TRADE_SIDES.join(', ')}`);
+  }
+
+  const id = Number(trade.id);
+  const quantity = Number(trade.quantity);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new Error(`Invalid item ID "${trade.id}"`);
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new Error(`Invalid quantity "${trade.quantity}". Quantity must be a positive whole number.`);
+  }
+
+  const date = trade.date || new Date().toISOString().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+    throw new Error(`Invalid date "${trade.date}". Use YYYY-MM-DD.`);
+  }
+
+  const price = parseAmount(trade.price, 'price');
+  if (price <= 0) {
+    throw new Error(`Invalid price "${trade.price}". Price must be greater than zero.`);
+  }
+
+  return {
+    side: trade.side,
+    id,
+    ...(trade.name ? { name: trade.name } : {}),
+    quantity,
+    price,
+    fee: trade.fee === undefined ? 0 : parseAmount(trade.fee, 'fee'),
+    date
+  };
+}
+
+/**
+ * Records a trade in the portfolio file
+ * @param {string} game - Game ID ('osrs', 'eve')
+ * @param {Object} trade - { side: 'buy'|'sell', id, quantity, price, name?, fee?, date? }
+ *   (price and fee accept shorthand like "2.5m"; date is YYYY-MM-DD, today by default)
+ * @param {string} file - Portfolio path (defaults to data/portfolio.json)
+ * @returns {Object} { trade, position }: the trade as recorded and the position it leaves
+ */
+export function recordTrade(game, trade, file = PORTFOLIO_FILE) {
+  const portfolio = loadPortfolio(file);
+  const recorded = normaliseTrade(trade);
+  const previous = portfolio.trades[game] || [];
+
+  const trades = [...previous, recorded];
+
+  // Can't sell more than was held at the time, nor leave a later sale short of what it sold
+  if (recorded.side === 'sell') {
+    const itemTrades = previous.filter(t => t.id === recorded.id);
+    const held = summarisePortfolio(itemTrades.filter(t => t.date <= recorded.date)).positions[0]?.quantity ?? 0;
+    if (recorded.quantity > held) {
+      throw new Error(`Cannot sell ${recorded.quantity} of item ${recorded.id}: only ${held} held on ${recorded.date}`);
+    }
+    const oversold = (list) => summarisePortfolio(list).positions[0]?.oversold ?? 0;
+    const shortfall = oversold([...itemTrades, recorded]) - oversold(itemTrades);
+    if (shortfall > 0) {
+      throw new Error(`Cannot sell ${recorded.quantity} of item ${recorded.id} on ${recorded.date}: later sales would be ${shortfall} short`);
+    }
+  }
+
+  // Write atomically, so an interrupted run never leaves a half-written portfolio
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ ...portfolio, trades: { ...portfolio.trades, [game]: trades } }, null, 2));
+  fs.renameSync(tempFile, file);
+
+  return { trade: recorded, position: summarisePortfolio(trades).positions.find(p => p.id === recorded.id) };
+}
+
+// ===== VALUATION =====
+
+/**
+ * Values a game's positions at the latest prices
+ * @param {Array} trades - The game's trades from the portfolio file
+ * @param {Map} prices - Latest price and name per item ID (id => { price, name })
+ * @returns {Object} { positions, totals }: each position has its quantity, average cost, cost basis,
+ *   price, market value, unrealised and realised P&L (price and value are null when the run had no
+ *   price for the item); totals add up the cost, value and P&L of everything priced
+ */
+export function summarisePortfolio(trades, prices = new Map()) {
+  const byItem = new Map();
+
+  // Oldest first, so each sale is measured against the average cost at the time
+  const ordered = trades.map((trade, index) => ({ trade, index }))
+    .sort((a, b) => a.trade.date.localeCompare(b.trade.date) || a.index - b.index)
+    .map(({ trade }) => trade);
+
+  for (const trade of ordered) {
+    if (!byItem.has(trade.id)) {
+      byItem.set(trade.id, { id: trade.id, name: trade.name, quantity: 0, costBasis: 0, realised: 0, oversold: 0, trades: 0 });
+    }
+    const position = byItem.get(trade.id);
+    position.name = position.name || trade.name;
+    position.trades++;
+
+    if (trade.side === 'buy') {
+      position.quantity += trade.quantity;
+      position.costBasis += trade.quantity * trade.price + (trade.fee || 0);
+    } else {
+      // A hand-edited file could sell more than was held; only what was held is counted
+      const sold = Math.min(trade.quantity, position.quantity);
+      position.oversold += trade.quantity - sold;
+      if (sold === 0) continue;
+
+      const averageCost = position.costBasis / position.quantity;
+      const proceeds = sold * trade.price - (trade.fee || 0) * (sold / trade.quantity);
+      position.realised += proceeds - sold * averageCost;
+      position.costBasis -= sold * averageCost;
+      position.quantity -= sold;
+    }
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const positions = [...byItem.values()].map(position => {
+    const latest = prices.get(position.id);
+    const price = latest?.price ?? null;
+    const marketValue = price !== null ? position.quantity * price : null;
+    const unrealised = marketValue !== null ? marketValue - position.costBasis : null;
+
+    return {
+      id: position.id,
+      name: position.name || latest?.name || `Item ${position.id}`,
+      quantity: position.quantity,
+      averageCost: position.quantity > 0 ? round(position.costBasis / position.quantity) : null,
+      costBasis: round(position.costBasis),
+      price,
+      marketValue: marketValue !== null ? round(marketValue) : null,
+      unrealised: unrealised !== null ? round(unrealised) : null,
+      unrealisedPercent: unrealised !== null && position.costBasis > 0 ? (unrealised / position.costBasis * 100).toFixed(2) : null,
+      realised: round(position.realised),
+      oversold: position.oversold,
+      trades: position.trades
+    };
+  }).sort((a, b) => (b.marketValue ?? b.costBasis) - (a.marketValue ?? a.costBasis));
+
+  const open = positions.filter(p => p.quantity > 0);
+  const priced = open.filter(p => p.marketValue !== null);
+  const sum = (values) => round(values.reduce((total, value) => total + value, 0));
+
+  return {
+    positions,
+    totals: {
+      openPositions: open.length,
+      unpriced: open.length - priced.length,
+      costBasis: sum(priced.map(p => p.costBasis)),
+      marketValue: sum(priced.map(p => p.marketValue)),
+      unrealised: sum(priced.map(p => p.unrealised)),
+      realised: sum(positions.map(p => p.realised))
+    }
+  };
+}
+
+// ===== REPORT RENDERING =====
+
+/**
+ * Renders the "Your Portfolio" report section
+ * @param {Object|undefined} portfolio - Portfolio summary from summarisePortfolio
+ * @param {Function} formatPrice - The game's price formatter (e.g. formatGP)
+ * @returns {string} HTML (empty when no trades have been recorded)
+ */
+export function generatePortfolioHtml(portfolio, formatPrice = (amount) => amount.toLocaleString()) {
+  if (!portfolio || portfolio.positions.length === 0) {
+    return '';
+  }
+
+  const signed = (amount) => `${amount > 0 ? '+' : ''}${formatPrice(amount)}`;
+  const { totals } = portfolio;
+
+  const rows = portfolio.positions.map(position => `
+              <tr>
+                <td>${position.name}</td>
+                <td style="text-align: center;">${position.quantity > 0 ? position.quantity.toLocaleString() : 'Closed'}</td>
+                <td style="text-align: center;">${position.averageCost !== null ? formatPrice(position.averageCost) : '—'}</td>
+                <td style="text-align: center;">${position.quantity > 0 && position.price !== null ? formatPrice(position.price) : '—'}</td>
+                <td style="text-align: center;">${position.quantity > 0 && position.unrealised !== null ? `${signed(position.unrealised)}${position.unrealisedPercent !== null ? `<br><small>${position.unrealisedPercent}%</small>` : ''}` : '—'}</td>
+                <td style="text-align: center;">${position.realised !== 0 ? signed(position.realised) : '—'}</td>
+              </tr>`).join('');
+
+  return `
+      <h2 style="text-align: center;">Your Portfolio</h2>
+      <table class="grid-container">
+        <tr>
+          <td class="grid-section">
+            <h3>${totals.openPositions} open position${totals.openPositions === 1 ? '' : 's'} worth ${formatPrice(totals.marketValue)}: ${signed(totals.unrealised)} unrealised, ${signed(totals.realised)} realised${totals.unpriced > 0 ? ` (${totals.unpriced} without a price today)` : ''}</h3>
+            <table style="width: 100%;">
+              <tr>
+                <th style="text-align: left;">Item</th>
+                <th>Quantity</th>
+                <th>Average Cost</th>
+                <th>Price</th>
+                <th>Unrealised</th>
+                <th>Realised</th>
+              </tr>${rows}
+            </table>
+          </td>
+        </tr>
+      </table>
+    `;
+}
@@ -0,0 +1,79 @@
+/**
+ * Scoring Strategy Registry
+ * Named scoring strategies whose weights and thresholds come from config/strategies.json
+ *
+ * Each strategy module exports a `name`, a `description` and a `score(metrics, params)`
+ * function. Metrics are priceChange, volatility, momentum, volumeTrend and volumeSpike, plus
+ * `indicators` from src/core/indicators.js (crossovers, RSI, Bollinger bands, ATR, drawdown
+ * and log-return volatility; any of them null when the history is too short). To add a
+ * strategy, create a module here, register it below, and add its weights and thresholds to
+ * the config file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as momentumBreakout from './momentumBreakout.js';
+import * as meanReversion from './meanReversion.js';
+import * as lowVolatilityValue from './lowVolatilityValue.js';
+
+// Get directory name for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_FILE = path.join(__dirname, '..', '..', 'config', 'strategies.json');
+
+// Registered strategy modules by name
+const STRATEGIES = new Map(
+  [momentumBreakout, meanReversion, lowVolatilityValue].map(module => [module.name, module])
+);
+
+let config = null;
+
+/**
+ * Loads the strategy config file (once)
+ * @returns {Object} Strategy config ({ default, strategies })
+ */
+function loadConfig() {
+  if (!config) {
+    config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  }
+  return config;
+}
+
+/**
+ * Lists the registered strategies
+ * @returns {Array} Strategy names and descriptions
+ */
+export function listStrategies() {
+  return [...STRATEGIES.values()].map(({ name, description }) => ({ name, description }));
+}
+
+/**
+ * Gets a scoring strategy configured with its weights and thresholds
+ * @param {string} name - Strategy name (defaults to the config file's default)
+ * @returns {Object} Strategy with name, description, weights, thresholds and score(metrics)
+ */
+export function getStrategy(name) {
+  const { default: defaultName, strategies } = loadConfig();
+  const strategyName = name || defaultName;
+  
+  const module = STRATEGIES.get(strategyName);
+  if (!module) {
+    throw new Error(`Unknown strategy "${strategyName}". Available: ${[...STRATEGIES.keys()].join(', ')}`);
+  }
+  
+  const params = strategies[strategyName];
+  if (!params) {
+    throw new Error(`No weights or thresholds for strategy "${strategyName}" in ${CONFIG_FILE}`);
+  }
+  
+  const { weights, thresholds } = params;
+  return {
+    name: strategyName,
+    description: module.description,
+    weights,
+    thresholds,
+    score: (metrics) => module.score(metrics, { weights, thresholds })
+  };
+}
@@ -0,0 +1,36 @@
+/**
+ * Low-Volatility Value Strategy
+ * Steady items with a gentle upward trend for lower-risk holds
+ */
+
+export const name = 'lowVolatilityValue';
+
+export const description = 'Favors stable items with a modest, consistent upward trend';
+
+/**
+ * Scores an item as a steady value hold
+ * @param {Object} metrics - Item metrics (priceChange, volatility, momentum)
+ * @param {Object} params - Weights and thresholds from config/strategies.json
+ * @returns {number} Investment score (0-100)
+ */
+export function score({ priceChange, volatility, momentum }, { weights, thresholds }) {
+  let score = weights.base;
+  
+  // Calmer prices score higher
+  score += (1 - Math.min(volatility / thresholds.maxVolatility, 1)) * weights.stability;
+  
+  // Gentle momentum in either direction moves the score up or down
+  score += Math.max(-1, Math.min(momentum / thresholds.momentumForMax, 1)) * weights.momentum;
+  
+  // Reward a positive long-run trend
+  if (priceChange > 0) {
+    score += Math.min(priceChange / thresholds.priceChangeForMax, 1) * weights.priceChange;
+  }
+  
+  // Items too volatile for this strategy are penalised
+  if (volatility > thresholds.maxVolatility) {
+    score -= weights.volatilityPenalty;
+  }
+  
+  return Math.max(0, Math.min(100, score));
+}
@@ -0,0 +1,44 @@
+/**
+ * Mean Reversion Strategy
+ * Items that have fallen well below where they started and are leveling off
+ */
+
+export const name = 'meanReversion';
+
+export const description = 'Favors discounted items whose decline is slowing, expecting a return to the mean';
+
+/**
+ * Scores an item for a rebound toward its mean price
+ * @param {Object} metrics - Item metrics (priceChange, volatility, momentum, indicators)
+ * @param {Object} params - Weights and thresholds from config/strategies.json
+ * @returns {number} Investment score (0-100)
+ */
+export function score({ priceChange, volatility, momentum, indicators }, { weights, thresholds }) {
+  let score = weights.base;
+  
+  // The deeper the discount, the more room to revert
+  if (priceChange < 0) {
+    score += Math.min(-priceChange / thresholds.discountForMax, 1) * weights.discount;
+  }
+  
+  // Some volatility is needed for the price to swing back
+  score += Math.min(volatility / thresholds.volatilityForMax, 1) * weights.volatility;
+  
+  // Momentum flattening out suggests the selling is over
+  if (momentum >= thresholds.stabilizingMomentum) {
+    score += weights.stabilization;
+  }
+  
+  // An oversold RSI means the recent selling has overshot (no bonus until there's enough history)
+  const rsi = indicators?.rsi ?? null;
+  if (rsi !== null && rsi <= thresholds.oversoldRsi) {
+    score += weights.oversold;
+  }
+  
+  // Items that have collapsed are more likely broken than cheap
+  if (priceChange <= thresholds.crashPriceChange) {
+    score -= weights.crashPenalty;
+  }
+  
+  return Math.max(0, Math.min(100, score));
+}
@@ -0,0 +1,44 @@
+/**
+ * Momentum Breakout Strategy
+ * High-volatility items with strong momentum for ROI potential
+ */
+
+export const name = 'momentumBreakout';
+
+export const description = 'Favors volatile items that are already trending up strongly';
+
+/**
+ * Scores an item for a momentum breakout
+ * @param {Object} metrics - Item metrics (priceChange, volatility, momentum)
+ * @param {Object} params - Weights and thresholds from config/strategies.json
+ * @returns {number} Investment score (0-100)
+ */
+export function score({ priceChange, volatility, momentum }, { weights, thresholds }) {
+  let score = weights.base;
+  
+  // High volatility is GOOD for this strategy
+  if (volatility >= thresholds.volatilityForMax) {
+    score += weights.volatility;
+  } else {
+    score += (volatility / thresholds.volatilityForMax) * weights.volatility;
+  }
+  
+  // Strong positive momentum is critical (negative momentum counts against the item)
+  score += Math.min(momentum * (weights.momentum / thresholds.momentumForMax), weights.momentum);
+  
+  // Recent strong price change indicates potential
+  if (priceChange >= thresholds.priceChangeForMax) {
+    score += weights.priceChange;
+  } else if (priceChange > 0) {
+    score += (priceChange / thresholds.priceChangeForMax) * weights.priceChange;
+  }
+  
+  // Bonus for items showing breakout potential
+  if (momentum > thresholds.breakoutMomentum &&
+      priceChange > thresholds.breakoutPriceChange &&
+      volatility > thresholds.breakoutVolatility) {
+    score += weights.breakoutBonus; // Hot item bonus
+  }
+  
+  return Math.max(0, Math.min(100, score));
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessDataQuality, getDataQualityExclusion } from '../src/core/analysis.js';
+
+/**
+ * Builds a daily series from prices
+ * @param {Array<number>} prices - Prices, oldest first
+ * @returns {Array} Normalised daily series
+ */
+const toSeries = (prices) => prices.map((price, i) => ({ timestamp: i * 86400000, price, volume: 100 }));
+
+/**
+ * Builds a gently rising series
+ * @param {number} days - Number of days
+ * @returns {Array} Normalised daily series
+ */
+const rising = (days) => toSeries(Array.from({ length: days }, (_, i) => 100 + i));
+
+test('assessDataQuality grades by days of history', () => {
+  assert.equal(assessDataQuality(rising(90)).grade, 'good');
+  assert.equal(assessDataQuality(rising(60)).grade, 'fair');
+  assert.equal(assessDataQuality(rising(14)).grade, 'poor');
+  assert.deepEqual(assessDataQuality(rising(2)), { grade: 'insufficient', days: 2, flat: false, eligible: false });
+  assert.equal(assessDataQuality(rising(2), 2).eligible, true);
+});
+
+test('assessDataQuality rules out prices that never moved', () => {
+  const flat = assessDataQuality(toSeries(Array(30).fill(500)));
+  assert.equal(flat.flat, true);
+  assert.equal(flat.eligible, false);
+  assert.deepEqual(getDataQualityExclusion(flat), { reason: 'flat-price', detail: 'Price unchanged over 30 days' });
+});
+
+test('getDataQualityExclusion explains short histories', () => {
+  assert.equal(getDataQualityExclusion(assessDataQuality(rising(30))), null);
+  assert.deepEqual(getDataQualityExclusion(assessDataQuality(rising(5), 20), 20),
+    { reason: 'insufficient-history', detail: '5 days of history (needs 20)' });
+});
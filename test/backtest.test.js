@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createTempDir } from './helpers/fixtureHttp.js';
+import { runBacktest } from '../src/backtest.js';
+import { osrsAdapter } from '../src/osrs.js';
+import { eveAdapter } from '../src/eve.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PICKED = Date.parse('2026-09-01T00:00:00Z');
+
+/**
+ * Writes one archived report
+ * @param {string} archiveDir - Archive directory
+ * @param {Object} results - Results recorded that day
+ */
+function archiveReport(archiveDir, results) {
+  fs.mkdirSync(archiveDir, { recursive: true });
+  fs.writeFileSync(path.join(archiveDir, '2026-09-01.json'), JSON.stringify(results));
+}
+
+test('runBacktest measures OSRS picks against the given history file', () => {
+  const dir = createTempDir();
+  const archiveDir = path.join(dir, 'archive');
+  const historyFile = path.join(dir, 'osrs-history.json');
+  archiveReport(archiveDir, { highRiskMembers: [{ id: 4151, name: 'Abyssal whip', currentPrice: 1000 }] });
+
+  // Priced 7 and 14 days later (the 30-day price hasn't been recorded yet)
+  fs.writeFileSync(historyFile, JSON.stringify({
+    version: 2,
+    items: { 4151: { name: 'Abyssal whip', daily: { [PICKED + 7 * DAY_MS]: [1100, 5], [PICKED + 14 * DAY_MS]: [900, 5] } } }
+  }));
+
+  const summary = runBacktest(osrsAdapter, { historyFile, archiveDir });
+  assert.equal(summary.reportsReplayed, 1);
+  assert.equal(summary.picks, 1);
+  assert.equal(summary.pendingMeasurements, 1);
+  assert.equal(summary.categories.highRiskMembers[7].averageReturn, '10.00');
+  assert.equal(summary.categories.highRiskMembers[14].averageReturn, '-10.00');
+  assert.equal(summary.overall[30].count, 0);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('runBacktest measures EVE picks against the history in the given directory', () => {
+  const historyDir = createTempDir();
+  const archiveDir = path.join(historyDir, 'archive');
+  archiveReport(archiveDir, { highRisk: [{ id: 34, name: 'Tritanium', hub: 'amarr', currentPrice: 4 }] });
+
+  // Amarr's region, where the pick was made
+  fs.mkdirSync(path.join(historyDir, 'eve-history-10000043'));
+  fs.writeFileSync(path.join(historyDir, 'eve-history-10000043', '34.json'), JSON.stringify({
+    version: 1,
+    record: { rows: [['2026-09-08', 5, 5, 5, 100, 10]] }
+  }));
+
+  const summary = runBacktest(eveAdapter, { historyDir, archiveDir, horizons: [7] });
+  assert.equal(summary.categories.highRisk[7].averageReturn, '25.00');
+
+  // Nothing is measured without history there
+  const empty = createTempDir();
+  assert.equal(runBacktest(eveAdapter, { historyDir: empty, archiveDir, horizons: [7] }).overall[7].count, 0);
+  fs.rmSync(historyDir, { recursive: true });
+  fs.rmSync(empty, { recursive: true });
+});
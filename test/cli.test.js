@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createFixtureHttp, createTempDir, seedOSRSHistory } from './helpers/fixtureHttp.js';
+import { main } from '../src/cli.js';
+import { runOSRSAutomated } from '../src/osrs.js';
+
+test('mogul exits with 2 on bad usage', async () => {
+  assert.equal(await main([]), 2);
+  assert.equal(await main(['trade', 'osrs']), 2);
+  assert.equal(await main(['analyze', 'wow']), 2);
+  assert.equal(await main(['analyze', 'eve', '--budget', '50m']), 2);
+  assert.equal(await main(['analyze', 'osrs', '--holding-hours', 'soon']), 2);
+  assert.equal(await main(['analyze', 'osrs', '--budget', 'lots']), 2);
+  assert.equal(await main(['analyze', 'osrs', '--flip', '--skip-realtime']), 2);
+  assert.equal(await main(['report', 'osrs', '--colour']), 2);
+  assert.equal(await main(['backfill', 'eve']), 2);
+  assert.equal(await main(['backfill', 'osrs', '--delay', 'fast']), 2);
+  assert.equal(await main(['refresh', 'osrs', '--sde', 'sde.zip']), 2);
+  assert.equal(await main(['refresh', 'eve']), 2);
+  assert.equal(await main(['buy', 'osrs', '--item', '4151', '--quantity', '1']), 2);
+  assert.equal(await main(['sell', 'eve', '--item', '34', '--quantity', 'all', '--price', '5']), 2);
+  assert.equal(await main(['--help']), 0);
+});
+
+test('mogul report renders a results file', async () => {
+  const historyFile = seedOSRSHistory();
+  const dir = path.dirname(historyFile);
+  const resultsFile = path.join(dir, 'results.json');
+  const reportFile = path.join(dir, 'index.html');
+  const results = await runOSRSAutomated({ http: createFixtureHttp(), historyFile });
+  fs.writeFileSync(resultsFile, JSON.stringify(results));
+
+  assert.equal(await main(['report', 'osrs', '--from', resultsFile, '--output', reportFile]), 0);
+  assert.ok(fs.readFileSync(reportFile, 'utf8').includes(`alt="${results.lowRiskMembers[0].name}"`));
+
+  assert.equal(await main(['report', 'osrs', '--from', path.join(dir, 'missing.json')]), 1);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('mogul send --dry-run sends nothing', async () => {
+  const savedApiKey = process.env.BREVO_API_KEY;
+  delete process.env.BREVO_API_KEY;
+
+  assert.equal(await main(['send', '--dry-run']), 0);
+  // A real send without an API key is a failure
+  assert.equal(await main(['send', 'eve']), 1);
+
+  if (savedApiKey !== undefined) process.env.BREVO_API_KEY = savedApiKey;
+});
+
+test('mogul backtest writes its summary where asked', async () => {
+  const dir = createTempDir();
+  const outputFile = path.join(dir, 'backtest.json');
+
+  assert.equal(await main(['backtest', 'eve', '--output', outputFile]), 0);
+  assert.equal(JSON.parse(fs.readFileSync(outputFile, 'utf8')).game, 'eve');
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('mogul buy and sell log trades in the portfolio', async () => {
+  const dir = createTempDir();
+  const portfolioFile = path.join(dir, 'portfolio.json');
+  const trade = ['--item', '4151', '--portfolio', portfolioFile, '--date', '2026-10-01'];
+
+  assert.equal(await main(['buy', 'osrs', ...trade, '--quantity', '2', '--price', '1.5m', '--name', 'Abyssal whip']), 0);
+  assert.equal(await main(['sell', 'osrs', ...trade, '--quantity', '1', '--price', '1.6m', '--fee', '32k']), 0);
+
+  // Selling what isn't held fails without changing the file
+  assert.equal(await main(['sell', 'osrs', ...trade, '--quantity', '2', '--price', '1.6m']), 1);
+
+  const { trades } = JSON.parse(fs.readFileSync(portfolioFile, 'utf8'));
+  assert.deepEqual(trades.osrs.map(t => [t.side, t.quantity, t.price, t.fee]), [['buy', 2, 1500000, 0], ['sell', 1, 1600000, 32000]]);
+  fs.rmSync(dir, { recursive: true });
+});
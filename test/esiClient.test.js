@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEsiClient } from '../src/esiClient.js';
+
+const HISTORY_URL = 'https://esi.evetech.net/latest/markets/10000002/history/';
+const ITEM_URL = `${HISTORY_URL}?type_id=34`;
+
+/**
+ * Creates a fake fetch that answers from a list of responses, in order, and records each request
+ * @param {Array<Object|Function>} responses - { status, body, headers }, or (url, init) => one of those
+ * @returns {Function} fetch-compatible function with a `requests` array
+ */
+function createFakeFetch(responses) {
+  const requests = [];
+  const fakeFetch = async (url, init) => {
+    requests.push({ url, headers: init.headers });
+    const next = responses[Math.min(requests.length - 1, responses.length - 1)];
+    const { status = 200, body = null, headers = {} } = typeof next === 'function' ? await next(url, init) : next;
+    return new Response(status === 304 ? null : JSON.stringify(body), { status, headers });
+  };
+  fakeFetch.requests = requests;
+  return fakeFetch;
+}
+
+/**
+ * Creates a client for tests, with retries fast enough not to slow the suite
+ * @param {Function} fetch - Fake fetch
+ * @param {Object} options - Other client options
+ * @returns {Object} ESI client
+ */
+function createTestClient(fetch, options = {}) {
+  return createEsiClient({ getUserAgent: () => 'tests', fetch, baseDelay: 1, ...options });
+}
+
+test('get pauses every request while the error limit recovers', async () => {
+  const fetch = createFakeFetch([
+    { body: [1], headers: { 'X-ESI-Error-Limit-Remain': '5', 'X-ESI-Error-Limit-Reset': '0' } },
+    { body: [2], headers: { 'X-ESI-Error-Limit-Remain': '100', 'X-ESI-Error-Limit-Reset': '60' } }
+  ]);
+  const client = createTestClient(fetch);
+
+  // Five errors left is under the threshold, so the next request waits for the window to reset
+  await client.get(`${HISTORY_URL}?type_id=34&page=1`);
+  const start = Date.now();
+  const { data } = await client.get(`${HISTORY_URL}?type_id=34&page=2`);
+  assert.ok(Date.now() - start >= 900, `waited ${Date.now() - start}ms`);
+  assert.deepEqual(data, [2]);
+
+  // Plenty left: no pause
+  const resumed = Date.now();
+  await client.get(`${HISTORY_URL}?type_id=34&page=3`);
+  assert.ok(Date.now() - resumed < 500);
+});
+
+test('get retries error-limited and server errors with backoff', async () => {
+  const fetch = createFakeFetch([
+    { status: 420, headers: { 'X-ESI-Error-Limit-Reset': '0' } },
+    { status: 503 },
+    { body: [{ average: 5 }] }
+  ]);
+  const client = createTestClient(fetch);
+
+  const { status, data } = await client.get(ITEM_URL);
+  assert.equal(status, 200);
+  assert.deepEqual(data, [{ average: 5 }]);
+  assert.equal(fetch.requests.length, 3);
+  assert.equal(client.stats.retries, 2);
+
+  // Not found isn't retried, and others give up after maxRetries
+  assert.equal((await createTestClient(createFakeFetch([{ status: 404 }])).get(ITEM_URL)).data, null);
+  const failing = createTestClient(createFakeFetch([{ status: 502 }]), { maxRetries: 2 });
+  await assert.rejects(failing.get(ITEM_URL), /ESI request failed: 502/);
+  assert.deepEqual([failing.stats.requests, failing.stats.retries, failing.stats.errors], [3, 2, 1]);
+});
+
+test('map keeps at most `concurrency` requests in flight', async () => {
+  let inFlight = 0;
+  let mostInFlight = 0;
+  const fetch = createFakeFetch([async (url) => {
+    inFlight++;
+    mostInFlight = Math.max(mostInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    inFlight--;
+    return { body: Number(new URL(url).searchParams.get('type_id')) };
+  }]);
+  const client = createTestClient(fetch, { concurrency: 3 });
+
+  const typeIds = Array.from({ length: 10 }, (_, i) => i + 1);
+  const results = await client.map(typeIds, async (typeId) => (await client.get(`${HISTORY_URL}?type_id=${typeId}`)).data);
+
+  // Every item, in order, never more than three at once
+  assert.deepEqual(results, typeIds);
+  assert.equal(mostInFlight, 3);
+});
+
+test('get revalidates with the ETag and reuses fresh responses', async () => {
+  const expired = new Date(Date.now() - 1000).toUTCString();
+  const fresh = new Date(Date.now() + 60000).toUTCString();
+  const fetch = createFakeFetch([
+    { body: [{ average: 5 }], headers: { ETag: '"v1"', Expires: expired } },
+    { status: 304, headers: { Expires: fresh } }
+  ]);
+  const client = createTestClient(fetch);
+
+  await client.get(ITEM_URL);
+
+  // Expired: asked again with If-None-Match, and the 304 returns the data already held
+  const revalidated = await client.get(ITEM_URL);
+  assert.equal(fetch.requests[1].headers['If-None-Match'], '"v1"');
+  assert.deepEqual(revalidated.data, [{ average: 5 }]);
+  assert.equal(revalidated.fromCache, true);
+  assert.equal(client.stats.notModified, 1);
+
+  // Now fresh until its new Expires: answered without a request
+  assert.deepEqual((await client.get(ITEM_URL)).data, [{ average: 5 }]);
+  assert.equal(fetch.requests.length, 2);
+  assert.equal(client.stats.cacheHits, 1);
+
+  // An ETag from a previous run is sent too; on 304 the caller keeps the data it already has
+  const nextRun = createFakeFetch([{ status: 304 }]);
+  const notModified = await createTestClient(nextRun).get(ITEM_URL, { etag: '"v1"' });
+  assert.equal(nextRun.requests[0].headers['If-None-Match'], '"v1"');
+  assert.deepEqual([notModified.status, notModified.data, notModified.etag], [304, null, '"v1"']);
+});
@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createFixtureHttp, createTempDir } from './helpers/fixtureHttp.js';
+import { createEVEHistoryStore, runEVEAutomated, mergeHistoryRows } from '../src/eve.js';
+
+const ITEMS = [
+  { id: 34, name: 'Tritanium' },
+  { id: 35, name: 'Pyerite' },
+  { id: 44992, name: 'PLEX' },
+  { id: 17715, name: 'Gila' },
+  { id: 3828, name: 'Construction Blocks' },
+  { id: 99999999, name: 'Unrecorded type' }
+];
+
+test('runEVEAutomated analyses recorded ESI market history and caches it', async () => {
+  const http = createFixtureHttp();
+  const historyDir = createTempDir();
+
+  const results = await runEVEAutomated({ http, historyDir, items: ITEMS, contact: 'tests@example.com', orderBook: false });
+
+  // The unrecorded type gets ESI's 404 and is skipped
+  assert.equal(results.totalChecked, 6);
+  assert.equal(results.totalAnalyzed, 5);
+  assert.ok(results.highRisk.length > 0 && results.lowRisk.length > 0);
+  assert.ok(results.highRisk.every(item => item.riskLevel === 'high'));
+  assert.ok(results.lowRisk.every(item => item.riskLevel === 'low'));
+  assert.equal(results.highRisk.find(item => item.name === 'Gila')?.dataPoints, 90);
+
+  // Indicators come with each result, including the range from ESI's daily highs and lows
+  const { indicators } = results.lowRisk[0];
+  assert.ok(indicators.rsi >= 0 && indicators.rsi <= 100);
+  assert.ok(indicators.atrPercent > 0);
+  assert.ok(['bullish', 'bearish'].includes(indicators.smaCrossover.trend));
+
+  assert.equal(http.requests.length, 6);
+  for (const request of http.requests) {
+    assert.match(request.url, /^https:\/\/esi\.evetech\.net\/latest\/markets\/10000002\/history\//);
+    assert.match(request.headers['User-Agent'], /tests@example\.com/);
+  }
+
+  const cacheDir = path.join(historyDir, 'eve-history-10000002');
+  assert.deepEqual(fs.readdirSync(cacheDir).sort(), ['17715.json', '34.json', '35.json', '3828.json', '44992.json']);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(cacheDir, '34.json'), 'utf8')).record.etag, '"10000002-34"');
+  fs.rmSync(historyDir, { recursive: true });
+});
+
+test('runEVEAutomated offline uses only the cache', async () => {
+  const historyDir = createTempDir();
+  const online = await runEVEAutomated({ http: createFixtureHttp(), historyDir, items: ITEMS, orderBook: false });
+
+  const http = createFixtureHttp();
+  const offline = await runEVEAutomated({ http, historyDir, items: ITEMS, offline: true });
+
+  assert.equal(http.requests.length, 0);
+  assert.equal(offline.totalAnalyzed, online.totalAnalyzed);
+  assert.deepEqual(offline.highRisk.map(item => item.id), online.highRisk.map(item => item.id));
+  fs.rmSync(historyDir, { recursive: true });
+});
+
+test('runEVEAutomated reports each hub and compares picks across hubs', async () => {
+  const http = createFixtureHttp();
+  const historyDir = createTempDir();
+
+  const results = await runEVEAutomated({ http, historyDir, items: ITEMS, hubs: 'jita,amarr', orderBook: false });
+
+  assert.deepEqual(results.hubs.map(hub => [hub.id, hub.regionId, hub.itemsAnalyzed]), [['jita', 10000002, 5], ['amarr', 10000043, 4]]);
+  assert.deepEqual(results.highRisk, results.hubs[0].highRisk);
+  assert.ok(results.hubs[1].highRisk.every(item => item.hub === 'amarr'));
+
+  // Every pick in either hub is compared; Amarr's recorded Tritanium is dearer than Jita's
+  const tritanium = results.hubComparison.find(item => item.id === 34);
+  assert.deepEqual(tritanium.hubs.map(h => h.hub), ['jita', 'amarr']);
+  assert.equal(tritanium.cheapestHub, 'jita');
+  assert.ok(parseFloat(tritanium.priceSpread) > 0);
+  assert.ok(results.hubComparison.find(item => item.id === 35).hubs.length === 1);
+
+  // Two requests per type, one history cache per region
+  assert.equal(http.requests.length, ITEMS.length * 2);
+  assert.ok(fs.existsSync(path.join(historyDir, 'eve-history-10000043', '34.json')));
+  fs.rmSync(historyDir, { recursive: true });
+});
+
+test('runEVEAutomated checks picks against the hub order books', async () => {
+  const http = createFixtureHttp();
+  const historyDir = createTempDir();
+
+  const results = await runEVEAutomated({ http, historyDir, items: ITEMS });
+  const picks = [...results.highRisk, ...results.lowRisk];
+
+  // Tritanium's position is more than its recorded book offers near the best ask, and Pyerite has no sell orders
+  assert.deepEqual(results.excluded.map(item => [item.id, item.hub, item.reason]).sort(),
+    [[34, 'jita', 'order-book'], [35, 'jita', 'order-book']]);
+  assert.ok(!picks.some(item => item.id === 34 || item.id === 35));
+  assert.equal(results.hubs[0].itemsAnalyzed, 5);
+
+  // Only orders at the hub station count
+  const plex = picks.find(item => item.id === 44992);
+  assert.equal(plex.orderBook.bestBid, 5950000);
+  assert.equal(plex.orderBook.askDepth, 5000);
+  assert.equal(plex.orderBook.stationTrading, false);
+
+  assert.deepEqual(results.stationTrading.map(item => [item.id, item.hub]), [[3828, 'jita']]);
+  assert.ok(results.orderBookSettings.salesTax > 0);
+  assert.ok(http.requests.some(request => /\/markets\/10000002\/orders\/\?.*type_id=3828/.test(request.url)));
+  fs.rmSync(historyDir, { recursive: true });
+});
+
+test('runEVEAutomated filters by market group and ranks picks within each top-level group', async () => {
+  const http = createFixtureHttp();
+  const historyDir = createTempDir();
+  const items = [
+    { id: 34, name: 'Tritanium', marketGroups: ['Manufacture & Research', 'Materials', 'Minerals'] },
+    { id: 35, name: 'Pyerite', marketGroups: ['Manufacture & Research', 'Materials', 'Minerals'] },
+    { id: 44992, name: 'PLEX', marketGroups: ["Pilot's Services"] },
+    { id: 17715, name: 'Gila', marketGroups: ['Ships', 'Cruisers'] },
+    { id: 3828, name: 'Construction Blocks', marketGroups: ['Manufacture & Research', 'Materials', 'Planetary Materials'] }
+  ];
+
+  const results = await runEVEAutomated({ http, historyDir, items, excludeGroups: "ships, PILOT'S SERVICES", orderBook: false });
+
+  // Excluded groups are never fetched
+  assert.equal(results.totalChecked, 3);
+  assert.ok(!http.requests.some(request => /type_id=(17715|44992)/.test(request.url)));
+
+  assert.deepEqual(results.marketGroups.map(group => group.name), ['Manufacture & Research']);
+  const [materials] = results.marketGroups;
+  assert.ok(materials.picks.length <= 3);
+  assert.deepEqual(materials.picks.map(item => item.investmentScore),
+    [...materials.picks.map(item => item.investmentScore)].sort((a, b) => b - a));
+  assert.deepEqual(results.hubs[0].marketGroups, results.marketGroups);
+
+  const only = await runEVEAutomated({ http: createFixtureHttp(), historyDir, items, includeGroups: ['Materials'], excludeGroups: 'Minerals', offline: true });
+  assert.equal(only.totalChecked, 1);
+  assert.equal(only.marketGroups[0].picks[0].id, 3828);
+  fs.rmSync(historyDir, { recursive: true });
+});
+
+test('runEVEAutomated market group filters need the item catalogue', async () => {
+  await assert.rejects(runEVEAutomated({ http: createFixtureHttp(), items: ITEMS, includeGroups: 'Ships' }), /run eveDataCleaner\.js first/);
+});
+
+test('runEVEAutomated rejects unknown hubs', async () => {
+  await assert.rejects(runEVEAutomated({ http: createFixtureHttp(), items: ITEMS, hubs: 'jita,atlantis' }), /Unknown trade hub "atlantis"/);
+});
+
+test('mergeHistoryRows keeps the newest value for each day and drops expired days', () => {
+  const day = (daysAgo) => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const cached = [[day(500), 0, 0, 0, 0, 0], [day(3), 1, 1, 1, 10, 1], [day(2), 2, 2, 2, 20, 2]];
+  const fetched = [[day(2), 3, 3, 3, 30, 3], [day(1), 4, 4, 4, 40, 4]];
+
+  assert.deepEqual(mergeHistoryRows(cached, fetched).map(row => [row[0], row[1]]),
+    [[day(3), 1], [day(2), 3], [day(1), 4]]);
+});
+
+test('createEVEHistoryStore keeps each type in its own file, bounded by the retention window', () => {
+  const historyDir = createTempDir();
+  const day = (daysAgo) => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const daysOfRows = (days) => Array.from({ length: days }, (_, i) => [day(days - i), 5.55, 5.6, 5.5, 123456789, 1234]);
+
+  // A cache from before the split is broken up into one file per type
+  const legacyFile = path.join(historyDir, 'eve-history-10000002.json');
+  fs.writeFileSync(legacyFile, JSON.stringify({ version: 1, items: { 34: { etag: '"a"', rows: daysOfRows(30) }, 35: { rows: daysOfRows(10) } } }));
+  const store = createEVEHistoryStore(10000002, historyDir).load();
+  assert.ok(!fs.existsSync(legacyFile));
+  assert.deepEqual(store.ids().sort(), ['34', '35']);
+  assert.equal(store.get(34).etag, '"a"');
+
+  // However many types there are, a file holds one type's history, trimmed to 400 days
+  for (let typeId = 1000; typeId < 1200; typeId++) {
+    store.set(typeId, { etag: `"${typeId}"`, rows: mergeHistoryRows([], daysOfRows(500)) });
+  }
+  const cacheDir = path.join(historyDir, 'eve-history-10000002');
+  const sizes = fs.readdirSync(cacheDir).map(file => fs.statSync(path.join(cacheDir, file)).size);
+  assert.equal(sizes.length, 202);
+  assert.ok(store.get(1000).rows.length <= 401);
+  assert.ok(Math.max(...sizes) < 401 * 64, `largest file is ${Math.max(...sizes)} bytes`);
+
+  // Reading a type reads only its own file
+  fs.writeFileSync(path.join(cacheDir, '35.json'), '{"version":1,"rec');
+  assert.equal(store.get(34).rows.length, 30);
+  assert.equal(store.get(99999999), undefined);
+  fs.rmSync(historyDir, { recursive: true });
+});
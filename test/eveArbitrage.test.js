@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { createFixtureHttp, createTempDir } from './helpers/fixtureHttp.js';
+import { calculateBrokerFee, calculateSalesTax, findBestRoute, loadArbitrageConfig, sizeRoute } from '../src/eveArbitrage.js';
+import { runEVEAutomated } from '../src/eve.js';
+
+test('fees follow skills and standings', () => {
+  const settings = loadArbitrageConfig({ skills: { accounting: 5, brokerRelations: 5 } });
+  assert.equal(calculateSalesTax(settings).toFixed(4), '3.3750');
+  assert.equal(calculateBrokerFee(settings).toFixed(2), '1.50');
+
+  const untrained = loadArbitrageConfig({ skills: { accounting: 0, brokerRelations: 0 } });
+  assert.equal(calculateSalesTax(untrained), 7.5);
+  assert.equal(calculateBrokerFee(untrained), 3);
+
+  // Broker fees never drop below the NPC minimum
+  const wellLiked = loadArbitrageConfig({ standings: { faction: 10, corporation: 10 }, skills: { accounting: 5, brokerRelations: 5 } });
+  assert.equal(calculateBrokerFee(wellLiked), 1);
+
+  assert.throws(() => loadArbitrageConfig({ skills: { accounting: 6 } }), /Invalid accounting skill level 6/);
+});
+
+test('findBestRoute nets fees and is capped by the quieter hub', () => {
+  const settings = loadArbitrageConfig({ skills: { accounting: 0, brokerRelations: 0 }, minimumMargin: 5 });
+  const markets = {
+    jita: { currentPrice: 100, averageVolume: 10000 },
+    amarr: { currentPrice: 130, averageVolume: 500 },
+    hek: { currentPrice: 112, averageVolume: 100000 }
+  };
+
+  const route = findBestRoute(markets, settings);
+
+  // Selling in Amarr pays 7.5% tax + 3% broker fee: 130 × 0.895 − 100 = 16.35 a unit, 50 units a day
+  assert.equal(route.from, 'jita');
+  assert.equal(route.to, 'amarr');
+  assert.equal(route.profitPerUnit, 16.35);
+  assert.equal(route.dailyUnits, 50);
+  assert.equal(route.estimatedProfit, 818);
+
+  // Jita → Hek only clears 0.24%
+  assert.equal(findBestRoute({ jita: markets.jita, hek: markets.hek }, settings), null);
+});
+
+test('sizeRoute fits the route into the hauler', () => {
+  const settings = loadArbitrageConfig({ cargoCapacity: 1000 });
+  const route = { profitPerUnit: 50, dailyUnits: 400 };
+
+  assert.deepEqual(sizeRoute(route, 5, settings),
+    { ...route, packagedVolume: 5, units: 200, cargoUsed: 1000, profit: 10000, iskPerM3: 10 });
+  assert.equal(sizeRoute(route, null, settings).units, 400);
+});
+
+test('runEVEAutomated lists arbitrage routes between hubs', async () => {
+  const http = createFixtureHttp();
+  const historyDir = createTempDir();
+  const items = [{ id: 34, name: 'Tritanium' }, { id: 3828, name: 'Construction Blocks' }, { id: 17715, name: 'Gila' }];
+
+  const results = await runEVEAutomated({ http, historyDir, items, hubs: 'jita,amarr', arbitrage: { minimumMargin: 5 } });
+
+  // Only Construction Blocks trade far enough apart to clear 5% after fees
+  assert.deepEqual(results.arbitrage.map(route => [route.name, route.from, route.to]), [['Construction Blocks', 'jita', 'amarr']]);
+  const [route] = results.arbitrage;
+  assert.equal(route.packagedVolume, 1.5);
+  assert.ok(route.profit > 0 && route.units <= route.dailyUnits);
+  assert.equal(results.arbitrageFees.salesTax.toFixed(2), '4.20');
+  assert.ok(http.requests.some(request => request.url.includes('/universe/types/3828/')));
+  fs.rmSync(historyDir, { recursive: true });
+});
+
+test('runEVEAutomated sizes routes from the catalogue packaged volume without asking ESI', async () => {
+  const http = createFixtureHttp();
+  const historyDir = createTempDir();
+  const items = [{ id: 3828, name: 'Construction Blocks', category: 'Commodity', packagedVolume: 0.75 }];
+
+  const results = await runEVEAutomated({ http, historyDir, items, hubs: 'jita,amarr', arbitrage: { minimumMargin: 5 } });
+
+  assert.equal(results.arbitrage[0].packagedVolume, 0.75);
+  assert.ok(!http.requests.some(request => request.url.includes('/universe/types/')));
+  fs.rmSync(historyDir, { recursive: true });
+});
+
+test('runEVEAutomated needs two hubs for arbitrage', async () => {
+  await assert.rejects(runEVEAutomated({ http: createFixtureHttp(), items: [], hubs: 'jita', arbitrage: true }), /at least two trade hubs/);
+});
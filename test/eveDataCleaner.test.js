@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { FIXTURES_DIR, createTempDir } from './helpers/fixtureHttp.js';
+import { cleanEVEData } from '../src/eveDataCleaner.js';
+import { getMarketGroupPath, readCatalogue } from '../src/eveCatalogue.js';
+import { loadTradeableItemsFromSDE } from '../src/eve.js';
+
+const SDE_DIR = path.join(FIXTURES_DIR, 'sde');
+
+test('cleanEVEData keeps published market types with their groups and market group hierarchy', async () => {
+  const dir = createTempDir();
+  const outputFile = path.join(dir, 'types.json');
+
+  const summary = await cleanEVEData({ source: SDE_DIR, outputFile });
+
+  // The capsule has no market group and the Gila prototype isn't published
+  assert.deepEqual(summary, { totalEntries: 5, keptEntries: 3, outputFile, sde: { buildNumber: 3077380, releaseDate: '2025-10-28T11:14:15Z' } });
+
+  const catalogue = readCatalogue(outputFile);
+  assert.deepEqual(Object.keys(catalogue.types), ['34', '587', '691']);
+  assert.deepEqual(Object.keys(catalogue.groups), ['18', '25', '105']);
+  assert.deepEqual(catalogue.categories, { 4: 'Material', 6: 'Ship', 9: 'Blueprint' });
+  assert.ok(!('9999' in catalogue.marketGroups));
+  assert.deepEqual(getMarketGroupPath(catalogue, 64), ['Ships', 'Frigates', 'Minmatar', 'Standard Frigates']);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('loadTradeableItemsFromSDE expands the catalogue into items', async () => {
+  const dir = createTempDir();
+  const outputFile = path.join(dir, 'types.json');
+  await cleanEVEData({ source: SDE_DIR, outputFile });
+
+  const items = loadTradeableItemsFromSDE(outputFile);
+
+  assert.deepEqual(items.find(item => item.id === 34), {
+    id: 34,
+    name: 'Tritanium',
+    groupID: 18,
+    marketGroupID: 1857,
+    metaGroupID: null,
+    volume: 0.01,
+    packagedVolume: 0.01,
+    basePrice: 2,
+    portionSize: 1,
+    categoryID: 4,
+    category: 'Material',
+    marketGroups: ['Manufacture & Research', 'Materials', 'Minerals']
+  });
+
+  // Ships repackage smaller than the SDE's assembled volume, so theirs is left unknown
+  const rifter = items.find(item => item.id === 587);
+  assert.equal(rifter.volume, 27289);
+  assert.equal(rifter.packagedVolume, null);
+  assert.equal(rifter.metaGroupID, 1);
+  assert.equal(items.find(item => item.id === 691).category, 'Blueprint');
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('cleanEVEData reads straight from the SDE zip', async () => {
+  const dir = createTempDir();
+  const fromFolder = path.join(dir, 'folder.json');
+  const fromZip = path.join(dir, 'zip.json');
+
+  await cleanEVEData({ source: SDE_DIR, outputFile: fromFolder });
+  const summary = await cleanEVEData({ source: path.join(FIXTURES_DIR, 'sde.zip'), outputFile: fromZip });
+
+  assert.equal(summary.keptEntries, 3);
+  assert.deepEqual(readCatalogue(fromZip), readCatalogue(fromFolder));
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('cleanEVEData fails without the SDE types', async () => {
+  const dir = createTempDir();
+  await assert.rejects(cleanEVEData({ source: dir, outputFile: path.join(dir, 'types.json') }), /Input file not found/);
+  assert.ok(!fs.existsSync(path.join(dir, 'types.json')));
+  fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateStationMargin, checkPositionDepth, summariseOrderBook } from '../src/eveOrderBook.js';
+
+const STATION = 60003760;
+
+/**
+ * Builds an ESI market order
+ * @param {boolean} isBuyOrder - Buy order rather than sell order
+ * @param {number} price - Order price
+ * @param {number} volume - Units remaining
+ * @param {number} locationId - Station the order is at
+ * @returns {Object} Order
+ */
+const order = (isBuyOrder, price, volume, locationId = STATION) =>
+  ({ is_buy_order: isBuyOrder, price, volume_remain: volume, location_id: locationId });
+
+test('summariseOrderBook finds the best prices and the depth near them', () => {
+  const book = summariseOrderBook([
+    order(false, 100, 10), order(false, 104, 5), order(false, 110, 50), order(false, 90, 99, 60008494),
+    order(true, 95, 20), order(true, 91, 7), order(true, 80, 100)
+  ], STATION, 5);
+
+  assert.equal(book.bestAsk, 100);
+  assert.equal(book.bestBid, 95);
+  assert.equal(book.spread, '5.00');
+  assert.equal(book.askDepth, 15);
+  assert.equal(book.bidDepth, 27);
+  assert.equal(book.sellOrders, 3);
+});
+
+test('checkPositionDepth rejects positions the book cannot fill', () => {
+  const book = summariseOrderBook([order(false, 100, 10), order(true, 95, 20)], STATION, 5);
+
+  assert.equal(checkPositionDepth(book, 10, 5), null);
+  assert.match(checkPositionDepth(book, 11, 5).detail, /exceeds the 10 offered within 5%/);
+  assert.match(checkPositionDepth(summariseOrderBook([order(true, 95, 20)], STATION, 5), 1, 5).detail, /No sell orders/);
+});
+
+test('calculateStationMargin nets the spread of fees on both orders', () => {
+  const book = summariseOrderBook([order(false, 110, 10), order(true, 100, 10)], STATION, 5);
+
+  // Buy at 100 + 2% broker fee, sell at 110 less 4% tax and 2% broker fee
+  assert.equal(calculateStationMargin(book, 4, 2).toFixed(2), '1.37');
+  assert.equal(calculateStationMargin(summariseOrderBook([], STATION, 5), 4, 2), null);
+});
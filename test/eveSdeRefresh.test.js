@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { FIXTURES_DIR, createTempDir } from './helpers/fixtureHttp.js';
+import { diffCatalogueItems, refreshSDE } from '../src/eveSdeRefresh.js';
+import { readCatalogue } from '../src/eveCatalogue.js';
+import { openZipArchive } from '../src/core/zipArchive.js';
+import { main } from '../src/cli.js';
+
+const SDE_ARCHIVE = path.join(FIXTURES_DIR, 'sde.zip');
+
+test('openZipArchive lists and inflates entries', async () => {
+  const zip = openZipArchive(SDE_ARCHIVE);
+  const entry = zip.find('_sde.yaml');
+
+  assert.equal(entry.name, 'eve-online-static-data-3077380-yaml/_sde.yaml');
+  const chunks = [];
+  for await (const chunk of zip.createReadStream(entry)) {
+    chunks.push(chunk);
+  }
+  zip.close();
+
+  assert.equal(Buffer.concat(chunks).toString('utf8'), fs.readFileSync(path.join(FIXTURES_DIR, 'sde', '_sde.yaml'), 'utf8'));
+  assert.equal(zip.find('missing.yaml'), undefined);
+});
+
+test('openZipArchive rejects files that are not zips', () => {
+  assert.throws(() => openZipArchive(path.join(FIXTURES_DIR, 'sde', 'types.yaml')), /Not a zip archive/);
+});
+
+test('refreshSDE rebuilds the catalogue from the archive and diffs it against the previous one', async () => {
+  const dir = createTempDir();
+  const outputFile = path.join(dir, 'types.json');
+  fs.writeFileSync(outputFile, JSON.stringify({
+    version: 1,
+    sde: { buildNumber: 3064089, releaseDate: '2025-09-16T11:00:00Z' },
+    typeFields: ['name'],
+    types: { 34: ['Tritanium Ore'], 587: ['Rifter'], 28668: ['Nanite Repair Paste'] },
+    groups: {},
+    categories: {},
+    marketGroups: {}
+  }));
+
+  const result = await refreshSDE({ archive: SDE_ARCHIVE, outputFile });
+
+  assert.deepEqual(result.sde, { buildNumber: 3077380, releaseDate: '2025-10-28T11:14:15Z' });
+  assert.deepEqual(result.previousSde, { buildNumber: 3064089, releaseDate: '2025-09-16T11:00:00Z' });
+  assert.deepEqual(result.added, [{ id: 691, name: 'Rifter Blueprint' }]);
+  assert.deepEqual(result.removed, [{ id: 28668, name: 'Nanite Repair Paste' }]);
+  assert.deepEqual(result.renamed, [{ id: 34, from: 'Tritanium Ore', to: 'Tritanium' }]);
+  assert.equal(readCatalogue(outputFile).sde.buildNumber, 3077380);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('refreshSDE accepts an extracted SDE folder', async () => {
+  const dir = createTempDir();
+  const outputFile = path.join(dir, 'types.json');
+
+  const result = await refreshSDE({ archive: path.join(FIXTURES_DIR, 'sde'), outputFile });
+
+  // With nothing to compare against, every type is new
+  assert.equal(result.previousSde, null);
+  assert.equal(result.added.length, 3);
+  assert.deepEqual(result.removed, []);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('mogul refresh eve prints the catalogue diff as JSON', async () => {
+  const dir = createTempDir();
+  const outputFile = path.join(dir, 'types.json');
+  const stdout = console.log;
+  const printed = [];
+  console.log = (line) => printed.push(line);
+  const stderr = console.error;
+  console.error = () => {};
+
+  try {
+    assert.equal(await main(['refresh', 'eve', '--sde', SDE_ARCHIVE, '--output', outputFile, '--json']), 0);
+  } finally {
+    console.log = stdout;
+    console.error = stderr;
+  }
+
+  const result = JSON.parse(printed.join('\n'));
+  assert.equal(result.keptEntries, 3);
+  assert.equal(result.sde.buildNumber, 3077380);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('diffCatalogueItems finds added, removed and renamed types', () => {
+  const diff = diffCatalogueItems(
+    [{ id: 2, name: 'B' }, { id: 1, name: 'A' }],
+    [{ id: 1, name: 'A2' }, { id: 3, name: 'C' }]
+  );
+  assert.deepEqual(diff, { added: [{ id: 3, name: 'C' }], removed: [{ id: 2, name: 'B' }], renamed: [{ id: 1, from: 'A', to: 'A2' }] });
+});
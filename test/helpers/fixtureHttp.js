@@ -0,0 +1,227 @@
+/**
+ * Fixture HTTP Layer
+ * Stand-in for createHttpLayer that replays recorded responses from test/fixtures
+ *
+ * Anything without a fixture fails the same way an unreachable host would, so a test can
+ * never fall through to the network.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads a JSON fixture
+ * @param {string} name - Path relative to test/fixtures
+ * @returns {Object|null} Parsed fixture, or null if it doesn't exist
+ */
+export function readFixture(name) {
+  const file = path.join(FIXTURES_DIR, name);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Builds a JSON response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra response headers
+ * @returns {Response} Fetch response
+ */
+function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * Shifts recorded ESI history rows so the last one is yesterday, as it would be from the live API
+ * (keeps the fixtures inside the retention window however old they get)
+ * @param {Array} rows - Recorded rows, oldest first
+ * @returns {Array} Rows with shifted dates
+ */
+function shiftToYesterday(rows) {
+  const latest = Date.parse(`${rows[rows.length - 1].date}T00:00:00Z`);
+  const yesterday = new Date(Date.now() - DAY_MS);
+  yesterday.setUTCHours(0, 0, 0, 0);
+  const shift = yesterday.getTime() - latest;
+
+  return rows.map(row => ({
+    ...row,
+    date: new Date(Date.parse(`${row.date}T00:00:00Z`) + shift).toISOString().slice(0, 10)
+  }));
+}
+
+/**
+ * Replays an ESI request
+ * @param {URL} url - Request URL
+ * @returns {Response} Recorded market history, orders or type, or ESI's 404 body
+ */
+function replayEsi(url) {
+  const match = url.pathname.match(/\/markets\/(\d+)\/history\/?$/);
+  const ordersMatch = url.pathname.match(/\/markets\/(\d+)\/orders\/?$/);
+  const typeMatch = url.pathname.match(/\/universe\/types\/(\d+)\/?$/);
+  const typeId = url.searchParams.get('type_id');
+  const headers = {
+    // Fresh for an hour, like ESI's daily market history cache
+    'expires': new Date(Date.now() + 60 * 60 * 1000).toUTCString(),
+    'x-esi-error-limit-remain': '100',
+    'x-esi-error-limit-reset': '60'
+  };
+
+  if (typeMatch) {
+    const type = readFixture(`esi/universe-types-${typeMatch[1]}.json`);
+    return type ? jsonResponse(200, type, headers) : jsonResponse(404, { error: 'Type not found!' }, headers);
+  }
+
+  if (ordersMatch) {
+    // Recorded books fit on one page
+    const orders = readFixture(`esi/markets-${ordersMatch[1]}-orders-${typeId}.json`);
+    return orders ? jsonResponse(200, orders, { ...headers, 'x-pages': '1' }) : jsonResponse(404, { error: 'Not found' }, headers);
+  }
+
+  const rows = match && readFixture(`esi/markets-${match[1]}-history-${typeId}.json`);
+  if (!rows) {
+    return jsonResponse(404, { error: 'Type not found!' }, headers);
+  }
+  return jsonResponse(200, shiftToYesterday(rows), { ...headers, 'etag': `"${match[1]}-${typeId}"` });
+}
+
+/**
+ * Replays a Grand Exchange price graph request, shifted so its last day is today
+ * @param {URL} url - Request URL
+ * @returns {Response} Recorded graph, or a 404 for an unrecorded item
+ */
+function replayPriceGraph(url) {
+  const itemId = url.pathname.match(/\/graph\/(\d+)\.json$/)?.[1];
+  const graph = itemId && readFixture(`itemdb/graph-${itemId}.json`);
+  if (!graph) {
+    return new Response('Not Found', { status: 404 });
+  }
+
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const shift = today.getTime() - Math.max(...Object.keys(graph.daily).map(Number));
+  const shiftKeys = (series) => Object.fromEntries(
+    Object.entries(series).map(([ts, price]) => [Number(ts) + shift, price])
+  );
+
+  return jsonResponse(200, { daily: shiftKeys(graph.daily), average: shiftKeys(graph.average) });
+}
+
+/**
+ * Replays an OSRS Wiki real-time prices request
+ * @param {URL} url - Request URL
+ * @returns {Response} Recorded prices, or the API's 400 body for an unrecorded item
+ */
+function replayWikiPrices(url) {
+  const endpoint = url.pathname.replace('/api/v1/osrs/', '');
+  const body = endpoint === 'timeseries'
+    ? readFixture(`wiki/timeseries-${url.searchParams.get('timestep')}-${url.searchParams.get('id')}.json`)
+    : readFixture(`wiki/${endpoint}.json`);
+
+  return body ? jsonResponse(200, body) : jsonResponse(400, { error: 'Invalid request' });
+}
+
+/**
+ * Creates an HTTP layer that replays fixtures
+ * @param {Object} options - Fixture options
+ * @param {Object} options.failures - HTTP status to return instead, by URL substring
+ * @param {boolean} options.brevoFails - Make every Brevo call reject
+ * @returns {Object} { fetch, brevo, requests, emails } (requests and emails record what was sent)
+ */
+export function createFixtureHttp({ failures = {}, brevoFails = false } = {}) {
+  const requests = [];
+  const emails = [];
+
+  const fetch = async (input, init = {}) => {
+    const url = new URL(input);
+    requests.push({ url: url.href, headers: { ...init.headers } });
+
+    const failure = Object.keys(failures).find(pattern => url.href.includes(pattern));
+    if (failure) {
+      return jsonResponse(failures[failure], { error: 'Fixture failure' });
+    }
+
+    if (url.hostname === 'chisel.weirdgloop.org' && url.pathname.endsWith('/os_dump.json')) {
+      return jsonResponse(200, readFixture('weirdgloop/os_dump.json'));
+    }
+    if (url.hostname === 'secure.runescape.com' && url.pathname.startsWith('/m=itemdb_oldschool/api/graph/')) {
+      return replayPriceGraph(url);
+    }
+    if (url.hostname === 'prices.runescape.wiki') {
+      return replayWikiPrices(url);
+    }
+    if (url.hostname === 'esi.evetech.net') {
+      return replayEsi(url);
+    }
+    throw new TypeError(`fetch failed: no fixture for ${url.href}`);
+  };
+
+  const brevo = (apiKey) => {
+    const reject = () => Promise.reject(Object.assign(new Error('Fixture Brevo failure'), {
+      response: { statusCode: 401, body: { code: 'unauthorized', message: 'Key not found' } }
+    }));
+
+    return {
+      async getContactsFromList(listId, { limit, offset }) {
+        if (brevoFails) return reject();
+        requests.push({ url: `brevo:contacts/lists/${listId}/contacts?limit=${limit}&offset=${offset}`, apiKey });
+        const body = readFixture(`brevo/contacts-list-${listId}.json`);
+        if (!body) {
+          return Promise.reject(Object.assign(new Error('List ID does not exist'), {
+            response: { statusCode: 404, body: { code: 'document_not_found', message: 'List ID does not exist' } }
+          }));
+        }
+        return body;
+      },
+
+      async sendTransacEmail(email) {
+        if (brevoFails) return reject();
+        emails.push(email);
+        return readFixture('brevo/send-transac-email.json');
+      }
+    };
+  };
+
+  return { fetch, brevo, requests, emails };
+}
+
+/**
+ * Copies the recorded OSRS history into a temporary file, shifted so its last day is yesterday
+ * (keeps the fixture inside the 180-day retention window however old it gets)
+ * @returns {string} Path to the temporary history file
+ */
+export function seedOSRSHistory() {
+  const history = readFixture('osrs-history.json');
+  const latest = Math.max(...Object.values(history.items)
+    .flatMap(item => Object.keys(item.daily).map(Number)));
+
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const shift = today.getTime() - DAY_MS - latest;
+
+  for (const item of Object.values(history.items)) {
+    item.daily = Object.fromEntries(
+      Object.entries(item.daily).map(([ts, point]) => [Number(ts) + shift, point])
+    );
+  }
+
+  const file = path.join(createTempDir(), 'osrs-history.json');
+  fs.writeFileSync(file, JSON.stringify(history));
+  return file;
+}
+
+/**
+ * Creates an empty temporary directory
+ * @returns {string} Directory path
+ */
+export function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'mogul-test-'));
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createTempDir } from './helpers/fixtureHttp.js';
+import { createHistoryStore } from '../src/historyStore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('createHistoryStore replays the journal of a run that never flushed', () => {
+  const dir = createTempDir();
+  const file = path.join(dir, 'history.json');
+  const today = new Date().setUTCHours(0, 0, 0, 0);
+  const yesterday = today - DAY_MS;
+  const expired = today - 200 * DAY_MS;
+
+  const first = createHistoryStore({ file, version: 2, retentionDays: 180 }).load();
+  first.update(2, { name: 'Cannonball', daily: { [expired]: [150, 1], [yesterday]: [200, 10] } });
+  first.flush();
+
+  // The next run updates two items and dies before flushing
+  const second = createHistoryStore({ file, version: 2, retentionDays: 180 }).load();
+  assert.deepEqual(second.update(2, { name: 'Cannonball', daily: { [today]: [210, 12] } }).daily,
+    { [yesterday]: [200, 10], [today]: [210, 12] });
+  second.update(4151, { name: 'Abyssal whip', daily: { [today]: [1500000, 3] } });
+
+  // Only the day's change is journaled, not the item's whole history
+  const journal = fs.readFileSync(`${file}.journal`, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(journal[0], { id: 2, changes: { name: 'Cannonball', daily: { [today]: [210, 12] } } });
+  assert.equal(journal.length, 2);
+
+  // A crash can leave the last line half-written
+  fs.appendFileSync(`${file}.journal`, '{"id":560,"chan');
+
+  const recovered = createHistoryStore({ file, version: 2, retentionDays: 180 }).load();
+  assert.deepEqual(recovered.get(2), { name: 'Cannonball', daily: { [yesterday]: [200, 10], [today]: [210, 12] } });
+  assert.deepEqual(recovered.get(4151), { name: 'Abyssal whip', daily: { [today]: [1500000, 3] } });
+  assert.deepEqual(recovered.ids(), ['2', '4151']);
+
+  // Flushing writes the recovered state and clears the journal
+  recovered.flush();
+  assert.ok(!fs.existsSync(`${file}.journal`));
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).items[2].daily, { [yesterday]: [200, 10], [today]: [210, 12] });
+  fs.rmSync(dir, { recursive: true });
+});
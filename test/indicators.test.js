@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateATR,
+  calculateBollingerBands,
+  calculateIndicators,
+  calculateLogReturnVolatility,
+  calculateMaxDrawdown,
+  calculateRSI,
+  compareAverages,
+  emaSeries,
+  smaSeries
+} from '../src/core/indicators.js';
+import { getStrategy } from '../src/strategies/index.js';
+
+/**
+ * Builds a daily series from prices
+ * @param {Array<number>} prices - Prices, oldest first
+ * @returns {Array} Normalised daily series
+ */
+const toSeries = (prices) => prices.map((price, i) => ({ timestamp: i * 86400000, price, volume: 100 }));
+
+test('moving averages warm up over their period', () => {
+  assert.deepEqual(smaSeries([1, 2, 3, 4], 2), [null, 1.5, 2.5, 3.5]);
+  assert.deepEqual(emaSeries([1, 2, 3, 4], 3), [null, null, 2, 3]);
+});
+
+test('compareAverages reports the trend and when the averages crossed', () => {
+  const crossover = compareAverages([null, 1, 3, 4], [null, 2, 2, 2]);
+  assert.equal(crossover.trend, 'bullish');
+  assert.equal(crossover.gap, 100);
+  assert.equal(crossover.crossedDaysAgo, 1);
+
+  assert.equal(compareAverages([1, 2], [null, null]), null);
+});
+
+test('calculateRSI reads rising prices as strong and flat prices as neutral', () => {
+  assert.equal(calculateRSI(toSeries([1, 2, 3, 4, 5]), 3), 100);
+  assert.equal(calculateRSI(toSeries([5, 5, 5, 5, 5]), 3), 50);
+  // Two gains of 2 against one loss of 1 over the first period
+  assert.equal(calculateRSI(toSeries([10, 12, 11, 13]), 3).toFixed(2), '80.00');
+  assert.equal(calculateRSI(toSeries([1, 2, 3]), 3), null);
+});
+
+test('calculateBollingerBands places the latest price in the band', () => {
+  const bands = calculateBollingerBands(toSeries([2, 4, 4, 4, 5, 5, 7, 9]), 8, 2);
+  assert.equal(bands.middle, 5);
+  assert.equal(bands.upper, 9);
+  assert.equal(bands.lower, 1);
+  assert.equal(bands.width, 160);
+  assert.equal(bands.position, 1);
+});
+
+test('calculateATR needs daily highs and lows', () => {
+  const series = [
+    { price: 10, high: 11, low: 9 },
+    { price: 12, high: 13, low: 11 },
+    { price: 11, high: 12, low: 8 }
+  ];
+  // True ranges: 3 (gap up from 10 to 13) and 4
+  assert.equal(calculateATR(series, 2).atr, 3.5);
+  assert.equal(calculateATR(toSeries([10, 12, 11]), 2), null);
+});
+
+test('calculateMaxDrawdown and calculateLogReturnVolatility measure risk', () => {
+  assert.equal(calculateMaxDrawdown(toSeries([100, 120, 90, 130, 117])), 25);
+  assert.equal(calculateMaxDrawdown(toSeries([1, 2, 3])), 0);
+
+  // A steady 10% a day has no return volatility however far the price moves
+  assert.equal(calculateLogReturnVolatility(toSeries([100, 110, 121, 133.1])).toFixed(6), '0.000000');
+  assert.equal(calculateLogReturnVolatility(toSeries([100, 110])), null);
+});
+
+test('calculateIndicators leaves out what a short history cannot support', () => {
+  const indicators = calculateIndicators(toSeries([10, 11, 12, 11, 10]));
+  assert.equal(indicators.emaCrossover, null);
+  assert.equal(indicators.rsi, null);
+  assert.equal(indicators.atr, null);
+  assert.equal(indicators.maxDrawdown.toFixed(2), '16.67');
+});
+
+test('meanReversion adds a bonus for an oversold RSI', () => {
+  const strategy = getStrategy('meanReversion');
+  const metrics = { priceChange: -20, volatility: 10, momentum: -5 };
+
+  const withoutHistory = strategy.score({ ...metrics, indicators: { rsi: null } });
+  assert.equal(strategy.score({ ...metrics, indicators: { rsi: 50 } }), withoutHistory);
+  assert.equal(strategy.score({ ...metrics, indicators: { rsi: 25 } }), withoutHistory + strategy.weights.oversold);
+});
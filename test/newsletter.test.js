@@ -0,0 +1,65 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureHttp } from './helpers/fixtureHttp.js';
+import { loadSubscribers, sendNewsletter } from '../src/core/newsletter.js';
+import { osrsAdapter } from '../src/osrs.js';
+import { eveAdapter } from '../src/eve.js';
+
+const savedApiKey = process.env.BREVO_API_KEY;
+
+beforeEach(() => {
+  process.env.BREVO_API_KEY = 'xkeysib-fixture';
+});
+
+afterEach(() => {
+  if (savedApiKey === undefined) {
+    delete process.env.BREVO_API_KEY;
+  } else {
+    process.env.BREVO_API_KEY = savedApiKey;
+  }
+});
+
+test('loadSubscribers reads the game\'s Brevo contact list', async () => {
+  const http = createFixtureHttp();
+
+  const subscribers = await loadSubscribers(osrsAdapter, http);
+
+  assert.deepEqual(subscribers, ['subscriber.one@example.com', 'subscriber.two@example.com']);
+  assert.deepEqual(http.requests, [
+    { url: 'brevo:contacts/lists/4/contacts?limit=500&offset=0', apiKey: 'xkeysib-fixture' }
+  ]);
+});
+
+test('loadSubscribers falls back to the test subscribers when Brevo fails', async () => {
+  assert.deepEqual(await loadSubscribers(osrsAdapter, createFixtureHttp({ brevoFails: true })), ['laserwolve@gmail.com']);
+  assert.deepEqual(await loadSubscribers(eveAdapter, createFixtureHttp({ brevoFails: true })), []);
+});
+
+test('loadSubscribers returns nobody without an API key', async () => {
+  delete process.env.BREVO_API_KEY;
+  const http = createFixtureHttp();
+
+  assert.deepEqual(await loadSubscribers(osrsAdapter, http), []);
+  assert.equal(http.requests.length, 0);
+});
+
+test('sendNewsletter emails the report to every subscriber', async () => {
+  const http = createFixtureHttp();
+
+  await sendNewsletter(eveAdapter, ['subscriber.one@example.com'], http);
+
+  assert.equal(http.emails.length, 1);
+  const [email] = http.emails;
+  assert.match(email.subject, /^EVE Online Market Analysis - /);
+  assert.deepEqual(email.to, [{ email: 'subscriber.one@example.com' }]);
+  assert.equal(email.sender.email, 'reports@vineyardtechnologies.org');
+  assert.match(email.htmlContent, /<div class="content">/);
+});
+
+test('sendNewsletter skips an empty list and survives Brevo failures', async () => {
+  const http = createFixtureHttp();
+  await sendNewsletter(osrsAdapter, [], http);
+  assert.equal(http.emails.length, 0);
+
+  await assert.doesNotReject(sendNewsletter(osrsAdapter, ['subscriber.one@example.com'], createFixtureHttp({ brevoFails: true })));
+});
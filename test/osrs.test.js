@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createFixtureHttp, createTempDir, seedOSRSHistory } from './helpers/fixtureHttp.js';
+import { runOSRSAutomated, parseBudget, calculatePosition, calculateBuyLimitCap, migrateHistoricalData } from '../src/osrs.js';
+
+const MEMBERS = ['Cannonball', 'Abyssal whip', 'Bandos chestplate', 'Dexterous prayer scroll'];
+
+test('runOSRSAutomated analyses the recorded item database', async () => {
+  const http = createFixtureHttp();
+  const historyFile = seedOSRSHistory();
+
+  const results = await runOSRSAutomated({ http, historyFile, contact: 'tests@example.com' });
+
+  assert.equal(results.totalChecked, 8);
+  assert.equal(results.totalAnalyzed, 8);
+  assert.deepEqual(results.excluded.map(e => [e.id, e.reason]), [[12345, 'missing-data']]);
+  assert.equal(results.strategy.name, 'momentumBreakout');
+
+  for (const item of [...results.highRiskMembers, ...results.lowRiskMembers]) {
+    assert.ok(MEMBERS.includes(item.name), `${item.name} should be a members item`);
+    assert.equal(item.dataPoints, 91);
+  }
+  for (const item of [...results.highRiskF2P, ...results.lowRiskF2P]) {
+    assert.ok(!MEMBERS.includes(item.name), `${item.name} should be free to play`);
+  }
+  assert.ok(results.highRiskMembers.every(item => item.riskLevel === 'high'));
+  assert.ok(results.lowRiskF2P.every(item => item.riskLevel === 'low'));
+  // The guide price has no daily high and low, so there is no ATR
+  assert.ok(results.highRiskMembers.every(item => item.indicators.atr === null && item.indicators.maxDrawdown >= 0));
+
+  // The item database, then the wiki's real-time prices, all with the configured contact in the User-Agent
+  assert.match(http.requests[0].url, /os_dump\.json$/);
+  assert.deepEqual(http.requests.slice(1, 4).map(request => new URL(request.url).pathname).sort(),
+    ['/api/v1/osrs/1h', '/api/v1/osrs/5m', '/api/v1/osrs/latest']);
+  for (const request of http.requests) {
+    assert.match(request.headers['User-Agent'], /^mythic-market-mogul\/\S+ \(tests@example\.com/);
+  }
+
+  // Today's price is appended and the store is flushed without leaving a journal behind
+  const history = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+  assert.equal(Object.keys(history.items[2].daily).length, 91);
+  assert.ok(!fs.existsSync(`${historyFile}.journal`));
+  fs.rmSync(path.dirname(historyFile), { recursive: true });
+});
+
+test('runOSRSAutomated sizes positions and excludes what the budget cannot buy', async () => {
+  const historyFile = seedOSRSHistory();
+
+  const results = await runOSRSAutomated({ http: createFixtureHttp(), historyFile, budget: '10m' });
+
+  assert.equal(results.budget, 10000000);
+  const reasons = Object.fromEntries(results.excluded.map(e => [e.name, e.reason]));
+  assert.equal(reasons['Bandos chestplate'], 'unaffordable');
+  assert.equal(reasons['Dexterous prayer scroll'], 'unaffordable');
+
+  const picks = [...results.highRiskMembers, ...results.lowRiskMembers, ...results.highRiskF2P, ...results.lowRiskF2P];
+  assert.ok(picks.length > 0);
+  for (const item of picks) {
+    assert.ok(item.units > 0 && item.totalCost <= 10000000, `${item.name} position fits the budget`);
+  }
+  fs.rmSync(path.dirname(historyFile), { recursive: true });
+});
+
+test('runOSRSAutomated fails when the item database is unavailable', async () => {
+  const historyFile = seedOSRSHistory();
+  const http = createFixtureHttp({ failures: { 'os_dump.json': 503 } });
+
+  await assert.rejects(runOSRSAutomated({ http, historyFile }), /Failed to fetch OSRS item data/);
+  fs.rmSync(path.dirname(historyFile), { recursive: true });
+});
+
+test('parseBudget accepts shorthand amounts', () => {
+  assert.equal(parseBudget('500k'), 500000);
+  assert.equal(parseBudget('2.5m'), 2500000);
+  assert.equal(parseBudget('1,000'), 1000);
+  assert.throws(() => parseBudget('lots'), /Invalid budget/);
+});
+
+test('migrateHistoricalData upgrades unversioned history and refuses unknown versions', () => {
+  const migrated = migrateHistoricalData({ 2: { name: 'Cannonball', daily: { 1753920000000: 191 } } });
+  assert.deepEqual(migrated, { version: 2, items: { 2: { name: 'Cannonball', daily: { 1753920000000: [191, null] } } } });
+  assert.equal(migrateHistoricalData(migrated), migrated);
+
+  assert.throws(() => migrateHistoricalData({ version: 3, items: {} }), /Unsupported OSRS history version 3/);
+  assert.throws(() => migrateHistoricalData({ version: 'corrupt' }), /Unsupported OSRS history version corrupt/);
+});
+
+test('calculatePosition is capped by the buy limit over the holding window', () => {
+  assert.equal(calculateBuyLimitCap(100, 12), 300);
+  assert.equal(calculateBuyLimitCap(null, 12), Infinity);
+  assert.deepEqual(calculatePosition(1000000, 1000, 10, 300), { units: 300, totalCost: 300000, expectedProfit: 30000 });
+});
+
+test('runOSRSAutomated adds real-time margins and volume splits from the OSRS Wiki', async () => {
+  const http = createFixtureHttp();
+  const historyFile = seedOSRSHistory();
+
+  const results = await runOSRSAutomated({ http, historyFile });
+  const picks = [...results.highRiskMembers, ...results.lowRiskMembers, ...results.highRiskF2P, ...results.lowRiskF2P];
+
+  const cannonball = picks.find(item => item.id === 2);
+  assert.deepEqual([cannonball.realtime.instaBuy, cannonball.realtime.instaSell, cannonball.realtime.margin], [212, 206, 6]);
+  assert.equal(cannonball.realtime.marginPercent, '2.91');
+  assert.equal(cannonball.realtime.buyShare, '56.3');
+  assert.equal(cannonball.realtime.day.highVolume, 900000 * 24);
+
+  // No real-time trades recorded for the scroll, so it keeps only the guide price
+  assert.equal(picks.find(item => item.id === 21034)?.realtime, undefined);
+
+  // Without the real-time source only the item database is fetched
+  const offlineHttp = createFixtureHttp();
+  await runOSRSAutomated({ http: offlineHttp, historyFile, realtimePrices: false });
+  assert.equal(offlineHttp.requests.length, 1);
+  fs.rmSync(path.dirname(historyFile), { recursive: true });
+});
+
+test('runOSRSAutomated falls back to guide prices when the OSRS Wiki is down', async () => {
+  const historyFile = seedOSRSHistory();
+
+  const results = await runOSRSAutomated({ http: createFixtureHttp({ failures: { 'prices.runescape.wiki': 503 } }), historyFile });
+
+  assert.equal(results.totalAnalyzed, 8);
+  assert.ok(results.highRiskMembers.every(item => item.realtime === undefined));
+  fs.rmSync(path.dirname(historyFile), { recursive: true });
+});
+
+test('runOSRSAutomated ranks flips after GE tax when flipping', async () => {
+  const historyFile = seedOSRSHistory();
+
+  const results = await runOSRSAutomated({ http: createFixtureHttp(), historyFile, flipping: true });
+
+  assert.deepEqual(results.geTax, { rate: 1, cap: 5000000, exemptBelow: 50 });
+  assert.ok(results.flips.length > 0);
+  assert.ok(results.flips.every((flip, i) => i === 0 || flip.profit <= results.flips[i - 1].profit));
+
+  // Rune platelegs: 450 gp margin less 431 gp tax, capped at the 70 buy limit
+  const platelegs = results.flips.find(flip => flip.id === 1079);
+  assert.deepEqual([platelegs.profitPerUnit, platelegs.units], [19, 70]);
+
+  await assert.rejects(runOSRSAutomated({ http: createFixtureHttp(), historyFile, flipping: true, realtimePrices: false }),
+    /Flipping needs real-time prices/);
+  fs.rmSync(path.dirname(historyFile), { recursive: true });
+});
+
+test('runOSRSAutomated ranks flips while history is still warming up', async () => {
+  const dir = createTempDir();
+
+  const results = await runOSRSAutomated({ http: createFixtureHttp(), historyFile: path.join(dir, 'osrs-history.json'), flipping: true });
+
+  // Nothing has enough history to recommend, but flips only need today's real-time prices
+  assert.equal(results.dataQuality.warmingUp, true);
+  assert.equal(results.totalAnalyzed, 0);
+  assert.ok(results.excluded.some(item => item.id === 1079 && item.reason === 'insufficient-history'));
+  assert.deepEqual(results.flips.find(flip => flip.id === 1079)?.units, 70);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('runOSRSAutomated warms up until the history store holds enough days', async () => {
+  const dir = createTempDir();
+  const historyFile = path.join(dir, 'osrs-history.json');
+
+  // A new store only has today's guide price
+  const results = await runOSRSAutomated({ http: createFixtureHttp(), historyFile, realtimePrices: false });
+
+  assert.equal(results.totalAnalyzed, 0);
+  assert.deepEqual(results.dataQuality, {
+    minHistoryDays: 14,
+    longestHistory: 1,
+    grades: { good: 0, fair: 0, poor: 0, insufficient: 8 },
+    warmingUp: true
+  });
+  assert.ok(results.excluded.filter(e => e.reason === 'insufficient-history').length === 8);
+  assert.equal(results.highRiskMembers.length, 0);
+
+  // The seeded store is past the minimum
+  const seeded = seedOSRSHistory();
+  const warm = await runOSRSAutomated({ http: createFixtureHttp(), historyFile: seeded, realtimePrices: false, minHistoryDays: 30 });
+  assert.equal(warm.dataQuality.warmingUp, false);
+  assert.equal(warm.dataQuality.grades.good, 8);
+  fs.rmSync(dir, { recursive: true });
+  fs.rmSync(path.dirname(seeded), { recursive: true });
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createFixtureHttp, createTempDir, seedOSRSHistory } from './helpers/fixtureHttp.js';
+import { mergePriceGraph, needsBackfill, runOSRSBackfill } from '../src/osrsBackfill.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ITEMS = [{ id: 2, name: 'Cannonball' }, { id: 4151, name: 'Abyssal whip' }, { id: 560, name: 'Death rune' }];
+
+test('runOSRSBackfill fills a new history store and skips complete items next time', async () => {
+  const dir = createTempDir();
+  const historyFile = path.join(dir, 'osrs-history.json');
+  const http = createFixtureHttp();
+
+  const summary = await runOSRSBackfill({ http, historyFile, items: ITEMS, delayMs: 0, contact: 'tests@example.com' });
+
+  // Death rune has no recorded graph, so the API's 404 leaves it for a later run
+  assert.deepEqual(summary, { itemsChecked: 3, itemsBackfilled: 2, daysAdded: 360, failed: [560] });
+  assert.match(http.requests[0].headers['User-Agent'], /tests@example\.com/);
+
+  const history = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+  assert.equal(history.items[2].name, 'Cannonball');
+  assert.equal(Object.keys(history.items[2].daily).length, 180);
+  assert.ok(Object.values(history.items[2].daily).every(([, volume]) => volume === null));
+
+  const again = createFixtureHttp();
+  const rerun = await runOSRSBackfill({ http: again, historyFile, items: ITEMS.slice(0, 2), delayMs: 0 });
+  assert.equal(rerun.itemsBackfilled, 0);
+  assert.equal(again.requests.length, 0);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('runOSRSBackfill never overwrites observed days', async () => {
+  const historyFile = seedOSRSHistory();
+  const observed = JSON.parse(fs.readFileSync(historyFile, 'utf8')).items[2].daily;
+
+  const summary = await runOSRSBackfill({ http: createFixtureHttp(), historyFile, items: ITEMS.slice(0, 1), delayMs: 0 });
+
+  const daily = JSON.parse(fs.readFileSync(historyFile, 'utf8')).items[2].daily;
+  assert.equal(summary.daysAdded, 180 - Object.keys(observed).length);
+  for (const [timestamp, point] of Object.entries(observed)) {
+    assert.deepEqual(daily[timestamp], point);
+  }
+  fs.rmSync(path.dirname(historyFile), { recursive: true });
+});
+
+test('runOSRSBackfill gives up on an item after repeated rate limiting', async () => {
+  const dir = createTempDir();
+  const historyFile = path.join(dir, 'osrs-history.json');
+  const http = createFixtureHttp({ failures: { '/api/graph/2.json': 429 } });
+
+  const summary = await runOSRSBackfill({ http, historyFile, items: ITEMS.slice(0, 1), delayMs: 0 });
+
+  assert.deepEqual(summary.failed, [2]);
+  assert.equal(http.requests.length, 4);
+
+  // Rate limiting isn't the item's fault, so the next run tries it again
+  const rerun = await runOSRSBackfill({ http: createFixtureHttp(), historyFile, items: ITEMS.slice(0, 1), delayMs: 0 });
+  assert.equal(rerun.itemsBackfilled, 1);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('runOSRSBackfill moves past items without a graph on a limited rerun', async () => {
+  const dir = createTempDir();
+  const historyFile = path.join(dir, 'osrs-history.json');
+  const items = [ITEMS[2], ...ITEMS.slice(0, 2)];
+
+  const first = await runOSRSBackfill({ http: createFixtureHttp(), historyFile, items, limit: 1, delayMs: 0 });
+  assert.deepEqual(first.failed, [560]);
+
+  // Death rune's 404 was recorded, so the next run starts with the cannonballs
+  const http = createFixtureHttp();
+  const second = await runOSRSBackfill({ http, historyFile, items, limit: 1, delayMs: 0 });
+  assert.deepEqual(second, { itemsChecked: 3, itemsBackfilled: 1, daysAdded: 180, failed: [] });
+  assert.match(http.requests[0].url, /\/api\/graph\/2\.json$/);
+
+  const third = createFixtureHttp();
+  await runOSRSBackfill({ http: third, historyFile, items, limit: 1, delayMs: 0 });
+  assert.match(third.requests[0].url, /\/api\/graph\/4151\.json$/);
+  const history = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+  assert.deepEqual(Object.keys(history.items[560].daily), []);
+  assert.ok(Object.values(history.items).every(item => item.graphCheckedAt > 0));
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('mergePriceGraph keeps to the retention window and falls back to the average', () => {
+  const today = Date.UTC(2025, 9, 28);
+  const graph = {
+    daily: { [today - DAY_MS]: 105, [today - 200 * DAY_MS]: 90 },
+    average: { [today - DAY_MS]: 100, [today - 2 * DAY_MS]: 98 }
+  };
+
+  const { daily, added } = mergePriceGraph({ [today]: [110, 5000] }, graph, today);
+
+  assert.equal(added, 2);
+  assert.deepEqual(daily, { [today]: [110, 5000], [today - DAY_MS]: [105, null], [today - 2 * DAY_MS]: [98, null] });
+  assert.equal(needsBackfill({ daily }, today), true);
+  assert.equal(needsBackfill({ daily: { [today - 175 * DAY_MS]: [1, null] } }, today), false);
+
+  // An item whose graph was just fetched waits 30 days before it's asked for again
+  assert.equal(needsBackfill({ daily, graphCheckedAt: today - 29 * DAY_MS }, today), false);
+  assert.equal(needsBackfill({ daily, graphCheckedAt: today - 30 * DAY_MS }, today), true);
+});
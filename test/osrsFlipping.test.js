@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateFlip, calculateGETax, loadFlippingConfig } from '../src/osrsFlipping.js';
+
+const settings = loadFlippingConfig();
+
+test('calculateGETax rounds down, caps per item and honours exemptions', () => {
+  assert.equal(calculateGETax(2, 212, settings.geTax), 2);
+  assert.equal(calculateGETax(20997, 1500000000, settings.geTax), 5000000);
+  // Cheap sales and exempt items pay nothing
+  assert.equal(calculateGETax(2, 49, settings.geTax), 0);
+  assert.equal(calculateGETax(13190, 9000000, settings.geTax), 0);
+  assert.equal(calculateGETax(2347, 120, settings.geTax), 0);
+});
+
+test('calculateFlip sizes by buy limit, volume share and budget', () => {
+  const item = { id: 4151, limit: 70, averageVolume: 500, realtime: { instaBuy: 1312000, instaSell: 1298000 } };
+
+  const flip = calculateFlip(item, settings);
+  assert.deepEqual([flip.tax, flip.profitPerUnit, flip.units, flip.profit], [13120, 880, 50, 44000]);
+  assert.equal(flip.taxExempt, false);
+
+  assert.equal(calculateFlip({ ...item, averageVolume: 5000 }, settings).units, 70);
+  assert.equal(calculateFlip(item, settings, 5000000).units, 3);
+});
+
+test('calculateFlip drops margins the tax eats', () => {
+  const item = { id: 1079, limit: 70, averageVolume: 4000, realtime: { instaBuy: 43100, instaSell: 42700 } };
+  assert.equal(calculateFlip(item, settings), null);
+  assert.equal(calculateFlip({ ...item, realtime: undefined }, settings), null);
+
+  // The same margin on an exempt item is all profit
+  const bond = calculateFlip({ ...item, id: 13190 }, settings);
+  assert.equal(bond.profitPerUnit, 400);
+  assert.equal(bond.taxExempt, true);
+});
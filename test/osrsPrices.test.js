@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summariseRealtimePrices, summariseTimeseries } from '../src/osrsPrices.js';
+
+test('summariseRealtimePrices needs trades on both sides', () => {
+  const prices = {
+    latest: { 2: { high: 210, highTime: 1, low: 200, lowTime: 1 }, 560: { high: 198, highTime: 1, low: null, lowTime: null } },
+    fiveMinute: {},
+    oneHour: { 2: { avgHighPrice: 209, highPriceVolume: 300, avgLowPrice: 201, lowPriceVolume: 100 } }
+  };
+
+  const cannonball = summariseRealtimePrices(2, prices);
+  assert.equal(cannonball.margin, 10);
+  assert.equal(cannonball.marginPercent, '5.00');
+  assert.equal(cannonball.buyShare, '75.0');
+  assert.equal(cannonball.avgHigh5m, null);
+
+  assert.equal(summariseRealtimePrices(560, prices), null);
+  assert.equal(summariseRealtimePrices(1079, prices), null);
+});
+
+test('summariseTimeseries covers only the most recent points and skips empty buckets', () => {
+  const point = (high, low, volume) => ({ avgHighPrice: high, avgLowPrice: low, highPriceVolume: volume, lowPriceVolume: volume });
+  const points = [point(500, 1, 1000), point(210, 200, 5), point(215, null, 5), point(null, 198, 0)];
+
+  assert.deepEqual(summariseTimeseries(points, 3), { high: 215, low: 198, highVolume: 10, lowVolume: 10 });
+  assert.equal(summariseTimeseries([]), null);
+});
@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createFixtureHttp, createTempDir, seedOSRSHistory } from './helpers/fixtureHttp.js';
+import { generatePortfolioHtml, loadPortfolio, parseAmount, recordTrade, summarisePortfolio } from '../src/portfolio.js';
+import { formatGP, runOSRSAutomated } from '../src/osrs.js';
+import { runEVEAutomated } from '../src/eve.js';
+
+const TRADES = [
+  { side: 'buy', id: 2, quantity: 1000, price: 200, fee: 0, date: '2026-10-01' },
+  { side: 'buy', id: 2, quantity: 1000, price: 220, fee: 1000, date: '2026-10-03' },
+  { side: 'sell', id: 2, quantity: 500, price: 250, fee: 2500, date: '2026-10-05' },
+  { side: 'buy', id: 4151, quantity: 1, price: 1500000, fee: 0, date: '2026-10-02' },
+  { side: 'sell', id: 4151, quantity: 1, price: 1400000, fee: 28000, date: '2026-10-04' },
+  { side: 'buy', id: 560, name: 'Death rune', quantity: 100, price: 180, fee: 0, date: '2026-10-06' }
+];
+
+test('summarisePortfolio values positions at average cost', () => {
+  const prices = new Map([[2, { price: 230, name: 'Cannonball' }], [4151, { price: 1300000, name: 'Abyssal whip' }]]);
+  const { positions, totals } = summarisePortfolio(TRADES, prices);
+
+  // 2000 cannonballs for 421,000 (fee included) average 210.5; selling 500 at 250 less 2,500 fees realises 17,250
+  const cannonball = positions.find(p => p.id === 2);
+  assert.equal(cannonball.name, 'Cannonball');
+  assert.equal(cannonball.quantity, 1500);
+  assert.equal(cannonball.averageCost, 210.5);
+  assert.equal(cannonball.costBasis, 315750);
+  assert.equal(cannonball.realised, 17250);
+  assert.equal(cannonball.marketValue, 345000);
+  assert.equal(cannonball.unrealised, 29250);
+  assert.equal(cannonball.unrealisedPercent, '9.26');
+
+  // A closed position only has realised P&L
+  const whip = positions.find(p => p.id === 4151);
+  assert.equal(whip.quantity, 0);
+  assert.equal(whip.averageCost, null);
+  assert.equal(whip.realised, -128000);
+
+  // The run had no price for death runes, so they're left out of the totals
+  const deathRune = positions.find(p => p.id === 560);
+  assert.equal(deathRune.name, 'Death rune');
+  assert.equal(deathRune.marketValue, null);
+
+  assert.deepEqual(totals, {
+    openPositions: 2,
+    unpriced: 1,
+    costBasis: 315750,
+    marketValue: 345000,
+    unrealised: 29250,
+    realised: -110750
+  });
+});
+
+test('summarisePortfolio applies trades in date order', () => {
+  const sellFirst = [TRADES[2], TRADES[1], TRADES[0]];
+  assert.deepEqual(summarisePortfolio(sellFirst), summarisePortfolio(TRADES.slice(0, 3)));
+});
+
+test('recordTrade appends to the portfolio file', () => {
+  const dir = createTempDir();
+  const file = path.join(dir, 'portfolio.json');
+
+  const bought = recordTrade('osrs', { side: 'buy', id: '4151', quantity: '2', price: '1.5m', date: '2026-10-01' }, file);
+  assert.deepEqual(bought.trade, { side: 'buy', id: 4151, quantity: 2, price: 1500000, fee: 0, date: '2026-10-01' });
+  assert.equal(bought.position.quantity, 2);
+
+  const sold = recordTrade('osrs', { side: 'sell', id: 4151, quantity: 1, price: '1.6m', fee: '32k', date: '2026-10-03' }, file);
+  assert.equal(sold.position.quantity, 1);
+  assert.equal(sold.position.realised, 68000);
+  recordTrade('eve', { side: 'buy', id: 34, name: 'Tritanium', quantity: 100000, price: '4.25', date: '2026-10-02' }, file);
+
+  const portfolio = loadPortfolio(file);
+  assert.equal(portfolio.trades.osrs.length, 2);
+  assert.equal(portfolio.trades.eve[0].price, 4.25);
+  assert.ok(!fs.existsSync(`${file}.tmp`));
+
+  // Selling more than was held on the day is refused, and nothing is written
+  assert.throws(() => recordTrade('osrs', { side: 'sell', id: 4151, quantity: 2, price: 1600000 }, file), /only 1 held/);
+  assert.throws(() => recordTrade('osrs', { side: 'sell', id: 4151, quantity: 1, price: 1600000, date: '2026-09-30' }, file), /only 0 held/);
+  assert.throws(() => recordTrade('osrs', { side: 'buy', id: 4151, quantity: 1.5, price: 1 }, file), /Invalid quantity/);
+  assert.throws(() => recordTrade('osrs', { side: 'buy', id: 4151, quantity: 1, price: '0' }, file), /greater than zero/);
+  assert.throws(() => recordTrade('osrs', { side: 'buy', id: 4151, quantity: 1, price: 1, date: '01/10/2026' }, file), /Invalid date/);
+  assert.equal(loadPortfolio(file).trades.osrs.length, 2);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('recordTrade refuses a back-dated sell that leaves a later sale short', () => {
+  const dir = createTempDir();
+  const file = path.join(dir, 'portfolio.json');
+  recordTrade('osrs', { side: 'buy', id: 2, quantity: 10, price: 200, date: '2026-10-01' }, file);
+  recordTrade('osrs', { side: 'sell', id: 2, quantity: 10, price: 220, date: '2026-10-05' }, file);
+
+  // 10 were held on day 3, but the sale on day 5 needs all of them
+  assert.throws(() => recordTrade('osrs', { side: 'sell', id: 2, quantity: 5, price: 210, date: '2026-10-03' }, file), /later sales would be 5 short/);
+  assert.equal(loadPortfolio(file).trades.osrs.length, 2);
+
+  // Once more were bought before day 5, it goes through
+  recordTrade('osrs', { side: 'buy', id: 2, quantity: 5, price: 205, date: '2026-10-04' }, file);
+  const { position } = recordTrade('osrs', { side: 'sell', id: 2, quantity: 5, price: 210, date: '2026-10-03' }, file);
+  assert.equal(position.quantity, 0);
+  assert.equal(position.oversold, 0);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('parseAmount accepts shorthand', () => {
+  assert.equal(parseAmount('2.5m'), 2500000);
+  assert.equal(parseAmount('1,250'), 1250);
+  assert.equal(parseAmount('6B'), 6000000000);
+  assert.equal(parseAmount(4.256), 4.26);
+  assert.throws(() => parseAmount('-5', 'price'), /Invalid price "-5"/);
+  assert.throws(() => parseAmount('lots'), /Invalid amount/);
+});
+
+test('runOSRSAutomated marks the portfolio to market', async () => {
+  const historyFile = seedOSRSHistory();
+  const portfolioFile = path.join(path.dirname(historyFile), 'portfolio.json');
+  fs.writeFileSync(portfolioFile, JSON.stringify({ version: 1, trades: { osrs: TRADES, eve: [{ side: 'buy', id: 34, quantity: 1, price: 5, fee: 0, date: '2026-10-01' }] } }));
+
+  const results = await runOSRSAutomated({ http: createFixtureHttp(), historyFile, portfolioFile });
+
+  // Priced at today's Grand Exchange guide price
+  const cannonball = results.portfolio.positions.find(p => p.id === 2);
+  assert.equal(cannonball.price, 210);
+  assert.equal(cannonball.unrealised, -750);
+  assert.equal(results.portfolio.positions.find(p => p.id === 4151).price, 1305432);
+  assert.equal(results.portfolio.totals.openPositions, 2);
+
+  // The portfolio is opt-in: without a file, no portfolio is read
+  assert.equal((await runOSRSAutomated({ http: createFixtureHttp(), historyFile })).portfolio, undefined);
+
+  // Nor is there one when the file has no trades for the game
+  fs.writeFileSync(portfolioFile, JSON.stringify({ version: 1, trades: { eve: [] } }));
+  assert.equal((await runOSRSAutomated({ http: createFixtureHttp(), historyFile, portfolioFile })).portfolio, undefined);
+  fs.rmSync(path.dirname(historyFile), { recursive: true });
+});
+
+test('runEVEAutomated marks the portfolio to market at the first hub', async () => {
+  const historyDir = createTempDir();
+  const portfolioFile = path.join(historyDir, 'portfolio.json');
+  recordTrade('eve', { side: 'buy', id: 34, quantity: 100000, price: 4, date: '2026-10-01' }, portfolioFile);
+
+  const items = [{ id: 34, name: 'Tritanium' }, { id: 35, name: 'Pyerite' }];
+  const results = await runEVEAutomated({ http: createFixtureHttp(), historyDir, items, hubs: 'jita,amarr', orderBook: false, portfolioFile });
+
+  // Jita comes first, so its price is used rather than Amarr's
+  const [tritanium] = results.portfolio.positions;
+  const [jita, amarr] = results.hubs;
+  assert.equal(tritanium.name, 'Tritanium');
+  assert.equal(tritanium.price, [...jita.highRisk, ...jita.lowRisk].find(item => item.id === 34).currentPrice);
+  assert.notEqual(tritanium.price, [...amarr.highRisk, ...amarr.lowRisk].find(item => item.id === 34).currentPrice);
+  assert.equal(tritanium.unrealised, 35000);
+  fs.rmSync(historyDir, { recursive: true });
+});
+
+test('generatePortfolioHtml renders positions and totals', () => {
+  const prices = new Map([[2, { price: 230, name: 'Cannonball' }]]);
+  const html = generatePortfolioHtml(summarisePortfolio(TRADES, prices), formatGP);
+
+  assert.match(html, /<h2 style="text-align: center;">Your Portfolio<\/h2>/);
+  assert.match(html, /2 open positions worth 345,000 gold: \+29,250 gold unrealised, -110,750 gold realised \(1 without a price today\)/);
+  // The whip wasn't priced and was logged without a name
+  assert.ok(html.includes('<td>Item 4151</td>'));
+  assert.match(html, /Closed/);
+  assert.equal(generatePortfolioHtml(undefined), '');
+});
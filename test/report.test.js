@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createFixtureHttp, createTempDir, seedOSRSHistory } from './helpers/fixtureHttp.js';
+import { generatePortfolioReport, generateReport } from '../src/core/report.js';
+import { osrsAdapter, runOSRSAutomated } from '../src/osrs.js';
+import { eveAdapter, runEVEAutomated } from '../src/eve.js';
+
+/**
+ * Checks that a report kept the template's surroundings intact
+ * @param {string} html - Generated report
+ * @param {string} template - Template it was generated from
+ */
+function assertTemplatePreserved(html, template) {
+  const head = template.slice(0, template.indexOf('<div class="content">'));
+  const footer = template.slice(template.indexOf('<div class="footer">'));
+  assert.ok(html.startsWith(head), 'everything before the content is unchanged');
+  assert.ok(html.endsWith(footer), 'the footer is unchanged');
+}
+
+test('generateReport renders OSRS results into the report template', async () => {
+  const historyFile = seedOSRSHistory();
+  const results = await runOSRSAutomated({ http: createFixtureHttp(), historyFile, budget: '10m', flipping: true });
+
+  const html = generateReport(osrsAdapter, results);
+
+  assertTemplatePreserved(html, fs.readFileSync(osrsAdapter.reportTemplate, 'utf8'));
+  for (const item of [...results.highRiskMembers, ...results.lowRiskF2P]) {
+    assert.ok(html.includes(`alt="${item.name}"`), `${item.name} is in the report`);
+  }
+  assert.match(html, /Expected Profit/);
+  assert.match(html, /<h2 style="text-align: center;">Flips<\/h2>/);
+  assert.ok(html.includes(`<td>${results.flips[0].name}</td>`));
+  fs.rmSync(path.dirname(historyFile), { recursive: true });
+});
+
+test('generateReport renders EVE results into the report template', async () => {
+  const historyDir = createTempDir();
+  const items = [{ id: 34, name: 'Tritanium' }, { id: 17715, name: 'Gila' }, { id: 44992, name: 'PLEX' }];
+  const results = await runEVEAutomated({ http: createFixtureHttp(), historyDir, items });
+
+  const html = generateReport(eveAdapter, results);
+
+  assertTemplatePreserved(html, fs.readFileSync(eveAdapter.reportTemplate, 'utf8'));
+  for (const item of [...results.highRisk, ...results.lowRisk]) {
+    assert.ok(html.includes(item.name), `${item.name} is in the report`);
+  }
+  assert.match(html, /Spread: [\d.]+%/);
+  assert.match(html, /<h2 style="text-align: center;">Station Trading<\/h2>/);
+  fs.rmSync(historyDir, { recursive: true });
+});
+
+test('generateReport renders a section per hub and the hub comparison', async () => {
+  const historyDir = createTempDir();
+  const items = [{ id: 34, name: 'Tritanium' }, { id: 17715, name: 'Gila' }, { id: 44992, name: 'PLEX' }];
+  const results = await runEVEAutomated({ http: createFixtureHttp(), historyDir, items, hubs: ['jita', 'amarr'] });
+
+  const html = generateReport(eveAdapter, results);
+
+  assert.match(html, /<h3>Jita — High Risk<\/h3>/);
+  assert.match(html, /<h3>Amarr — Low Risk<\/h3>/);
+  assert.match(html, /Hub Comparison/);
+  assert.match(html, /evemarketbrowser\.com\/region\/10000043\/type\//);
+  fs.rmSync(historyDir, { recursive: true });
+});
+
+test('generateReport lists the top picks in each market group', async () => {
+  const historyDir = createTempDir();
+  const items = [
+    { id: 34, name: 'Tritanium', marketGroups: ['Manufacture & Research', 'Materials', 'Minerals'] },
+    { id: 17715, name: 'Gila', marketGroups: ['Ships', 'Cruisers'] },
+    { id: 44992, name: 'PLEX', marketGroups: ["Pilot's Services"] }
+  ];
+  const results = await runEVEAutomated({ http: createFixtureHttp(), historyDir, items, orderBook: false });
+
+  const html = generateReport(eveAdapter, results);
+
+  assert.match(html, /Top Picks by Market Group/);
+  assert.match(html, /<strong>Ships<\/strong>/);
+  fs.rmSync(historyDir, { recursive: true });
+});
+
+test('generateReport shows a warming-up notice while history is too short', async () => {
+  const dir = createTempDir();
+  const results = await runOSRSAutomated({ http: createFixtureHttp(), historyFile: path.join(dir, 'osrs-history.json'), realtimePrices: false });
+
+  const html = generateReport(osrsAdapter, results);
+
+  assert.match(html, /Warming up:<\/strong> 1 of the 14 days of price history/);
+  assert.match(html, /No items found/);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('generatePortfolioReport keeps the portfolio out of the published report', async () => {
+  const historyFile = seedOSRSHistory();
+  const portfolioFile = path.join(path.dirname(historyFile), 'portfolio.json');
+  fs.writeFileSync(portfolioFile, JSON.stringify({ version: 1, trades: { osrs: [{ side: 'buy', id: 2, quantity: 1000, price: 200, fee: 0, date: '2026-10-01' }] } }));
+  const results = await runOSRSAutomated({ http: createFixtureHttp(), historyFile, portfolioFile });
+
+  // The report is published and emailed, so it never shows the portfolio
+  assert.doesNotMatch(generateReport(osrsAdapter, results), /Your Portfolio/);
+
+  const html = generatePortfolioReport(osrsAdapter, results.portfolio);
+  assert.match(html, /<title>Old School RuneScape Portfolio<\/title>/);
+  assert.match(html, /<h2 style="text-align: center;">Your Portfolio<\/h2>/);
+  assert.match(html, /1 open position worth 210,000 gold: \+10,000 gold unrealised/);
+  fs.rmSync(path.dirname(historyFile), { recursive: true });
+});
+
+test('generateReport shows the error when a run failed', () => {
+  const html = generateReport(osrsAdapter, { error: 'Failed to fetch OSRS item data' });
+
+  assertTemplatePreserved(html, fs.readFileSync(osrsAdapter.reportTemplate, 'utf8'));
+  assert.match(html, /Analysis Failed:<\/strong> Failed to fetch OSRS item data/);
+});
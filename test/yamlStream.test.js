@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { FIXTURES_DIR } from './helpers/fixtureHttp.js';
+import { readYAMLEntries, readYAMLMapping } from '../src/core/yamlStream.js';
+
+/**
+ * Streams a buffer in small chunks, as a slow file or zip entry would
+ * @param {Buffer} buffer - Contents
+ * @param {number} size - Bytes per chunk
+ * @returns {AsyncGenerator<Buffer>} Chunks
+ */
+async function* chunked(buffer, size) {
+  for (let i = 0; i < buffer.length; i += size) {
+    yield buffer.subarray(i, i + size);
+  }
+}
+
+test('readYAMLMapping matches yaml.load whatever the chunk size', async () => {
+  const text = fs.readFileSync(path.join(FIXTURES_DIR, 'sde', 'types.yaml'));
+  const expected = yaml.load(text.toString('utf8'));
+
+  for (const size of [1, 7, 64, text.length]) {
+    assert.deepEqual(await readYAMLMapping(chunked(text, size)), expected);
+  }
+});
+
+test('readYAMLEntries keeps multi-byte characters split across chunks and ignores comments', async () => {
+  const text = Buffer.from("# Types\n---\n1:\n  name:\n    en: Ëxample\n    ja: 例\n# between\n'2':\n  tags:\n  - a\n  - b\n3: plain", 'utf8');
+  const entries = [];
+  for await (const entry of readYAMLEntries(chunked(text, 1))) {
+    entries.push(entry);
+  }
+
+  assert.deepEqual(entries, [
+    ['1', { name: { en: 'Ëxample', ja: '例' } }],
+    ['2', { tags: ['a', 'b'] }],
+    ['3', 'plain']
+  ]);
+});
+
+test('readYAMLEntries yields each entry before the rest of the file is read', async () => {
+  let chunksRead = 0;
+  async function* large() {
+    for (let id = 1; id <= 5000; id++) {
+      chunksRead++;
+      yield Buffer.from(`${id}:\n  name:\n    en: Type ${id}\n  published: true\n`);
+    }
+  }
+
+  const progress = [];
+  for await (const [key, value] of readYAMLEntries(large(), { onProgress: bytes => progress.push(bytes) })) {
+    if (key === '1') {
+      assert.equal(value.name.en, 'Type 1');
+      // The first entry is complete once the second key arrives
+      assert.equal(chunksRead, 2);
+    }
+  }
+  assert.equal(progress.length, 5000);
+  assert.ok(progress.every((bytes, i) => i === 0 || bytes > progress[i - 1]));
+});
+
+test('readYAMLEntries reports which entry is invalid', async () => {
+  const text = Buffer.from('1:\n  name: ok\n2:\n  name: [unclosed\n');
+  await assert.rejects(readYAMLMapping(chunked(text, 8)), /Invalid YAML near "2:"/);
+});